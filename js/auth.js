@@ -1,69 +1,522 @@
 /**
  * Auth Service
- * Gerencia autenticação e sessão do usuário
+ * Gerencia contas, autenticação e sessão do usuário
+ *
+ * As senhas são guardadas como hash PBKDF2 (Web Crypto) com sal aleatório por usuário.
+ * Ao entrar, o DataProvider passa a gravar os dados no espaço do usuário, então cada pessoa
+ * tem os próprios lançamentos, limites e agenda de fechamento no mesmo navegador.
+ *
+ * A sessão expira depois do tempo configurado em cada conta e é bloqueada após um período
+ * sem uso. A sessão bloqueada é retomada com a senha ou com um PIN numérico.
  */
 
 const AUTH_STORAGE_KEY = 'auth_session';
-const CREDENTIALS = {
-  username: 'admin',
-  password: 'admin123'
+const AUTH_USERS_KEY = 'auth_users'; // Lista de contas {id, username, salt, passwordHash, iterations, createdAt, security, pin}
+
+// Parâmetros do hash de senha (as iterações ficam gravadas em cada conta)
+const PASSWORD_HASH_ITERATIONS = 600000;
+const PASSWORD_SALT_BYTES = 16;
+const PASSWORD_MIN_LENGTH = 8;
+
+// Nome de usuário: 3 a 32 letras minúsculas, números, ponto, hífen ou sublinhado
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+
+// PIN de desbloqueio: 4 a 8 dígitos
+const PIN_PATTERN = /^\d{4,8}$/;
+
+// Tentativas de desbloqueio antes de encerrar a sessão
+const MAX_UNLOCK_ATTEMPTS = 5;
+
+// Intervalo mínimo entre gravações da última atividade na sessão (ms)
+const ACTIVITY_SAVE_INTERVAL = 30000;
+
+// Situações da sessão (checkSession)
+const SESSION_STATES = {
+  ACTIVE: 'active',
+  LOCKED: 'locked', // Bloqueada por inatividade: desbloqueio com PIN ou senha
+  EXPIRED: 'expired', // Tempo de sessão esgotado: login completo
+  NONE: 'none' // Nenhum usuário logado
+};
+
+// Configurações de sessão de cada conta (user.security)
+const DEFAULT_SECURITY_SETTINGS = {
+  sessionLifetimeHours: 168, // Duração máxima da sessão desde o login (0 = sem limite)
+  idleTimeoutMinutes: 15 // Bloqueio após esse tempo sem uso (0 = desativado)
 };
 
 const AuthService = {
   /**
-   * Valida credenciais do usuário
-   * @param {string} username - Nome de usuário
+   * Momento da última interação do usuário nesta aba (ms)
+   */
+  lastActivityAt: null,
+
+  /**
+   * Normaliza o nome de usuário (também usado como ID da conta)
+   * @param {string} username - Nome digitado
+   * @returns {string} Nome sem espaços nas pontas e em minúsculas
+   */
+  normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+  },
+
+  /**
+   * Converte bytes para Base64
+   * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+   * @returns {string} Texto em Base64
+   */
+  toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+  },
+
+  /**
+   * Converte Base64 para bytes
+   * @param {string} text - Texto em Base64
+   * @returns {Uint8Array} Bytes
+   */
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  },
+
+  /**
+   * Calcula o hash PBKDF2-SHA-256 de uma senha
    * @param {string} password - Senha
+   * @param {string} salt - Sal em Base64
+   * @param {number} iterations - Quantidade de iterações
+   * @returns {Promise<string>} Hash em Base64
+   */
+  async hashPassword(password, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt: this.fromBase64(salt), iterations, hash: 'SHA-256' },
+      key,
+      256
+    );
+    return this.toBase64(bits);
+  },
+
+  /**
+   * Compara dois hashes sem interromper na primeira diferença
+   * @param {string} a - Hash calculado
+   * @param {string} b - Hash gravado
    * @returns {boolean}
    */
-  validateCredentials(username, password) {
-    return username === CREDENTIALS.username && password === CREDENTIALS.password;
+  hashesMatch(a, b) {
+    if (a.length !== b.length) {
+      return false;
+    }
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+  },
+
+  /**
+   * Obtém todas as contas cadastradas neste navegador
+   * @returns {Promise<Array>}
+   */
+  async getUsers() {
+    return StorageService.get(AUTH_USERS_KEY, []);
+  },
+
+  /**
+   * Busca uma conta pelo nome de usuário
+   * @param {string} username - Nome de usuário
+   * @returns {Promise<object|null>}
+   */
+  async findUser(username) {
+    const id = this.normalizeUsername(username);
+    return (await this.getUsers()).find(user => user.id === id) || null;
+  },
+
+  /**
+   * Verifica se já existe alguma conta (a tela de login abre no cadastro quando não existe)
+   * @returns {Promise<boolean>}
+   */
+  async hasUsers() {
+    return (await this.getUsers()).length > 0;
+  },
+
+  /**
+   * Cadastra uma nova conta e já realiza o login
+   * A primeira conta do navegador assume os dados gravados antes das contas existirem
+   * @param {string} username - Nome de usuário
+   * @param {string} password - Senha
+   * @param {string} passwordConfirm - Confirmação da senha
+   * @returns {Promise<object>} Conta criada (sem o hash)
+   */
+  async register(username, password, passwordConfirm) {
+    const id = this.normalizeUsername(username);
+    if (!USERNAME_PATTERN.test(id)) {
+      throw new Error('O usuário deve ter de 3 a 32 caracteres: letras, números, ponto, hífen ou sublinhado');
+    }
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+      throw new Error(`A senha deve ter pelo menos ${PASSWORD_MIN_LENGTH} caracteres`);
+    }
+    if (password !== passwordConfirm) {
+      throw new Error('As senhas não conferem');
+    }
+
+    const users = await this.getUsers();
+    if (users.some(user => user.id === id)) {
+      throw new Error('Já existe uma conta com este usuário');
+    }
+
+    const salt = this.toBase64(crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES)));
+    const user = {
+      id,
+      username: String(username).trim(),
+      salt,
+      passwordHash: await this.hashPassword(password, salt, PASSWORD_HASH_ITERATIONS),
+      iterations: PASSWORD_HASH_ITERATIONS,
+      createdAt: new Date().toISOString()
+    };
+
+    users.push(user);
+    await StorageService.set(AUTH_USERS_KEY, users);
+
+    if (users.length === 1) {
+      await this.adoptLegacyData(id);
+    }
+
+    await this.startSession(user);
+    return { id: user.id, username: user.username, createdAt: user.createdAt };
+  },
+
+  /**
+   * Move para a conta os dados gravados sem dono (versões sem contas de usuário)
+   * Apenas a cópia local é movida; com provider remoto, a primeira sincronização da conta envia os dados
+   * @param {string} userId - ID da conta que recebe os dados
+   * @returns {Promise<void>}
+   */
+  async adoptLegacyData(userId) {
+    const local = DataProvider.getLocalProvider();
+    const legacy = await DataProvider.runInScope(null, async () => {
+      const data = {};
+      for (const key of SYNCED_STORAGE_KEYS) {
+        data[key] = await local.get(key, null);
+      }
+      return data;
+    });
+
+    const keys = Object.keys(legacy).filter(key => legacy[key] !== null);
+    if (keys.length === 0) return;
+
+    await DataProvider.runInScope(userId, async () => {
+      for (const key of keys) {
+        if (!await local.set(key, legacy[key])) {
+          throw new Error('Não foi possível mover os dados existentes para a nova conta');
+        }
+      }
+    });
+
+    // Remove a cópia sem dono para que não seja assumida por outra conta
+    await DataProvider.runInScope(null, async () => {
+      for (const key of [...keys, SYNC_QUEUE_KEY, SYNC_STATE_KEY]) {
+        await local.remove(key);
+      }
+    });
+  },
+
+  /**
+   * Grava a sessão e passa a usar os dados do usuário
+   * @param {object} user - Conta
+   */
+  async startSession(user) {
+    const now = new Date().toISOString();
+    const session = {
+      userId: user.id,
+      username: user.username,
+      loggedIn: true,
+      loginTime: now,
+      lastActivityAt: now,
+      locked: false,
+      failedUnlockAttempts: 0
+    };
+    await StorageService.set(AUTH_STORAGE_KEY, session);
+    this.lastActivityAt = Date.now();
+    DataProvider.setScope(user.id);
+    CryptoService.setUser(user);
+    StorageService.clearCache();
+  },
+
+  /**
+   * Verifica a senha de uma conta
+   * @param {object} user - Conta
+   * @param {string} password - Senha digitada
+   * @returns {Promise<boolean>}
+   */
+  async verifyPassword(user, password) {
+    const hash = await this.hashPassword(String(password || ''), user.salt, user.iterations);
+    return this.hashesMatch(hash, user.passwordHash);
   },
 
   /**
    * Realiza login do usuário
    * @param {string} username - Nome de usuário
    * @param {string} password - Senha
-   * @returns {boolean}
+   * @returns {Promise<boolean>}
    */
-  login(username, password) {
-    if (this.validateCredentials(username, password)) {
-      const session = {
-        username,
-        loggedIn: true,
-        loginTime: new Date().toISOString()
-      };
-      StorageService.set(AUTH_STORAGE_KEY, session);
+  async login(username, password) {
+    const user = await this.findUser(username);
+    if (!user || !await this.verifyPassword(user, password)) {
+      return false;
+    }
+
+    await this.startSession(user);
+    return true;
+  },
+
+  /**
+   * Realiza logout do usuário
+   */
+  async logout() {
+    // Uma sincronização em andamento termina antes de trocar o espaço dos dados
+    if (typeof SyncService !== 'undefined' && SyncService.syncPromise) {
+      await SyncService.syncPromise.catch(() => {});
+    }
+    await StorageService.remove(AUTH_STORAGE_KEY);
+    DataProvider.setScope(null);
+    CryptoService.setUser(null);
+    StorageService.clearCache();
+  },
+
+  /**
+   * Retoma a sessão gravada ao abrir a aplicação (define o dono dos dados)
+   * Sessões de contas que não existem mais são descartadas; sessões vencidas ou paradas
+   * há mais tempo que o limite de inatividade são encerradas ou bloqueadas
+   * @returns {Promise<boolean>} Se há uma sessão ativa (não bloqueada)
+   */
+  async restoreSession() {
+    const session = await StorageService.get(AUTH_STORAGE_KEY);
+    const user = session && session.loggedIn === true && session.userId ? await this.findUser(session.userId) : null;
+    if (!user) {
+      DataProvider.setScope(null);
+      CryptoService.setUser(null);
+      return false;
+    }
+    DataProvider.setScope(user.id);
+    CryptoService.setUser(user);
+    StorageService.clearCache();
+    return await this.checkSession() === SESSION_STATES.ACTIVE;
+  },
+
+  /**
+   * Registra uma interação do usuário (chamado pelo Router a cada clique ou tecla)
+   * Fica apenas na memória; checkSession grava na sessão de tempos em tempos
+   */
+  recordActivity() {
+    this.lastActivityAt = Date.now();
+  },
+
+  /**
+   * Obtém as configurações de sessão de uma conta
+   * @param {object} user - Conta
+   * @returns {object} {sessionLifetimeHours, idleTimeoutMinutes}
+   */
+  getSecuritySettings(user) {
+    return { ...DEFAULT_SECURITY_SETTINGS, ...(user && user.security) };
+  },
+
+  /**
+   * Verifica a situação da sessão atual, encerrando a sessão vencida e bloqueando a inativa
+   * @returns {Promise<string>} Situação (SESSION_STATES)
+   */
+  async checkSession() {
+    const session = await StorageService.get(AUTH_STORAGE_KEY);
+    if (!session || session.loggedIn !== true || session.userId !== DataProvider.scope) {
+      return SESSION_STATES.NONE;
+    }
+
+    const user = await this.findUser(session.userId);
+    if (!user) {
+      await this.logout();
+      return SESSION_STATES.NONE;
+    }
+
+    const settings = this.getSecuritySettings(user);
+    const now = Date.now();
+    const lifetime = settings.sessionLifetimeHours * 60 * 60 * 1000;
+    if (lifetime > 0 && now - new Date(session.loginTime).getTime() > lifetime) {
+      await this.logout();
+      return SESSION_STATES.EXPIRED;
+    }
+
+    if (session.locked) {
+      return SESSION_STATES.LOCKED;
+    }
+
+    const savedActivity = new Date(session.lastActivityAt || session.loginTime).getTime();
+    const lastActivity = Math.max(savedActivity, this.lastActivityAt || 0);
+    const idleTimeout = settings.idleTimeoutMinutes * 60 * 1000;
+    if (idleTimeout > 0 && now - lastActivity > idleTimeout) {
+      await this.lock();
+      return SESSION_STATES.LOCKED;
+    }
+
+    // Guarda a última atividade para que outra aba (ou a próxima abertura) respeite a inatividade
+    if (lastActivity - savedActivity > ACTIVITY_SAVE_INTERVAL) {
+      await StorageService.set(AUTH_STORAGE_KEY, { ...session, lastActivityAt: new Date(lastActivity).toISOString() });
+    }
+    return SESSION_STATES.ACTIVE;
+  },
+
+  /**
+   * Bloqueia a sessão atual (os dados continuam no espaço do usuário, mas não são exibidos)
+   */
+  async lock() {
+    const session = await StorageService.get(AUTH_STORAGE_KEY);
+    if (!session || session.locked) return;
+    await StorageService.set(AUTH_STORAGE_KEY, { ...session, locked: true, failedUnlockAttempts: 0 });
+  },
+
+  /**
+   * Obtém os dados da sessão bloqueada, para a tela de desbloqueio
+   * @returns {Promise<object|null>} {username, hasPin} ou null se não há sessão bloqueada
+   */
+  async getLockedSession() {
+    if (await this.checkSession() !== SESSION_STATES.LOCKED) {
+      return null;
+    }
+    const session = await StorageService.get(AUTH_STORAGE_KEY);
+    const user = await this.findUser(session.userId);
+    return { username: user.username, hasPin: !!user.pin };
+  },
+
+  /**
+   * Desbloqueia a sessão com o PIN ou com a senha da conta
+   * Depois de MAX_UNLOCK_ATTEMPTS erros a sessão é encerrada
+   * @param {string} secret - PIN ou senha digitados
+   * @returns {Promise<boolean>} Se a sessão foi desbloqueada
+   */
+  async unlock(secret) {
+    if (await this.checkSession() !== SESSION_STATES.LOCKED) {
+      throw new Error('Sessão encerrada. Entre novamente com usuário e senha.');
+    }
+
+    const session = await StorageService.get(AUTH_STORAGE_KEY);
+    const user = await this.findUser(session.userId);
+    const pinMatches = !!user.pin && PIN_PATTERN.test(secret) &&
+      this.hashesMatch(await this.hashPassword(secret, user.pin.salt, user.pin.iterations), user.pin.hash);
+
+    if (pinMatches || await this.verifyPassword(user, secret)) {
+      this.lastActivityAt = Date.now();
+      await StorageService.set(AUTH_STORAGE_KEY, {
+        ...session,
+        locked: false,
+        failedUnlockAttempts: 0,
+        lastActivityAt: new Date().toISOString()
+      });
       return true;
     }
+
+    const failedUnlockAttempts = (session.failedUnlockAttempts || 0) + 1;
+    if (failedUnlockAttempts >= MAX_UNLOCK_ATTEMPTS) {
+      await this.logout();
+      throw new Error('Muitas tentativas incorretas. Entre novamente com usuário e senha.');
+    }
+    await StorageService.set(AUTH_STORAGE_KEY, { ...session, failedUnlockAttempts });
     return false;
   },
 
   /**
-   * Realiza logout do usuário
+   * Obtém a conta do usuário logado
+   * @returns {Promise<object>}
    */
-  logout() {
-    StorageService.remove(AUTH_STORAGE_KEY);
+  async getCurrentUser() {
+    const user = DataProvider.scope ? await this.findUser(DataProvider.scope) : null;
+    if (!user) {
+      throw new Error('Nenhum usuário logado');
+    }
+    return user;
   },
 
   /**
-   * Verifica se o usuário está autenticado
-   * @returns {boolean}
+   * Altera a conta do usuário logado
+   * @param {object} changes - Campos alterados
+   * @returns {Promise<object>} Conta atualizada
+   */
+  async updateCurrentUser(changes) {
+    const current = await this.getCurrentUser();
+    const users = await this.getUsers();
+    const index = users.findIndex(user => user.id === current.id);
+    users[index] = { ...users[index], ...changes };
+    await StorageService.set(AUTH_USERS_KEY, users);
+    return users[index];
+  },
+
+  /**
+   * Obtém as configurações de sessão do usuário logado
+   * @returns {Promise<object>} {sessionLifetimeHours, idleTimeoutMinutes, hasPin}
    */
-  isAuthenticated() {
-    const session = StorageService.get(AUTH_STORAGE_KEY);
-    return session && session.loggedIn === true;
+  async getCurrentSecuritySettings() {
+    const user = await this.getCurrentUser();
+    return { ...this.getSecuritySettings(user), hasPin: !!user.pin };
+  },
+
+  /**
+   * Salva a duração da sessão e o tempo de inatividade do usuário logado
+   * @param {number} sessionLifetimeHours - Duração máxima da sessão em horas (0 = sem limite)
+   * @param {number} idleTimeoutMinutes - Minutos sem uso até bloquear (0 = desativado)
+   */
+  async updateSecuritySettings(sessionLifetimeHours, idleTimeoutMinutes) {
+    const lifetime = parseInt(sessionLifetimeHours, 10);
+    const idle = parseInt(idleTimeoutMinutes, 10);
+    if (isNaN(lifetime) || lifetime < 0 || lifetime > 8760) {
+      throw new Error('Duração da sessão inválida');
+    }
+    if (isNaN(idle) || idle < 0 || idle > 1440) {
+      throw new Error('Tempo de inatividade inválido');
+    }
+    await this.updateCurrentUser({ security: { sessionLifetimeHours: lifetime, idleTimeoutMinutes: idle } });
+  },
+
+  /**
+   * Define o PIN de desbloqueio do usuário logado (exige a senha atual)
+   * @param {string} pin - PIN de 4 a 8 dígitos
+   * @param {string} pinConfirm - Confirmação do PIN
+   * @param {string} password - Senha atual
+   */
+  async setPin(pin, pinConfirm, password) {
+    if (!PIN_PATTERN.test(pin)) {
+      throw new Error('O PIN deve ter de 4 a 8 dígitos');
+    }
+    if (pin !== pinConfirm) {
+      throw new Error('Os PINs não conferem');
+    }
+    if (!await this.verifyPassword(await this.getCurrentUser(), password)) {
+      throw new Error('Senha atual incorreta');
+    }
+
+    const salt = this.toBase64(crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES)));
+    await this.updateCurrentUser({
+      pin: { salt, hash: await this.hashPassword(pin, salt, PASSWORD_HASH_ITERATIONS), iterations: PASSWORD_HASH_ITERATIONS }
+    });
+  },
+
+  /**
+   * Remove o PIN de desbloqueio do usuário logado (a sessão bloqueada passa a pedir a senha)
+   */
+  async removePin() {
+    await this.updateCurrentUser({ pin: null });
+  },
+
+  /**
+   * Verifica se o usuário está autenticado (sessão ativa, não vencida nem bloqueada)
+   * @returns {Promise<boolean>}
+   */
+  async isAuthenticated() {
+    return await this.checkSession() === SESSION_STATES.ACTIVE;
   },
 
   /**
    * Obtém informações da sessão atual
-   * @returns {object|null}
+   * @returns {Promise<object|null>}
    */
-  getSession() {
-    if (this.isAuthenticated()) {
+  async getSession() {
+    if (await this.isAuthenticated()) {
       return StorageService.get(AUTH_STORAGE_KEY);
     }
     return null;
   }
 };
-
@@ -0,0 +1,391 @@
+/**
+ * Backup Service
+ * Gera e restaura cópias de segurança (JSON) de todo o estado da aplicação
+ */
+
+const BACKUP_APP_ID = 'controle-financeiro-semanal';
+const BACKUP_VERSION = 1;
+const THEME_STORAGE_KEY = 'theme'; // Gravado como texto puro pelo Router (não é JSON)
+
+// Modos de restauração
+const RESTORE_MODES = {
+  REPLACE: 'replace', // Substitui todo o estado pelo conteúdo do backup
+  MERGE: 'merge' // Mescla os lançamentos por ID e mantém as configurações atuais
+};
+
+// Chaves incluídas no backup e o tipo esperado de cada valor
+// (a sessão de login não faz parte do backup)
+const BACKUP_KEYS = {
+  [FINANCE_STORAGE_KEY]: 'array',
+  [CLOSED_WEEKS_KEY]: 'array',
+  [WEEK_ID_MAPPING_KEY]: 'object',
+  [CURRENT_WEEK_ID_KEY]: 'string',
+  [CURRENT_WEEK_START_KEY]: 'string',
+  [NEXT_CLOSE_DATE_KEY]: 'string',
+  [AUTO_CLOSE_CONFIG_KEY]: 'object',
+  [WEEKLY_LIMIT_KEY]: 'number',
+  [CATEGORY_LIMITS_KEY]: 'object',
+  [CATEGORIES_STORAGE_KEY]: 'array',
+  [MEMBERS_STORAGE_KEY]: 'array',
+  [RECURRING_RULES_KEY]: 'array',
+  [WEEK_CLOSE_RECORDS_KEY]: 'object',
+  [WEEK_AUDIT_LOG_KEY]: 'array'
+};
+
+const BackupService = {
+  /**
+   * Monta o objeto de backup com todas as chaves da aplicação
+   * @returns {Promise<object>} Backup {app, version, createdAt, data, theme}
+   */
+  async createBackup() {
+    const data = {};
+    for (const key of Object.keys(BACKUP_KEYS)) {
+      data[key] = await StorageService.get(key, null);
+    }
+
+    return {
+      app: BACKUP_APP_ID,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      data,
+      theme: localStorage.getItem(THEME_STORAGE_KEY)
+    };
+  },
+
+  /**
+   * Gera o conteúdo do arquivo de backup
+   * @returns {Promise<string>} JSON formatado
+   */
+  async exportBackupJson() {
+    return JSON.stringify(await this.createBackup(), null, 2);
+  },
+
+  /**
+   * Verifica se um valor corresponde ao tipo esperado da chave
+   * @param {any} value - Valor a verificar
+   * @param {string} expectedType - 'array', 'object', 'string' ou 'number'
+   * @returns {boolean}
+   */
+  matchesType(value, expectedType) {
+    if (expectedType === 'array') {
+      return Array.isArray(value);
+    }
+    if (expectedType === 'object') {
+      return typeof value === 'object' && !Array.isArray(value);
+    }
+    return typeof value === expectedType;
+  },
+
+  /**
+   * Verifica se um valor é uma data em texto (ISO ou yyyy-mm-dd)
+   * @param {any} value - Valor a verificar
+   * @returns {boolean}
+   */
+  isDateString(value) {
+    return typeof value === 'string' && !isNaN(new Date(value).getTime());
+  },
+
+  /**
+   * Verifica se um valor é uma cor no formato #rrggbb
+   * @param {any} value - Valor a verificar
+   * @returns {boolean}
+   */
+  isColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+  },
+
+  /**
+   * Verifica se um valor é um valor monetário válido (número finito, não negativo)
+   * @param {any} value - Valor a verificar
+   * @returns {boolean}
+   */
+  isAmount(value) {
+    return typeof value === 'number' && isFinite(value) && value >= 0;
+  },
+
+  /**
+   * Valida cada registro de uma lista do backup
+   * @param {Array} records - Registros a validar
+   * @param {function} isValid - Recebe o registro e devolve se ele é válido
+   * @param {string} label - Nome da lista usado na mensagem de erro
+   */
+  validateRecords(records, isValid, label) {
+    records.forEach((record, index) => {
+      if (!record || typeof record !== 'object' || !isValid(record)) {
+        throw new Error(`${label}: o item ${index + 1} do backup está incompleto ou inválido`);
+      }
+    });
+  },
+
+  /**
+   * Lê e valida o conteúdo de um arquivo de backup
+   * @param {string} text - Conteúdo do arquivo
+   * @returns {object} Backup validado
+   */
+  parseBackup(text) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (error) {
+      throw new Error('O arquivo não é um JSON válido');
+    }
+
+    if (!backup || typeof backup !== 'object' || backup.app !== BACKUP_APP_ID) {
+      throw new Error('O arquivo não é um backup do Controle Financeiro Semanal');
+    }
+
+    if (!Number.isInteger(backup.version) || backup.version < 1) {
+      throw new Error('Versão do backup inválida');
+    }
+
+    if (backup.version > BACKUP_VERSION) {
+      throw new Error('Este backup foi gerado por uma versão mais recente da aplicação');
+    }
+
+    if (!backup.data || typeof backup.data !== 'object' || Array.isArray(backup.data)) {
+      throw new Error('O backup não contém dados');
+    }
+
+    // Valores ausentes ou nulos são aceitos (chave ainda não existia quando o backup foi gerado)
+    Object.entries(BACKUP_KEYS).forEach(([key, expectedType]) => {
+      const value = backup.data[key];
+      if (value !== undefined && value !== null && !this.matchesType(value, expectedType)) {
+        throw new Error(`Formato inválido para "${key}"`);
+      }
+    });
+
+    (backup.data[FINANCE_STORAGE_KEY] || []).forEach((t, index) => {
+      const isValid = t && typeof t === 'object' &&
+        typeof t.id === 'string' &&
+        typeof t.description === 'string' &&
+        typeof t.amount === 'number' && !isNaN(t.amount) &&
+        typeof t.date === 'string' && !isNaN(new Date(t.date).getTime()) &&
+        typeof t.weekId === 'string';
+      if (!isValid) {
+        throw new Error(`Lançamento ${index + 1} do backup está incompleto ou inválido`);
+      }
+    });
+
+    if ((backup.data[CLOSED_WEEKS_KEY] || []).some(weekId => typeof weekId !== 'string')) {
+      throw new Error('Lista de semanas fechadas inválida');
+    }
+
+    // Os registros abaixo são exibidos e gravados como vieram, então são validados um a um
+    // (tanto na substituição quanto na mesclagem)
+    if (Object.values(backup.data[WEEK_ID_MAPPING_KEY] || {}).some(weekStart => !this.isDateString(weekStart))) {
+      throw new Error('Mapeamento de semanas inválido');
+    }
+
+    if (Object.values(backup.data[CATEGORY_LIMITS_KEY] || {}).some(limit => !this.isAmount(limit))) {
+      throw new Error('Limites por categoria inválidos');
+    }
+
+    if (backup.data[WEEKLY_LIMIT_KEY] !== undefined && backup.data[WEEKLY_LIMIT_KEY] !== null &&
+      !this.isAmount(backup.data[WEEKLY_LIMIT_KEY])) {
+      throw new Error('Limite semanal inválido');
+    }
+
+    this.validateRecords(backup.data[CATEGORIES_STORAGE_KEY] || [], category =>
+      typeof category.id === 'string' &&
+      typeof category.name === 'string' &&
+      this.isColor(category.color) &&
+      (category.icon === undefined || typeof category.icon === 'string'),
+    'Categorias');
+
+    this.validateRecords(backup.data[MEMBERS_STORAGE_KEY] || [], member =>
+      typeof member.id === 'string' &&
+      typeof member.name === 'string' &&
+      this.isColor(member.color) &&
+      (member.weeklyAllowance === undefined || member.weeklyAllowance === null || this.isAmount(member.weeklyAllowance)),
+    'Membros');
+
+    this.validateRecords(backup.data[RECURRING_RULES_KEY] || [], rule =>
+      typeof rule.id === 'string' &&
+      typeof rule.description === 'string' &&
+      this.isAmount(rule.amount) &&
+      Object.values(TRANSACTION_TYPES).includes(rule.type) &&
+      typeof rule.categoryId === 'string' &&
+      Object.values(RECURRING_FREQUENCIES).includes(rule.frequency) &&
+      this.isDateString(rule.startDate) &&
+      (!rule.endDate || this.isDateString(rule.endDate)) &&
+      (!rule.lastMaterializedDate || this.isDateString(rule.lastMaterializedDate)),
+    'Regras de recorrência');
+
+    this.validateRecords(Object.values(backup.data[WEEK_CLOSE_RECORDS_KEY] || {}), record =>
+      (record.closedAt === undefined || record.closedAt === null || this.isDateString(record.closedAt)) &&
+      (record.total === undefined || (typeof record.total === 'number' && isFinite(record.total))),
+    'Registros de fechamento');
+
+    this.validateRecords(backup.data[WEEK_AUDIT_LOG_KEY] || [], entry =>
+      typeof entry.id === 'string' &&
+      typeof entry.action === 'string' &&
+      // Reparos de semanas não pertencem a uma semana específica (weekId null)
+      (typeof entry.weekId === 'string' || (entry.weekId === null && entry.action === 'repair')) &&
+      this.isDateString(entry.at),
+    'Registros de auditoria');
+
+    if (backup.theme !== undefined && backup.theme !== null && typeof backup.theme !== 'string') {
+      throw new Error('Tema inválido');
+    }
+
+    return backup;
+  },
+
+  /**
+   * Mescla duas listas de registros por ID
+   * Em IDs repetidos prevalece o registro alterado mais recentemente
+   * @param {Array} current - Registros atuais
+   * @param {Array} incoming - Registros do backup
+   * @returns {object} {merged, added, updated}
+   */
+  mergeById(current, incoming) {
+    const merged = [...current];
+    let added = 0;
+    let updated = 0;
+
+    incoming.forEach(record => {
+      const index = merged.findIndex(r => r.id === record.id);
+      if (index === -1) {
+        merged.push(record);
+        added++;
+        return;
+      }
+
+      const existing = merged[index];
+      const existingTime = new Date(existing.updatedAt || existing.createdAt || 0).getTime();
+      const incomingTime = new Date(record.updatedAt || record.createdAt || 0).getTime();
+      if (incomingTime > existingTime) {
+        merged[index] = record;
+        updated++;
+      }
+    });
+
+    return { merged, added, updated };
+  },
+
+  /**
+   * Descreve o que será alterado ao restaurar o backup
+   * @param {object} backup - Backup validado
+   * @param {string} mode - Modo de restauração (RESTORE_MODES)
+   * @returns {Promise<object>} Resumo {mode, createdAt, current, incoming, added, updated}
+   */
+  async describeRestore(backup, mode) {
+    const countItems = (data) => ({
+      transactions: (data[FINANCE_STORAGE_KEY] || []).length,
+      closedWeeks: (data[CLOSED_WEEKS_KEY] || []).length,
+      categories: (data[CATEGORIES_STORAGE_KEY] || []).length,
+      members: (data[MEMBERS_STORAGE_KEY] || []).length,
+      recurringRules: (data[RECURRING_RULES_KEY] || []).length
+    });
+
+    const currentData = (await this.createBackup()).data;
+    const summary = {
+      mode,
+      createdAt: backup.createdAt || null,
+      current: countItems(currentData),
+      incoming: countItems(backup.data),
+      added: 0,
+      updated: 0
+    };
+
+    if (mode === RESTORE_MODES.MERGE) {
+      const result = this.mergeById(currentData[FINANCE_STORAGE_KEY] || [], backup.data[FINANCE_STORAGE_KEY] || []);
+      summary.added = result.added;
+      summary.updated = result.updated;
+    }
+
+    return summary;
+  },
+
+  /**
+   * Restaura um backup validado
+   * No modo "replace" todas as chaves são substituídas (ausentes no backup são removidas).
+   * No modo "merge" os lançamentos são mesclados por ID e são acrescentadas apenas as semanas
+   * e as categorias e membros que ainda não existem; as configurações atuais são mantidas.
+   * @param {object} backup - Backup validado (parseBackup)
+   * @param {string} mode - Modo de restauração (RESTORE_MODES)
+   * @returns {Promise<object>} Resumo da restauração (describeRestore)
+   */
+  async restoreBackup(backup, mode) {
+    if (!Object.values(RESTORE_MODES).includes(mode)) {
+      throw new Error('Modo de restauração inválido');
+    }
+
+    const summary = await this.describeRestore(backup, mode);
+
+    if (mode === RESTORE_MODES.REPLACE) {
+      for (const key of Object.keys(BACKUP_KEYS)) {
+        const value = backup.data[key];
+        if (value === undefined || value === null) {
+          await StorageService.remove(key);
+        } else {
+          await StorageService.set(key, value);
+        }
+      }
+
+      if (backup.theme) {
+        localStorage.setItem(THEME_STORAGE_KEY, backup.theme);
+      }
+      return summary;
+    }
+
+    const incomingTransactions = backup.data[FINANCE_STORAGE_KEY] || [];
+    const result = this.mergeById(await FinanceService.getAllTransactions(), incomingTransactions);
+    await StorageService.set(FINANCE_STORAGE_KEY, result.merged);
+
+    // Semanas referenciadas pelos lançamentos importados (sem sobrescrever as atuais)
+    const mapping = await StorageService.get(WEEK_ID_MAPPING_KEY, {});
+    const newWeekIds = [];
+    Object.entries(backup.data[WEEK_ID_MAPPING_KEY] || {}).forEach(([weekId, weekStart]) => {
+      if (mapping[weekId] === undefined) {
+        mapping[weekId] = weekStart;
+        newWeekIds.push(weekId);
+      }
+    });
+    await StorageService.set(WEEK_ID_MAPPING_KEY, mapping);
+
+    // Só marca como fechadas as semanas trazidas pelo backup, nunca as semanas já existentes
+    const closedWeeks = await StorageService.get(CLOSED_WEEKS_KEY, []);
+    (backup.data[CLOSED_WEEKS_KEY] || []).forEach(weekId => {
+      if (newWeekIds.includes(weekId) && !closedWeeks.includes(weekId)) {
+        closedWeeks.push(weekId);
+      }
+    });
+    await StorageService.set(CLOSED_WEEKS_KEY, closedWeeks);
+
+    // Estado anterior ao fechamento só das semanas trazidas pelo backup
+    const closeRecords = await StorageService.get(WEEK_CLOSE_RECORDS_KEY, {});
+    Object.entries(backup.data[WEEK_CLOSE_RECORDS_KEY] || {}).forEach(([weekId, record]) => {
+      if (newWeekIds.includes(weekId) && closeRecords[weekId] === undefined) {
+        closeRecords[weekId] = record;
+      }
+    });
+    await StorageService.set(WEEK_CLOSE_RECORDS_KEY, closeRecords);
+
+    const auditLog = await StorageService.get(WEEK_AUDIT_LOG_KEY, []);
+    (backup.data[WEEK_AUDIT_LOG_KEY] || []).forEach(entry => {
+      if (!auditLog.some(e => e.id === entry.id)) {
+        auditLog.push(entry);
+      }
+    });
+    await StorageService.set(WEEK_AUDIT_LOG_KEY, auditLog);
+
+    const categories = await StorageService.get(CATEGORIES_STORAGE_KEY, []);
+    (backup.data[CATEGORIES_STORAGE_KEY] || []).forEach(category => {
+      if (!categories.some(c => c.id === category.id)) {
+        categories.push(category);
+      }
+    });
+    await StorageService.set(CATEGORIES_STORAGE_KEY, categories);
+
+    const members = await StorageService.get(MEMBERS_STORAGE_KEY, []);
+    (backup.data[MEMBERS_STORAGE_KEY] || []).forEach(member => {
+      if (!members.some(m => m.id === member.id)) {
+        members.push(member);
+      }
+    });
+    await StorageService.set(MEMBERS_STORAGE_KEY, members);
+
+    return summary;
+  }
+};
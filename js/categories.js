@@ -0,0 +1,195 @@
+/**
+ * Category Service
+ * Gerencia as categorias de gastos (criação, renomeação, arquivamento)
+ */
+
+const CATEGORIES_STORAGE_KEY = 'finance_categories';
+const UNCATEGORIZED_CATEGORY_ID = 'uncategorized'; // Categoria padrão para lançamentos sem categoria
+
+const CategoryService = {
+  /**
+   * Categoria padrão usada para lançamentos sem categoria
+   * Sempre existe e não pode ser arquivada
+   */
+  defaultCategory: {
+    id: UNCATEGORIZED_CATEGORY_ID,
+    name: 'Sem categoria',
+    color: '#64748b',
+    icon: '📦',
+    archived: false
+  },
+
+  /**
+   * Gera um ID único para uma categoria
+   * @returns {string} ID único gerado
+   */
+  generateCategoryId() {
+    return 'cat_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
+  },
+
+  /**
+   * Obtém todas as categorias (incluindo arquivadas)
+   * Garante que a categoria padrão esteja sempre presente
+   * @returns {Promise<Array>} Lista de categorias
+   */
+  async getAllCategories() {
+    const categories = await StorageService.get(CATEGORIES_STORAGE_KEY, []);
+    if (!categories.some(c => c.id === UNCATEGORIZED_CATEGORY_ID)) {
+      categories.unshift({ ...this.defaultCategory });
+    }
+    return categories;
+  },
+
+  /**
+   * Obtém as categorias ativas (não arquivadas)
+   * @returns {Promise<Array>} Lista de categorias ativas
+   */
+  async getActiveCategories() {
+    return (await this.getAllCategories()).filter(c => !c.archived);
+  },
+
+  /**
+   * Obtém uma categoria pelo ID
+   * @param {string} categoryId - ID da categoria
+   * @returns {Promise<object|null>} Categoria ou null se não encontrada
+   */
+  async getCategoryById(categoryId) {
+    return (await this.getAllCategories()).find(c => c.id === categoryId) || null;
+  },
+
+  /**
+   * Salva a lista de categorias
+   * @param {Array} categories - Lista de categorias
+   */
+  async saveCategories(categories) {
+    await StorageService.set(CATEGORIES_STORAGE_KEY, categories);
+  },
+
+  /**
+   * Valida o nome de uma categoria
+   * Não permite nomes vazios nem duplicados (ignorando maiúsculas/minúsculas)
+   * @param {string} name - Nome da categoria
+   * @param {string} ignoreId - ID a ignorar na verificação de duplicidade (opcional)
+   * @returns {Promise<string>} Nome normalizado
+   */
+  async validateCategoryName(name, ignoreId = null) {
+    if (!name || !name.trim()) {
+      throw new Error('Nome da categoria é obrigatório');
+    }
+
+    const normalized = name.trim();
+    const exists = (await this.getAllCategories()).some(c =>
+      c.id !== ignoreId && c.name.toLowerCase() === normalized.toLowerCase()
+    );
+    if (exists) {
+      throw new Error('Já existe uma categoria com este nome');
+    }
+
+    return normalized;
+  },
+
+  /**
+   * Valida a cor de uma categoria (formato hexadecimal #rrggbb)
+   * @param {string} color - Cor a validar
+   * @returns {string} Cor normalizada em minúsculas
+   */
+  validateCategoryColor(color) {
+    if (!/^#[0-9a-fA-F]{6}$/.test(color || '')) {
+      throw new Error('Cor inválida. Use o formato #rrggbb');
+    }
+    return color.toLowerCase();
+  },
+
+  /**
+   * Cria uma nova categoria
+   * @param {string} name - Nome da categoria
+   * @param {string} color - Cor em hexadecimal (ex: #2563eb)
+   * @param {string} icon - Ícone (emoji) da categoria
+   * @returns {Promise<object>} Categoria criada
+   */
+  async createCategory(name, color = '#2563eb', icon = '🏷️') {
+    const category = {
+      id: this.generateCategoryId(),
+      name: await this.validateCategoryName(name),
+      color: this.validateCategoryColor(color || '#2563eb'),
+      icon: (icon && icon.trim()) || '🏷️',
+      archived: false,
+      createdAt: new Date().toISOString()
+    };
+
+    const categories = await this.getAllCategories();
+    categories.push(category);
+    await this.saveCategories(categories);
+
+    return category;
+  },
+
+  /**
+   * Atualiza nome, cor e/ou ícone de uma categoria
+   * @param {string} categoryId - ID da categoria
+   * @param {object} changes - Campos a alterar {name, color, icon}
+   * @returns {Promise<object>} Categoria atualizada
+   */
+  async updateCategory(categoryId, changes = {}) {
+    const categories = await this.getAllCategories();
+    const category = categories.find(c => c.id === categoryId);
+    if (!category) {
+      throw new Error('Categoria não encontrada');
+    }
+
+    if (changes.name !== undefined) {
+      category.name = await this.validateCategoryName(changes.name, categoryId);
+    }
+    if (changes.color) {
+      category.color = this.validateCategoryColor(changes.color);
+    }
+    if (changes.icon && changes.icon.trim()) {
+      category.icon = changes.icon.trim();
+    }
+
+    await this.saveCategories(categories);
+    return category;
+  },
+
+  /**
+   * Renomeia uma categoria
+   * @param {string} categoryId - ID da categoria
+   * @param {string} name - Novo nome
+   * @returns {Promise<object>} Categoria atualizada
+   */
+  async renameCategory(categoryId, name) {
+    return this.updateCategory(categoryId, { name });
+  },
+
+  /**
+   * Arquiva ou reativa uma categoria
+   * Categorias arquivadas não aparecem no formulário, mas continuam nos totais
+   * @param {string} categoryId - ID da categoria
+   * @param {boolean} archived - True para arquivar, false para reativar
+   * @returns {Promise<object>} Categoria atualizada
+   */
+  async setCategoryArchived(categoryId, archived = true) {
+    if (categoryId === UNCATEGORIZED_CATEGORY_ID) {
+      throw new Error('A categoria padrão não pode ser arquivada');
+    }
+
+    const categories = await this.getAllCategories();
+    const category = categories.find(c => c.id === categoryId);
+    if (!category) {
+      throw new Error('Categoria não encontrada');
+    }
+
+    category.archived = archived;
+    await this.saveCategories(categories);
+    return category;
+  },
+
+  /**
+   * Arquiva uma categoria
+   * @param {string} categoryId - ID da categoria
+   * @returns {Promise<object>} Categoria arquivada
+   */
+  async archiveCategory(categoryId) {
+    return this.setCategoryArchived(categoryId, true);
+  }
+};
@@ -0,0 +1,144 @@
+/**
+ * Chart Service
+ * Gera gráficos em SVG sem bibliotecas externas
+ *
+ * As funções devolvem o SVG como texto para o Router inserir na página. As cores vêm das
+ * classes CSS (variáveis do tema), então os gráficos acompanham a troca de tema sem
+ * precisar ser redesenhados.
+ */
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 240;
+const CHART_PADDING = { top: 16, right: 16, bottom: 32, left: 64 };
+const CHART_GRID_LINES = 4;
+const CHART_BAR_ROW_HEIGHT = 28;
+
+const ChartService = {
+  /**
+   * Escapa um texto para uso dentro do SVG
+   * @param {any} text - Texto a escapar
+   * @returns {string} Texto escapado
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
+  /**
+   * Formata um valor para os eixos (sem centavos)
+   * @param {number} value - Valor
+   * @returns {string} Valor formatado (ex: R$ 1.200)
+   */
+  formatAxisValue(value) {
+    return new Intl.NumberFormat('pt-BR', {
+      style: 'currency',
+      currency: 'BRL',
+      maximumFractionDigits: 0
+    }).format(value);
+  },
+
+  /**
+   * Calcula o topo da escala vertical, arredondado para um valor legível
+   * @param {number} maxValue - Maior valor a exibir
+   * @returns {number} Valor do topo da escala (sempre maior que zero)
+   */
+  getScaleMax(maxValue) {
+    if (!maxValue || maxValue <= 0) {
+      return 100;
+    }
+    // Intervalo entre as linhas de grade: 1, 2, 2,5 ou 5 vezes uma potência de 10 (mínimo de R$ 1)
+    const rawStep = maxValue / CHART_GRID_LINES;
+    const magnitude = Math.pow(10, Math.max(Math.floor(Math.log10(rawStep)), 0));
+    const step = [1, 2, 2.5, 5, 10].find(s => s * magnitude >= rawStep);
+    return step * magnitude * CHART_GRID_LINES;
+  },
+
+  /**
+   * Gera um gráfico de colunas
+   * Colunas acima da linha de referência são destacadas como ultrapassadas
+   * @param {Array} bars - Lista de {label, value, title}
+   * @param {object} options - {reference: number|null, referenceLabel: string, formatValue: function}
+   * @returns {string} SVG
+   */
+  renderBarChart(bars, options = {}) {
+    const reference = options.reference !== undefined && options.reference !== null ? options.reference : null;
+    const formatValue = options.formatValue || (value => String(value));
+
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const scaleMax = this.getScaleMax(Math.max(...bars.map(b => b.value), reference || 0));
+    const toY = value => CHART_PADDING.top + plotHeight - (value / scaleMax) * plotHeight;
+
+    const parts = [];
+
+    for (let i = 0; i <= CHART_GRID_LINES; i++) {
+      const value = (scaleMax / CHART_GRID_LINES) * i;
+      const y = toY(value);
+      parts.push(`<line class="chart-grid" x1="${CHART_PADDING.left}" y1="${y}" x2="${CHART_WIDTH - CHART_PADDING.right}" y2="${y}" />`);
+      parts.push(`<text class="chart-axis-label" x="${CHART_PADDING.left - 8}" y="${y + 4}" text-anchor="end">${this.escapeXml(this.formatAxisValue(value))}</text>`);
+    }
+
+    const slot = bars.length > 0 ? plotWidth / bars.length : plotWidth;
+    const barWidth = Math.max(Math.min(slot * 0.7, 48), 2);
+    // Com muitas colunas, só parte dos rótulos cabe no eixo
+    const labelEvery = Math.ceil(bars.length / 12);
+
+    bars.forEach((bar, index) => {
+      const x = CHART_PADDING.left + slot * index + (slot - barWidth) / 2;
+      const y = toY(bar.value);
+      const height = CHART_PADDING.top + plotHeight - y;
+      const exceeded = reference !== null && bar.value > reference;
+      const title = bar.title || `${bar.label}: ${formatValue(bar.value)}`;
+      parts.push(`<rect class="chart-bar${exceeded ? ' chart-bar-exceeded' : ''}" x="${x}" y="${y}" width="${barWidth}" height="${height}" rx="2"><title>${this.escapeXml(title)}</title></rect>`);
+      if (index % labelEvery === 0) {
+        parts.push(`<text class="chart-axis-label" x="${x + barWidth / 2}" y="${CHART_HEIGHT - CHART_PADDING.bottom + 18}" text-anchor="middle">${this.escapeXml(bar.label)}</text>`);
+      }
+    });
+
+    if (reference !== null) {
+      const y = toY(reference);
+      const label = `${options.referenceLabel || 'Referência'}: ${formatValue(reference)}`;
+      parts.push(`<line class="chart-reference" x1="${CHART_PADDING.left}" y1="${y}" x2="${CHART_WIDTH - CHART_PADDING.right}" y2="${y}" />`);
+      parts.push(`<text class="chart-reference-label" x="${CHART_WIDTH - CHART_PADDING.right}" y="${y - 6}" text-anchor="end">${this.escapeXml(label)}</text>`);
+    }
+
+    return `<svg class="chart-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img">${parts.join('')}</svg>`;
+  },
+
+  /**
+   * Gera um gráfico de barras horizontais (uma linha por item, com rótulo e valor)
+   * @param {Array} items - Lista de {label, value, color}
+   * @param {object} options - {formatValue: function}
+   * @returns {string} SVG
+   */
+  renderHorizontalBarChart(items, options = {}) {
+    const formatValue = options.formatValue || (value => String(value));
+    const labelWidth = 160;
+    const valueWidth = 110;
+    const barAreaWidth = CHART_WIDTH - labelWidth - valueWidth;
+    const height = Math.max(items.length, 1) * CHART_BAR_ROW_HEIGHT;
+    const maxValue = Math.max(...items.map(i => i.value), 0);
+    const total = items.reduce((sum, i) => sum + i.value, 0);
+
+    const rows = items.map((item, index) => {
+      const y = index * CHART_BAR_ROW_HEIGHT;
+      const width = maxValue > 0 ? Math.max((item.value / maxValue) * barAreaWidth, 2) : 2;
+      const percent = total > 0 ? (item.value / total) * 100 : 0;
+      const label = item.label.length > 22 ? item.label.slice(0, 21) + '…' : item.label;
+      const color = /^#[0-9a-fA-F]{6}$/.test(item.color || '') ? ` style="fill: ${item.color};"` : '';
+      return `
+        <g>
+          <title>${this.escapeXml(`${item.label}: ${formatValue(item.value)} (${percent.toFixed(1)}%)`)}</title>
+          <text class="chart-axis-label" x="${labelWidth - 8}" y="${y + CHART_BAR_ROW_HEIGHT / 2 + 4}" text-anchor="end">${this.escapeXml(label)}</text>
+          <rect class="chart-bar"${color} x="${labelWidth}" y="${y + 5}" width="${width}" height="${CHART_BAR_ROW_HEIGHT - 10}" rx="2" />
+          <text class="chart-value-label" x="${labelWidth + width + 6}" y="${y + CHART_BAR_ROW_HEIGHT / 2 + 4}">${this.escapeXml(`${formatValue(item.value)} · ${percent.toFixed(0)}%`)}</text>
+        </g>
+      `;
+    });
+
+    return `<svg class="chart-svg" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img">${rows.join('')}</svg>`;
+  }
+};
@@ -6,10 +6,20 @@
 const AppConfig = {
   /**
    * Tipo de provider de dados
-   * Valores possíveis: 'localStorage' | 'supabase'
+   * Valores possíveis: 'localStorage' | 'indexedDB' | 'supabase'
    */
   DATA_PROVIDER: 'localStorage',
 
+  /**
+   * Configurações do IndexedDB (usado quando DATA_PROVIDER = 'indexedDB')
+   * Na primeira abertura os dados do localStorage são migrados para o banco
+   * Cada usuário tem um banco próprio, com o nome "<name>:<usuário>"
+   */
+  INDEXED_DB: {
+    name: 'controle-financeiro-semanal',
+    version: 1
+  },
+
   /**
    * Configurações do Supabase (será usado quando DATA_PROVIDER = 'supabase')
    * Para habilitar o Supabase, defina:
@@ -19,10 +29,14 @@ const AppConfig = {
   SUPABASE: {
     url: '', // URL do projeto Supabase
     anonKey: '', // Chave pública do Supabase
+    // Caminho da API REST (PostgREST); use '' para um servidor PostgREST local
+    restPath: '/rest/v1',
     // Nomes das tabelas no Supabase
     tables: {
       transactions: 'transactions',
       closedWeeks: 'closed_weeks',
+      weekMapping: 'week_mapping',
+      currentWeek: 'current_week',
       settings: 'settings'
     }
   },
@@ -35,6 +49,14 @@ const AppConfig = {
     return this.DATA_PROVIDER === 'supabase';
   },
 
+  /**
+   * Verifica se está usando IndexedDB
+   * @returns {boolean}
+   */
+  isUsingIndexedDB() {
+    return this.DATA_PROVIDER === 'indexedDB';
+  },
+
   /**
    * Verifica se está usando localStorage
    * @returns {boolean}
@@ -0,0 +1,325 @@
+/**
+ * Crypto Service
+ * Criptografia opcional dos dados no navegador (AES-GCM via Web Crypto)
+ *
+ * A chave é derivada de uma frase secreta do usuário (PBKDF2) e fica apenas na memória:
+ * depois de cada login (ou ao reabrir a aplicação) a frase precisa ser digitada de novo.
+ * Na conta fica gravado apenas o sal e um valor de verificação {salt, iterations, check}.
+ * Os dados enviados ao provider remoto (Supabase) não são criptografados.
+ */
+
+const ENCRYPTION_VERSION = 1;
+const ENCRYPTION_IV_BYTES = 12;
+const PASSPHRASE_MIN_LENGTH = 8;
+
+// Texto cifrado com a chave para conferir a frase secreta digitada
+const ENCRYPTION_CHECK_TEXT = 'controle-financeiro-semanal';
+const ENCRYPTION_CHECK_KEY = '__check';
+
+const CryptoService = {
+  /**
+   * Usuário logado e sua configuração de criptografia (null se desativada)
+   */
+  userId: null,
+  config: null,
+
+  /**
+   * Chave AES-GCM derivada da frase secreta (apenas na memória)
+   */
+  key: null,
+
+  /**
+   * Carrega a configuração do usuário que entrou (chamado pelo AuthService)
+   * A chave anterior é descartada
+   * @param {object|null} user - Conta (null no logout)
+   */
+  setUser(user) {
+    this.userId = user ? user.id : null;
+    this.config = user && user.encryption ? user.encryption : null;
+    this.key = null;
+  },
+
+  /**
+   * Verifica se os dados do usuário atual são criptografados
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.config !== null && this.userId !== null && DataProvider.scope === this.userId;
+  },
+
+  /**
+   * Verifica se a criptografia está ativada, mas a frase secreta ainda não foi digitada
+   * @returns {boolean}
+   */
+  isLocked() {
+    return this.isEnabled() && this.key === null;
+  },
+
+  /**
+   * Deriva a chave AES-GCM de uma frase secreta
+   * @param {string} passphrase - Frase secreta
+   * @param {string} salt - Sal em Base64
+   * @param {number} iterations - Iterações do PBKDF2
+   * @returns {Promise<CryptoKey>}
+   */
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: AuthService.fromBase64(salt), iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  },
+
+  /**
+   * Criptografa um valor com uma chave
+   * O nome da chave do storage entra como dado autenticado, então um envelope não pode ser
+   * copiado para outra chave
+   * @param {CryptoKey} key - Chave AES-GCM
+   * @param {string} name - Chave do storage
+   * @param {any} value - Valor (serializado em JSON)
+   * @returns {Promise<object>} Envelope {v, iv, data}
+   */
+  async encryptWith(key, name, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_IV_BYTES));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(name) },
+      key,
+      new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { v: ENCRYPTION_VERSION, iv: AuthService.toBase64(iv), data: AuthService.toBase64(data) };
+  },
+
+  /**
+   * Descriptografa um envelope com uma chave
+   * @param {CryptoKey} key - Chave AES-GCM
+   * @param {string} name - Chave do storage
+   * @param {object} envelope - Envelope {v, iv, data}
+   * @returns {Promise<any>} Valor
+   */
+  async decryptWith(key, name, envelope) {
+    if (!envelope || envelope.v !== ENCRYPTION_VERSION) {
+      throw new Error('Formato de dados criptografados desconhecido');
+    }
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: AuthService.fromBase64(envelope.iv), additionalData: new TextEncoder().encode(name) },
+      key,
+      AuthService.fromBase64(envelope.data)
+    );
+    return JSON.parse(new TextDecoder().decode(data));
+  },
+
+  /**
+   * Criptografa um valor com a chave do usuário logado
+   * @param {string} name - Chave do storage
+   * @param {any} value - Valor
+   * @returns {Promise<object>} Envelope
+   */
+  async encrypt(name, value) {
+    if (!this.key) {
+      throw new Error('Os dados estão criptografados. Digite a frase secreta para abri-los.');
+    }
+    return this.encryptWith(this.key, name, value);
+  },
+
+  /**
+   * Descriptografa um envelope com a chave do usuário logado
+   * @param {string} name - Chave do storage
+   * @param {object} envelope - Envelope
+   * @returns {Promise<any>} Valor
+   */
+  async decrypt(name, envelope) {
+    if (!this.key) {
+      throw new Error('Os dados estão criptografados. Digite a frase secreta para abri-los.');
+    }
+    try {
+      return await this.decryptWith(this.key, name, envelope);
+    } catch (error) {
+      console.error(`Erro ao descriptografar "${name}":`, error);
+      throw new Error('Não foi possível descriptografar os dados salvos no navegador.');
+    }
+  },
+
+  /**
+   * Valida uma nova frase secreta
+   * @param {string} passphrase - Frase secreta
+   * @param {string} passphraseConfirm - Confirmação
+   */
+  validatePassphrase(passphrase, passphraseConfirm) {
+    if (typeof passphrase !== 'string' || passphrase.length < PASSPHRASE_MIN_LENGTH) {
+      throw new Error(`A frase secreta deve ter pelo menos ${PASSPHRASE_MIN_LENGTH} caracteres`);
+    }
+    if (passphrase !== passphraseConfirm) {
+      throw new Error('As frases secretas não conferem');
+    }
+  },
+
+  /**
+   * Gera sal, chave e valor de verificação para uma frase secreta
+   * @param {string} passphrase - Frase secreta
+   * @returns {Promise<object>} {key, config}
+   */
+  async createKey(passphrase) {
+    const salt = AuthService.toBase64(crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES)));
+    const key = await this.deriveKey(passphrase, salt, PASSWORD_HASH_ITERATIONS);
+    const check = await this.encryptWith(key, ENCRYPTION_CHECK_KEY, ENCRYPTION_CHECK_TEXT);
+    return { key, config: { salt, iterations: PASSWORD_HASH_ITERATIONS, check } };
+  },
+
+  /**
+   * Deriva a chave da configuração atual e confere a frase secreta
+   * @param {string} passphrase - Frase secreta digitada
+   * @returns {Promise<CryptoKey|null>} Chave ou null se a frase estiver errada
+   */
+  async verifyPassphrase(passphrase) {
+    const key = await this.deriveKey(String(passphrase || ''), this.config.salt, this.config.iterations);
+    try {
+      const text = await this.decryptWith(key, ENCRYPTION_CHECK_KEY, this.config.check);
+      return text === ENCRYPTION_CHECK_TEXT ? key : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Abre os dados criptografados com a frase secreta (a chave fica na memória até o logout)
+   * @param {string} passphrase - Frase secreta
+   * @returns {Promise<boolean>} Se a frase está correta
+   */
+  async unlock(passphrase) {
+    if (!this.isEnabled()) {
+      return true;
+    }
+    const key = await this.verifyPassphrase(passphrase);
+    if (!key) {
+      return false;
+    }
+    this.key = key;
+    return true;
+  },
+
+  /**
+   * Lê todas as chaves do usuário no navegador
+   * @param {CryptoKey|null} key - Chave dos envelopes (null para ler em texto puro)
+   * @returns {Promise<object>} Valores por chave (somente as existentes)
+   */
+  async readLocalData(key) {
+    const browser = DataProvider.getBrowserProvider();
+    const data = {};
+    for (const name of LOCAL_USER_KEYS) {
+      const value = key
+        ? await browser.get(ENCRYPTED_KEY_PREFIX + name, null)
+        : await browser.get(name, null);
+      if (value !== null) {
+        data[name] = key ? await this.decryptWith(key, name, value) : value;
+      }
+    }
+    return data;
+  },
+
+  /**
+   * Grava as chaves do usuário no navegador e remove as do formato anterior
+   * @param {object} data - Valores por chave
+   * @param {CryptoKey|null} key - Chave dos envelopes (null para gravar em texto puro)
+   */
+  async writeLocalData(data, key) {
+    const browser = DataProvider.getBrowserProvider();
+    for (const [name, value] of Object.entries(data)) {
+      const saved = key
+        ? await browser.set(ENCRYPTED_KEY_PREFIX + name, await this.encryptWith(key, name, value))
+        : await browser.set(name, value);
+      if (!saved) {
+        throw new Error('Não foi possível gravar os dados no navegador');
+      }
+    }
+  },
+
+  /**
+   * Remove as chaves do usuário em um dos formatos
+   * @param {boolean} encrypted - Se remove os envelopes (true) ou o texto puro (false)
+   */
+  async removeLocalData(encrypted) {
+    const browser = DataProvider.getBrowserProvider();
+    for (const name of LOCAL_USER_KEYS) {
+      await browser.remove(encrypted ? ENCRYPTED_KEY_PREFIX + name : name);
+    }
+  },
+
+  /**
+   * Ativa a criptografia: regrava os dados do usuário logado como envelopes
+   * @param {string} passphrase - Nova frase secreta
+   * @param {string} passphraseConfirm - Confirmação
+   */
+  async enable(passphrase, passphraseConfirm) {
+    if (this.isEnabled()) {
+      throw new Error('A criptografia já está ativada');
+    }
+    this.validatePassphrase(passphrase, passphraseConfirm);
+
+    const { key, config } = await this.createKey(passphrase);
+    const data = await this.readLocalData(null);
+
+    // Envelopes primeiro: se algo falhar, os dados em texto puro continuam valendo
+    await this.writeLocalData(data, key);
+    const user = await AuthService.updateCurrentUser({ encryption: config });
+    this.setUser(user);
+    this.key = key;
+    await this.removeLocalData(false);
+    StorageService.clearCache();
+  },
+
+  /**
+   * Troca a frase secreta: descriptografa tudo com a chave atual e regrava com a nova
+   * Se a gravação falhar no meio, os dados são regravados com a chave atual
+   * @param {string} currentPassphrase - Frase secreta atual
+   * @param {string} passphrase - Nova frase secreta
+   * @param {string} passphraseConfirm - Confirmação
+   */
+  async changePassphrase(currentPassphrase, passphrase, passphraseConfirm) {
+    if (!this.isEnabled()) {
+      throw new Error('A criptografia não está ativada');
+    }
+    const currentKey = await this.verifyPassphrase(currentPassphrase);
+    if (!currentKey) {
+      throw new Error('Frase secreta atual incorreta');
+    }
+    this.validatePassphrase(passphrase, passphraseConfirm);
+
+    const data = await this.readLocalData(currentKey);
+    const { key, config } = await this.createKey(passphrase);
+    try {
+      await this.writeLocalData(data, key);
+    } catch (error) {
+      await this.writeLocalData(data, currentKey);
+      throw error;
+    }
+
+    const user = await AuthService.updateCurrentUser({ encryption: config });
+    this.setUser(user);
+    this.key = key;
+    StorageService.clearCache();
+  },
+
+  /**
+   * Desativa a criptografia: regrava os dados do usuário logado em texto puro
+   * @param {string} currentPassphrase - Frase secreta atual
+   */
+  async disable(currentPassphrase) {
+    if (!this.isEnabled()) {
+      throw new Error('A criptografia não está ativada');
+    }
+    const currentKey = await this.verifyPassphrase(currentPassphrase);
+    if (!currentKey) {
+      throw new Error('Frase secreta atual incorreta');
+    }
+
+    const data = await this.readLocalData(currentKey);
+    await this.writeLocalData(data, null);
+    const user = await AuthService.updateCurrentUser({ encryption: null });
+    this.setUser(user);
+    await this.removeLocalData(true);
+    StorageService.clearCache();
+  }
+};
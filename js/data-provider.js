@@ -1,14 +1,39 @@
 /**
  * Data Provider
- * Abstração para provedores de dados (localStorage ou Supabase)
+ * Abstração para provedores de dados (localStorage, IndexedDB ou Supabase)
  * Permite trocar facilmente entre diferentes fontes de dados
+ *
+ * Os dados são separados por usuário (DataProvider.scope): cada provider grava as chaves do
+ * usuário logado em um espaço próprio, exceto as chaves globais (contas e sessão de login).
  */
 
+// Chaves compartilhadas por todos os usuários do navegador
+const GLOBAL_STORAGE_KEYS = ['auth_users', 'auth_session'];
+
 /**
  * Provider LocalStorage
  * Implementação usando localStorage do navegador
+ * As chaves de cada usuário recebem o prefixo "user_<id>:" (ex: user_maria:finance_transactions)
  */
 const LocalStorageProvider = {
+  /**
+   * Monta o prefixo das chaves de um usuário
+   * @param {string|null} scope - ID do usuário (null para chaves globais)
+   * @returns {string} Prefixo (vazio para chaves globais)
+   */
+  getPrefix(scope) {
+    return scope ? `user_${scope}:` : '';
+  },
+
+  /**
+   * Obtém o nome da chave no localStorage
+   * @param {string} key - Chave da aplicação
+   * @returns {string} Chave com o prefixo do usuário
+   */
+  storageKey(key) {
+    return this.getPrefix(DataProvider.getKeyScope(key)) + key;
+  },
+
   /**
    * Salva dados no localStorage
    * @param {string} key - Chave para armazenar
@@ -18,7 +43,7 @@ const LocalStorageProvider = {
   async set(key, value) {
     try {
       const serialized = JSON.stringify(value);
-      localStorage.setItem(key, serialized);
+      localStorage.setItem(this.storageKey(key), serialized);
       return true;
     } catch (error) {
       console.error('Erro ao salvar no localStorage:', error);
@@ -34,7 +59,7 @@ const LocalStorageProvider = {
    */
   async get(key, defaultValue = null) {
     try {
-      const item = localStorage.getItem(key);
+      const item = localStorage.getItem(this.storageKey(key));
       if (item === null) {
         return defaultValue;
       }
@@ -52,7 +77,7 @@ const LocalStorageProvider = {
    */
   async remove(key) {
     try {
-      localStorage.removeItem(key);
+      localStorage.removeItem(this.storageKey(key));
       return true;
     } catch (error) {
       console.error('Erro ao remover do localStorage:', error);
@@ -61,12 +86,24 @@ const LocalStorageProvider = {
   },
 
   /**
-   * Limpa todo o localStorage
+   * Limpa os dados do usuário atual (ou todo o localStorage, se não há usuário)
    * @returns {Promise<boolean>}
    */
   async clear() {
     try {
-      localStorage.clear();
+      const prefix = this.getPrefix(DataProvider.scope);
+      if (!prefix) {
+        localStorage.clear();
+        return true;
+      }
+      const keys = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(prefix)) {
+          keys.push(key);
+        }
+      }
+      keys.forEach(key => localStorage.removeItem(key));
       return true;
     } catch (error) {
       console.error('Erro ao limpar localStorage:', error);
@@ -76,60 +113,991 @@ const LocalStorageProvider = {
 };
 
 /**
- * Provider Supabase (placeholder para implementação futura)
- * 
- * Para implementar:
- * 1. Instalar @supabase/supabase-js: npm install @supabase/supabase-js
- * 2. Criar cliente Supabase usando AppConfig.SUPABASE.url e AppConfig.SUPABASE.anonKey
- * 3. Implementar os métodos set, get, remove e clear usando as operações do Supabase
- * 4. Mapear as chaves do storage para as tabelas definidas em AppConfig.SUPABASE.tables
- * 
- * Exemplo de estrutura:
- * 
- * const SupabaseProvider = {
- *   client: null,
- *   
- *   async init() {
- *     const { createClient } = await import('@supabase/supabase-js');
- *     this.client = createClient(AppConfig.SUPABASE.url, AppConfig.SUPABASE.anonKey);
- *   },
- *   
- *   async set(key, value) {
- *     // Implementar salvamento no Supabase
- *   },
- *   
- *   async get(key, defaultValue) {
- *     // Implementar leitura do Supabase
- *   },
- *   
- *   async remove(key) {
- *     // Implementar remoção no Supabase
- *   },
- *   
- *   async clear() {
- *     // Implementar limpeza no Supabase
- *   }
- * };
+ * Provider Supabase
+ * Implementação usando a API REST do Supabase (protocolo PostgREST), sem dependências externas.
+ * As chaves do storage são mapeadas para as tabelas descritas em docs/SUPABASE_INTEGRATION.md:
+ * - finance_transactions      -> transactions (uma linha por lançamento)
+ * - finance_closed_weeks      -> closed_weeks (uma linha por semana fechada, na ordem da coluna position)
+ * - finance_week_id_mapping   -> week_mapping (uma linha por semana)
+ * - finance_current_week_id,
+ *   finance_current_week_start,
+ *   finance_next_close_date   -> current_week (uma linha por usuário)
+ * - demais chaves             -> settings (key/value JSONB)
+ * Todas as tabelas têm a coluna owner com o ID do usuário dono da linha ('' para chaves globais).
  */
+
+// Chaves gravadas como colunas da linha do usuário na tabela current_week
+const SUPABASE_CURRENT_WEEK_COLUMNS = {
+  finance_current_week_id: 'week_id',
+  finance_current_week_start: 'week_start_date',
+  finance_next_close_date: 'next_close_date'
+};
+
+// Quantidade máxima de IDs por filtro "in" (evita URLs muito longas)
+const SUPABASE_FILTER_CHUNK_SIZE = 100;
+
 const SupabaseProvider = {
+  /**
+   * Executa uma requisição na API REST
+   * @param {string} method - Método HTTP
+   * @param {string} table - Nome da tabela
+   * @param {string} query - Query string (filtros PostgREST, sem "?")
+   * @param {any} body - Corpo da requisição (opcional)
+   * @param {string} prefer - Valor do cabeçalho Prefer (opcional)
+   * @returns {Promise<any>} Resposta em JSON (ou null se vazia)
+   */
+  async request(method, table, query = '', body = undefined, prefer = '') {
+    const config = AppConfig.SUPABASE;
+    if (!config.url) {
+      throw new Error('URL do Supabase não configurada em AppConfig.SUPABASE.url');
+    }
+
+    const baseUrl = config.url.replace(/\/+$/, '') + (config.restPath || '');
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+    if (config.anonKey) {
+      headers.apikey = config.anonKey;
+      headers.Authorization = `Bearer ${config.anonKey}`;
+    }
+    if (prefer) {
+      headers.Prefer = prefer;
+    }
+
+    const response = await fetch(`${baseUrl}/${table}${query ? '?' + query : ''}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw new Error(`Erro HTTP ${response.status} no Supabase (${table}): ${text}`);
+    }
+    return text ? JSON.parse(text) : null;
+  },
+
+  /**
+   * Monta um filtro PostgREST "in" para uma lista de valores
+   * @param {string} column - Coluna filtrada
+   * @param {Array} values - Valores aceitos
+   * @returns {string} Filtro (ex: id=in.("a","b"))
+   */
+  buildInFilter(column, values) {
+    const list = values.map(v => `"${String(v).replace(/"/g, '\\"')}"`).join(',');
+    return `${column}=in.(${encodeURIComponent(list)})`;
+  },
+
+  /**
+   * Obtém o dono das linhas de uma chave
+   * @param {string} key - Chave do storage
+   * @returns {string} ID do usuário ('' para chaves globais)
+   */
+  getOwner(key) {
+    return DataProvider.getKeyScope(key) || '';
+  },
+
+  /**
+   * Monta o filtro PostgREST pelo dono das linhas
+   * @param {string} owner - ID do usuário
+   * @returns {string} Filtro (ex: owner=eq.maria)
+   */
+  buildOwnerFilter(owner) {
+    return `owner=eq.${encodeURIComponent(owner)}`;
+  },
+
+  /**
+   * Sincroniza as linhas de um usuário com a lista completa de linhas
+   * Faz upsert das linhas recebidas e apaga as que não estão mais na lista
+   * @param {string} table - Nome da tabela
+   * @param {string} idColumn - Coluna de chave primária
+   * @param {Array} rows - Linhas que devem existir na tabela
+   * @param {string} owner - Dono das linhas
+   */
+  async replaceRows(table, idColumn, rows, owner) {
+    const ownerFilter = this.buildOwnerFilter(owner);
+    const existing = await this.request('GET', table, `select=${idColumn}&${ownerFilter}`) || [];
+    const keepIds = new Set(rows.map(row => row[idColumn]));
+    const removedIds = existing.map(row => row[idColumn]).filter(id => !keepIds.has(id));
+
+    for (let i = 0; i < removedIds.length; i += SUPABASE_FILTER_CHUNK_SIZE) {
+      const chunk = removedIds.slice(i, i + SUPABASE_FILTER_CHUNK_SIZE);
+      await this.request('DELETE', table, `${ownerFilter}&${this.buildInFilter(idColumn, chunk)}`);
+    }
+
+    if (rows.length > 0) {
+      const ownedRows = rows.map(row => ({ ...row, owner }));
+      await this.request('POST', table, `on_conflict=${idColumn}`, ownedRows, 'resolution=merge-duplicates,return=minimal');
+    }
+  },
+
+  /**
+   * Converte um lançamento para linha da tabela transactions
+   * Campos sem coluna própria (ex: recurringRuleId, importSource) vão para a coluna metadata
+   * @param {object} transaction - Lançamento da aplicação
+   * @returns {object} Linha da tabela
+   */
+  transactionToRow(transaction) {
+    const { id, description, amount, date, weekId, categoryId, type, createdAt, updatedAt, ...metadata } = transaction;
+    return {
+      id,
+      description,
+      amount,
+      date,
+      week_id: weekId,
+      category_id: categoryId || null,
+      type: type || null,
+      created_at: createdAt || new Date().toISOString(),
+      updated_at: updatedAt || null,
+      metadata
+    };
+  },
+
+  /**
+   * Converte uma linha da tabela transactions para lançamento da aplicação
+   * @param {object} row - Linha da tabela
+   * @returns {object} Lançamento
+   */
+  rowToTransaction(row) {
+    const transaction = {
+      ...(row.metadata || {}),
+      id: row.id,
+      description: row.description,
+      amount: parseFloat(row.amount),
+      date: new Date(row.date).toISOString(),
+      weekId: row.week_id,
+      createdAt: new Date(row.created_at).toISOString()
+    };
+    if (row.category_id) {
+      transaction.categoryId = row.category_id;
+    }
+    if (row.type) {
+      transaction.type = row.type;
+    }
+    if (row.updated_at) {
+      transaction.updatedAt = new Date(row.updated_at).toISOString();
+    }
+    return transaction;
+  },
+
+  /**
+   * Salva dados no Supabase
+   * @param {string} key - Chave para armazenar
+   * @param {any} value - Valor a ser armazenado
+   * @returns {Promise<boolean>}
+   */
+  async set(key, value) {
+    const tables = AppConfig.SUPABASE.tables;
+    const owner = this.getOwner(key);
+    try {
+      if (key === 'finance_transactions') {
+        await this.replaceRows(tables.transactions, 'id', (value || []).map(t => this.transactionToRow(t)), owner);
+        return true;
+      }
+
+      if (key === 'finance_closed_weeks') {
+        // A ordem da lista é a ordem de fechamento (usada para saber qual semana pode ser reaberta)
+        const rows = (value || []).map((weekId, position) => ({ week_id: weekId, position }));
+        await this.replaceRows(tables.closedWeeks, 'week_id', rows, owner);
+        return true;
+      }
+
+      if (key === 'finance_week_id_mapping') {
+        const rows = Object.entries(value || {}).map(([weekId, weekStartDate]) => ({
+          week_id: weekId,
+          week_start_date: weekStartDate
+        }));
+        await this.replaceRows(tables.weekMapping, 'week_id', rows, owner);
+        return true;
+      }
+
+      if (SUPABASE_CURRENT_WEEK_COLUMNS[key]) {
+        const row = {
+          owner,
+          [SUPABASE_CURRENT_WEEK_COLUMNS[key]]: value,
+          updated_at: new Date().toISOString()
+        };
+        await this.request('POST', tables.currentWeek, 'on_conflict=owner', row, 'resolution=merge-duplicates,return=minimal');
+        return true;
+      }
+
+      // Outras configurações vão para a tabela settings
+      const row = { owner, key, value, updated_at: new Date().toISOString() };
+      await this.request('POST', tables.settings, 'on_conflict=owner,key', row, 'resolution=merge-duplicates,return=minimal');
+      return true;
+    } catch (error) {
+      console.error('Erro ao salvar no Supabase:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Recupera dados do Supabase
+   * Tabelas vazias (ou linha inexistente) retornam o valor padrão, como uma chave ausente no localStorage
+   * Falhas de rede ou HTTP lançam erro
+   * @param {string} key - Chave para recuperar
+   * @param {any} defaultValue - Valor padrão se não existir
+   * @returns {Promise<any>}
+   */
+  async get(key, defaultValue = null) {
+    const tables = AppConfig.SUPABASE.tables;
+    const ownerFilter = this.buildOwnerFilter(this.getOwner(key));
+    try {
+      if (key === 'finance_transactions') {
+        const rows = await this.request('GET', tables.transactions, `select=*&${ownerFilter}&order=created_at.asc`) || [];
+        return rows.length > 0 ? rows.map(row => this.rowToTransaction(row)) : defaultValue;
+      }
+
+      if (key === 'finance_closed_weeks') {
+        const rows = await this.request('GET', tables.closedWeeks, `select=week_id&${ownerFilter}&order=position.asc,closed_at.asc`) || [];
+        return rows.length > 0 ? rows.map(row => row.week_id) : defaultValue;
+      }
+
+      if (key === 'finance_week_id_mapping') {
+        const rows = await this.request('GET', tables.weekMapping, `select=week_id,week_start_date&${ownerFilter}`) || [];
+        if (rows.length === 0) {
+          return defaultValue;
+        }
+        const mapping = {};
+        rows.forEach(row => {
+          mapping[row.week_id] = row.week_start_date;
+        });
+        return mapping;
+      }
+
+      if (SUPABASE_CURRENT_WEEK_COLUMNS[key]) {
+        const column = SUPABASE_CURRENT_WEEK_COLUMNS[key];
+        const rows = await this.request('GET', tables.currentWeek, `select=${column}&${ownerFilter}`) || [];
+        if (rows.length === 0 || rows[0][column] === null || rows[0][column] === undefined) {
+          return defaultValue;
+        }
+        // Colunas de data voltam no formato do Postgres; a aplicação usa ISO
+        return column === 'week_id' ? rows[0][column] : new Date(rows[0][column]).toISOString();
+      }
+
+      const rows = await this.request('GET', tables.settings, `select=value&${ownerFilter}&key=eq.${encodeURIComponent(key)}`) || [];
+      return rows.length > 0 ? rows[0].value : defaultValue;
+    } catch (error) {
+      // Repassa o erro: tratar falha de rede como "sem dados" esconderia os dados do usuário
+      console.error('Erro ao ler do Supabase:', error);
+      throw new Error('Não foi possível carregar os dados do Supabase. Verifique a conexão.');
+    }
+  },
+
+  /**
+   * Remove item do Supabase
+   * @param {string} key - Chave para remover
+   * @returns {Promise<boolean>}
+   */
+  async remove(key) {
+    const tables = AppConfig.SUPABASE.tables;
+    const ownerFilter = this.buildOwnerFilter(this.getOwner(key));
+    try {
+      if (key === 'finance_transactions') {
+        await this.request('DELETE', tables.transactions, ownerFilter);
+      } else if (key === 'finance_closed_weeks') {
+        await this.request('DELETE', tables.closedWeeks, ownerFilter);
+      } else if (key === 'finance_week_id_mapping') {
+        await this.request('DELETE', tables.weekMapping, ownerFilter);
+      } else if (SUPABASE_CURRENT_WEEK_COLUMNS[key]) {
+        const changes = { [SUPABASE_CURRENT_WEEK_COLUMNS[key]]: null, updated_at: new Date().toISOString() };
+        await this.request('PATCH', tables.currentWeek, ownerFilter, changes);
+      } else {
+        await this.request('DELETE', tables.settings, `${ownerFilter}&key=eq.${encodeURIComponent(key)}`);
+      }
+      return true;
+    } catch (error) {
+      console.error('Erro ao remover do Supabase:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Limpa todos os dados do usuário atual nas tabelas da aplicação
+   * CUIDADO: apaga TODOS os dados do usuário!
+   * @returns {Promise<boolean>}
+   */
+  async clear() {
+    const tables = AppConfig.SUPABASE.tables;
+    const ownerFilter = this.buildOwnerFilter(DataProvider.scope || '');
+    try {
+      await this.request('DELETE', tables.transactions, ownerFilter);
+      await this.request('DELETE', tables.closedWeeks, ownerFilter);
+      await this.request('DELETE', tables.weekMapping, ownerFilter);
+      await this.request('DELETE', tables.currentWeek, ownerFilter);
+      await this.request('DELETE', tables.settings, ownerFilter);
+      return true;
+    } catch (error) {
+      console.error('Erro ao limpar Supabase:', error);
+      return false;
+    }
+  }
+};
+
+/**
+ * Provider IndexedDB
+ * Implementação usando o IndexedDB do navegador, sem o limite de ~5MB do localStorage.
+ * As chaves do storage são gravadas em object stores:
+ * - finance_transactions  -> transactions (um registro por lançamento, índices por weekId e date)
+ * - finance_closed_weeks  -> closed_weeks (um registro por semana fechada)
+ * - demais chaves         -> settings (key/value)
+ * Cada usuário tem o próprio banco ("<nome>:<id do usuário>"); as chaves globais ficam no banco
+ * principal. Na primeira abertura do banco principal os dados do localStorage são copiados para os bancos
+ * (as chaves "user_<id>:" vão para o banco do usuário).
+ */
+
+// Nomes dos object stores
+const INDEXED_DB_STORES = {
+  transactions: 'transactions',
+  closedWeeks: 'closed_weeks',
+  settings: 'settings'
+};
+
+// Registro em settings que indica que a migração do localStorage já foi feita
+const INDEXED_DB_MIGRATION_KEY = '__migrated_from_local_storage';
+
+const IndexedDBProvider = {
+  /**
+   * Conexões abertas (uma por banco, chave '' para o banco principal)
+   */
+  dbPromises: {},
+
+  /**
+   * Converte uma requisição do IndexedDB em Promise
+   * @param {IDBRequest} request - Requisição
+   * @returns {Promise<any>} Resultado da requisição
+   */
+  promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Abre o banco de um usuário, criando os object stores na primeira vez
+   * O banco principal (sem usuário) também recebe a migração do localStorage
+   * @param {string|null} scope - ID do usuário (null para o banco principal)
+   * @returns {Promise<IDBDatabase>}
+   */
+  open(scope = null) {
+    const id = scope || '';
+    if (!this.dbPromises[id]) {
+      const { name, version } = AppConfig.INDEXED_DB;
+      const request = indexedDB.open(scope ? `${name}:${scope}` : name, version);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(INDEXED_DB_STORES.transactions)) {
+          const store = db.createObjectStore(INDEXED_DB_STORES.transactions, { keyPath: 'id' });
+          store.createIndex('weekId', 'weekId', { unique: false });
+          store.createIndex('date', 'date', { unique: false });
+        }
+        if (!db.objectStoreNames.contains(INDEXED_DB_STORES.closedWeeks)) {
+          db.createObjectStore(INDEXED_DB_STORES.closedWeeks, { keyPath: 'weekId' });
+        }
+        if (!db.objectStoreNames.contains(INDEXED_DB_STORES.settings)) {
+          db.createObjectStore(INDEXED_DB_STORES.settings, { keyPath: 'key' });
+        }
+      };
+
+      const dbPromise = this.promisifyRequest(request)
+        .then(async db => {
+          if (!scope) {
+            await this.migrateFromLocalStorage(db);
+          }
+          return db;
+        });
+
+      // Permite tentar abrir novamente depois de uma falha
+      dbPromise.catch(() => {
+        delete this.dbPromises[id];
+      });
+      this.dbPromises[id] = dbPromise;
+    }
+    return this.dbPromises[id];
+  },
+
+  /**
+   * Executa operações em uma transação do banco de um usuário
+   * A Promise só é resolvida quando a transação é concluída (dados gravados)
+   * @param {string|null} scope - ID do usuário (null para o banco principal)
+   * @param {Array} storeNames - Object stores envolvidos
+   * @param {string} mode - 'readonly' ou 'readwrite'
+   * @param {Function} callback - Recebe (stores, result) e agenda as operações
+   * @returns {Promise<any>} Valor atribuído em result.value pelo callback
+   */
+  async runTransaction(scope, storeNames, mode, callback) {
+    const db = await this.open(scope);
+    return this.runTransactionOn(db, storeNames, mode, callback);
+  },
+
+  /**
+   * Executa operações em uma transação de uma conexão já aberta
+   * @param {IDBDatabase} db - Conexão
+   * @param {Array} storeNames - Object stores envolvidos
+   * @param {string} mode - 'readonly' ou 'readwrite'
+   * @param {Function} callback - Recebe (stores, result) e agenda as operações
+   * @returns {Promise<any>} Valor atribuído em result.value pelo callback
+   */
+  runTransactionOn(db, storeNames, mode, callback) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      const stores = {};
+      storeNames.forEach(storeName => {
+        stores[storeName] = transaction.objectStore(storeName);
+      });
+      const result = { value: undefined };
+
+      transaction.oncomplete = () => resolve(result.value);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transação do IndexedDB cancelada'));
+
+      callback(stores, result);
+    });
+  },
+
+  /**
+   * Copia os dados do localStorage para os bancos (apenas uma vez)
+   * Os dados originais são mantidos no localStorage como cópia de segurança
+   * @param {IDBDatabase} db - Conexão aberta do banco principal
+   * @returns {Promise<void>}
+   */
+  async migrateFromLocalStorage(db) {
+    const { transactions, closedWeeks, settings } = INDEXED_DB_STORES;
+    const migrated = await this.runTransactionOn(db, [settings], 'readonly', (stores, result) => {
+      stores[settings].get(INDEXED_DB_MIGRATION_KEY).onsuccess = (event) => {
+        result.value = Boolean(event.target.result);
+      };
+    });
+    if (migrated) return;
+
+    const entriesByScope = this.readLocalStorageForMigration();
+
+    // O banco principal é gravado por último, junto com o registro da migração,
+    // para que uma falha ao gravar no banco de um usuário faça a migração recomeçar
+    for (const [scope, entries] of entriesByScope) {
+      if (!scope) continue;
+      const userDb = await this.open(scope);
+      await this.runTransactionOn(userDb, [transactions, closedWeeks, settings], 'readwrite', (stores) => {
+        this.putMigratedEntries(stores, entries);
+      });
+    }
+
+    await this.runTransactionOn(db, [transactions, closedWeeks, settings], 'readwrite', (stores) => {
+      this.putMigratedEntries(stores, entriesByScope.get('') || []);
+      stores[settings].put({ key: INDEXED_DB_MIGRATION_KEY, value: new Date().toISOString() });
+    });
+  },
+
+  /**
+   * Lê do localStorage as chaves conhecidas da aplicação, separadas por usuário
+   * Chaves com o prefixo "user_<id>:" vão para o banco do usuário; as globais e as gravadas
+   * sem usuário (versões sem contas) vão para o banco principal. As demais são ignoradas.
+   * @returns {Map} ID do usuário ('' para o banco principal) -> Array de {key, value}
+   */
+  readLocalStorageForMigration() {
+    // Os envelopes criptografados vêm antes para que "encrypted:<chave>" não seja lido como "<chave>"
+    const userKeys = [...LOCAL_USER_KEYS.map(key => ENCRYPTED_KEY_PREFIX + key), ...LOCAL_USER_KEYS];
+    const entriesByScope = new Map();
+
+    for (let i = 0; i < localStorage.length; i++) {
+      const storageKey = localStorage.key(i);
+      let scope = '';
+      let key = null;
+      if (GLOBAL_STORAGE_KEYS.includes(storageKey) || userKeys.includes(storageKey)) {
+        key = storageKey;
+      } else if (storageKey.startsWith('user_')) {
+        // O ID do usuário pode conter ":", então a chave é reconhecida pelo final
+        key = userKeys.find(name => storageKey.endsWith(':' + name)) || null;
+        scope = key ? storageKey.slice('user_'.length, -(key.length + 1)) : '';
+      }
+      if (!key || (storageKey !== key && !scope)) continue;
+
+      let value;
+      try {
+        value = JSON.parse(localStorage.getItem(storageKey));
+      } catch (error) {
+        console.warn(`Chave "${storageKey}" do localStorage ignorada na migração:`, error);
+        continue;
+      }
+
+      if (!entriesByScope.has(scope)) {
+        entriesByScope.set(scope, []);
+      }
+      entriesByScope.get(scope).push({ key, value });
+    }
+
+    return entriesByScope;
+  },
+
+  /**
+   * Agenda a gravação das chaves migradas nos object stores de um banco
+   * @param {object} stores - Object stores da transação
+   * @param {Array} entries - Lista de {key, value}
+   */
+  putMigratedEntries(stores, entries) {
+    const { transactions, closedWeeks, settings } = INDEXED_DB_STORES;
+    entries.forEach(({ key, value }) => {
+      if (key === 'finance_transactions' && Array.isArray(value)) {
+        value.forEach(t => stores[transactions].put(t));
+      } else if (key === 'finance_closed_weeks' && Array.isArray(value)) {
+        value.forEach((weekId, position) => stores[closedWeeks].put({ weekId, position }));
+      } else {
+        stores[settings].put({ key, value });
+      }
+    });
+  },
+
+  /**
+   * Salva dados no IndexedDB
+   * Os lançamentos são gravados de forma incremental: apenas registros novos ou alterados
+   * são escritos e os que não estão mais na lista são excluídos
+   * @param {string} key - Chave para armazenar
+   * @param {any} value - Valor a ser armazenado
+   * @returns {Promise<boolean>}
+   */
+  async set(key, value) {
+    const { transactions, closedWeeks, settings } = INDEXED_DB_STORES;
+    const scope = DataProvider.getKeyScope(key);
+    try {
+      if (key === 'finance_transactions') {
+        await this.runTransaction(scope, [transactions], 'readwrite', (stores) => {
+          const store = stores[transactions];
+          store.getAll().onsuccess = (event) => {
+            const current = new Map(event.target.result.map(t => [t.id, JSON.stringify(t)]));
+            const ids = new Set();
+            (value || []).forEach(t => {
+              ids.add(t.id);
+              if (current.get(t.id) !== JSON.stringify(t)) {
+                store.put(t);
+              }
+            });
+            current.forEach((_, id) => {
+              if (!ids.has(id)) {
+                store.delete(id);
+              }
+            });
+          };
+        });
+        return true;
+      }
+
+      if (key === 'finance_closed_weeks') {
+        await this.runTransaction(scope, [closedWeeks], 'readwrite', (stores) => {
+          stores[closedWeeks].clear();
+          (value || []).forEach((weekId, position) => stores[closedWeeks].put({ weekId, position }));
+        });
+        return true;
+      }
+
+      await this.runTransaction(scope, [settings], 'readwrite', (stores) => {
+        stores[settings].put({ key, value });
+      });
+      return true;
+    } catch (error) {
+      console.error('Erro ao salvar no IndexedDB:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Recupera dados do IndexedDB
+   * Stores vazios retornam o valor padrão, como uma chave ausente no localStorage.
+   * Falhas ao abrir ou ler o banco lançam erro
+   * @param {string} key - Chave para recuperar
+   * @param {any} defaultValue - Valor padrão se não existir
+   * @returns {Promise<any>}
+   */
+  async get(key, defaultValue = null) {
+    const { transactions, closedWeeks, settings } = INDEXED_DB_STORES;
+    const scope = DataProvider.getKeyScope(key);
+    try {
+      if (key === 'finance_transactions') {
+        const rows = await this.runTransaction(scope, [transactions], 'readonly', (stores, result) => {
+          stores[transactions].getAll().onsuccess = (event) => {
+            result.value = event.target.result;
+          };
+        });
+        // Mantém a ordem de criação, como no localStorage
+        return rows.length > 0
+          ? rows.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''))
+          : defaultValue;
+      }
+
+      if (key === 'finance_closed_weeks') {
+        const rows = await this.runTransaction(scope, [closedWeeks], 'readonly', (stores, result) => {
+          stores[closedWeeks].getAll().onsuccess = (event) => {
+            result.value = event.target.result;
+          };
+        });
+        return rows.length > 0
+          ? rows.sort((a, b) => a.position - b.position).map(row => row.weekId)
+          : defaultValue;
+      }
+
+      const row = await this.runTransaction(scope, [settings], 'readonly', (stores, result) => {
+        stores[settings].get(key).onsuccess = (event) => {
+          result.value = event.target.result;
+        };
+      });
+      return row ? row.value : defaultValue;
+    } catch (error) {
+      console.error('Erro ao ler do IndexedDB:', error);
+      throw new Error('Não foi possível carregar os dados salvos no navegador.');
+    }
+  },
+
+  /**
+   * Remove item do IndexedDB
+   * @param {string} key - Chave para remover
+   * @returns {Promise<boolean>}
+   */
+  async remove(key) {
+    const { transactions, closedWeeks, settings } = INDEXED_DB_STORES;
+    const scope = DataProvider.getKeyScope(key);
+    try {
+      if (key === 'finance_transactions' || key === 'finance_closed_weeks') {
+        const storeName = key === 'finance_transactions' ? transactions : closedWeeks;
+        await this.runTransaction(scope, [storeName], 'readwrite', (stores) => {
+          stores[storeName].clear();
+        });
+      } else {
+        await this.runTransaction(scope, [settings], 'readwrite', (stores) => {
+          stores[settings].delete(key);
+        });
+      }
+      return true;
+    } catch (error) {
+      console.error('Erro ao remover do IndexedDB:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Limpa todos os dados do usuário atual no IndexedDB
+   * A marca de migração é mantida para que os dados antigos do localStorage não voltem
+   * @returns {Promise<boolean>}
+   */
+  async clear() {
+    const storeNames = Object.values(INDEXED_DB_STORES);
+    try {
+      await this.runTransaction(DataProvider.scope, storeNames, 'readwrite', (stores) => {
+        storeNames.forEach(storeName => stores[storeName].clear());
+        stores[INDEXED_DB_STORES.settings].put({ key: INDEXED_DB_MIGRATION_KEY, value: new Date().toISOString() });
+      });
+      return true;
+    } catch (error) {
+      console.error('Erro ao limpar IndexedDB:', error);
+      return false;
+    }
+  }
+};
+
+/**
+ * Provider com fila de sincronização offline
+ * Usado quando um provider remoto (Supabase) está configurado: leituras e gravações são feitas
+ * na cópia local (IndexedDB ou localStorage), então a aplicação continua funcionando sem conexão.
+ * Cada alteração dos dados sincronizados é registrada como operação em uma fila (write-ahead),
+ * que o SyncService (js/sync.js) reenvia ao provider remoto quando a conexão volta.
+ * O SyncService grava o estado remoto direto na cópia local (getLocal), sem passar pela fila.
+ *
+ * Operações registradas:
+ * - createTransaction / updateTransaction / deleteTransaction (por lançamento)
+ * - closeWeek / reopenWeek (por semana)
+ * - set / remove (demais chaves, valor completo)
+ */
+
+// Chaves sincronizadas com o provider remoto (a sessão de login fica apenas neste aparelho)
+const SYNCED_STORAGE_KEYS = [
+  'finance_transactions',
+  'finance_closed_weeks',
+  'finance_week_id_mapping',
+  'finance_current_week_id',
+  'finance_current_week_start',
+  'finance_next_close_date',
+  'finance_auto_close_config',
+  'finance_weekly_limit',
+  'finance_category_limits',
+  'finance_categories',
+  'finance_members',
+  'finance_recurring_rules',
+  'finance_week_close_records',
+  'finance_week_audit_log'
+];
+
+const SYNC_QUEUE_KEY = 'sync_queue'; // Fila de operações pendentes (cópia local)
+const SYNC_STATE_KEY = 'sync_state'; // {initializedAt, lastSyncAt}
+
+const OfflineSyncProvider = {
+  /**
+   * Provider da cópia local
+   * @returns {object}
+   */
+  getLocal() {
+    return DataProvider.getLocalProvider();
+  },
+
+  /**
+   * Obtém as operações pendentes
+   * @returns {Promise<Array>}
+   */
+  async getQueue() {
+    return this.getLocal().get(SYNC_QUEUE_KEY, []);
+  },
+
+  /**
+   * Grava a fila de operações
+   * @param {Array} queue - Operações pendentes
+   */
+  async saveQueue(queue) {
+    if (!await this.getLocal().set(SYNC_QUEUE_KEY, queue)) {
+      throw new Error('Não foi possível gravar a fila de sincronização');
+    }
+  },
+
+  /**
+   * Gera um ID único para uma operação da fila
+   * @returns {string} ID único gerado
+   */
+  generateOperationId() {
+    return 'op_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
+  },
+
+  /**
+   * Acrescenta operações ao fim da fila
+   * @param {Array} operations - Operações a registrar
+   */
+  async enqueue(operations) {
+    if (operations.length === 0) return;
+
+    const queue = await this.getQueue();
+    const queuedAt = new Date().toISOString();
+    operations.forEach(operation => queue.push({ ...operation, id: this.generateOperationId(), queuedAt }));
+    await this.saveQueue(queue);
+  },
+
+  /**
+   * Remove da fila as operações já sincronizadas
+   * Operações registradas depois que a sincronização leu a fila são mantidas
+   * @param {Array} operations - Operações sincronizadas (como lidas da fila)
+   */
+  async dequeue(operations) {
+    const ids = new Set(operations.filter(op => op.id).map(op => op.id));
+    // Operações gravadas antes de a fila ter IDs são reconhecidas pelo conteúdo
+    const legacy = new Set(operations.filter(op => !op.id).map(op => JSON.stringify(op)));
+    const queue = await this.getQueue();
+    await this.saveQueue(queue.filter(op => (op.id ? !ids.has(op.id) : !legacy.has(JSON.stringify(op)))));
+  },
+
+  /**
+   * Converte a gravação de uma chave em operações, comparando com o valor anterior
+   * @param {string} key - Chave gravada
+   * @param {any} previous - Valor anterior (cópia local)
+   * @param {any} value - Novo valor
+   * @returns {Array} Operações
+   */
+  diffOperations(key, previous, value) {
+    if (key === 'finance_transactions') {
+      const before = new Map((previous || []).map(t => [t.id, t]));
+      const after = new Set();
+      const operations = [];
+
+      (value || []).forEach(transaction => {
+        after.add(transaction.id);
+        const old = before.get(transaction.id);
+        if (!old) {
+          operations.push({ type: 'createTransaction', transaction });
+        } else if (JSON.stringify(old) !== JSON.stringify(transaction)) {
+          operations.push({ type: 'updateTransaction', transaction });
+        }
+      });
+      before.forEach((transaction, id) => {
+        if (!after.has(id)) {
+          operations.push({ type: 'deleteTransaction', transactionId: id });
+        }
+      });
+
+      return operations;
+    }
+
+    if (key === 'finance_closed_weeks') {
+      const before = previous || [];
+      const after = value || [];
+      return [
+        ...after.filter(weekId => !before.includes(weekId)).map(weekId => ({ type: 'closeWeek', weekId })),
+        ...before.filter(weekId => !after.includes(weekId)).map(weekId => ({ type: 'reopenWeek', weekId }))
+      ];
+    }
+
+    return [{ type: 'set', key, value }];
+  },
+
+  /**
+   * Avisa o SyncService de que há operações novas na fila
+   */
+  notifyQueued() {
+    if (typeof SyncService !== 'undefined') {
+      SyncService.scheduleSync();
+    }
+  },
+
+  /**
+   * Salva na cópia local e registra a alteração na fila
+   * @param {string} key - Chave para armazenar
+   * @param {any} value - Valor a ser armazenado
+   * @returns {Promise<boolean>}
+   */
   async set(key, value) {
-    console.warn('SupabaseProvider não implementado. Usando LocalStorageProvider.');
-    return LocalStorageProvider.set(key, value);
+    const local = this.getLocal();
+    const track = SYNCED_STORAGE_KEYS.includes(key);
+    const previous = track ? await local.get(key, null) : null;
+
+    if (!await local.set(key, value)) {
+      return false;
+    }
+
+    if (track) {
+      try {
+        await this.enqueue(this.diffOperations(key, previous, value));
+      } catch (error) {
+        console.error('Erro ao registrar operação na fila de sincronização:', error);
+        return false;
+      }
+      this.notifyQueued();
+    }
+    return true;
   },
 
-  async get(key, defaultValue) {
-    console.warn('SupabaseProvider não implementado. Usando LocalStorageProvider.');
-    return LocalStorageProvider.get(key, defaultValue);
+  /**
+   * Recupera dados da cópia local
+   * @param {string} key - Chave para recuperar
+   * @param {any} defaultValue - Valor padrão se não existir
+   * @returns {Promise<any>}
+   */
+  async get(key, defaultValue = null) {
+    return this.getLocal().get(key, defaultValue);
+  },
+
+  /**
+   * Remove item da cópia local e registra a remoção na fila
+   * @param {string} key - Chave para remover
+   * @returns {Promise<boolean>}
+   */
+  async remove(key) {
+    if (!await this.getLocal().remove(key)) {
+      return false;
+    }
+
+    if (SYNCED_STORAGE_KEYS.includes(key)) {
+      try {
+        await this.enqueue([{ type: 'remove', key }]);
+      } catch (error) {
+        console.error('Erro ao registrar operação na fila de sincronização:', error);
+        return false;
+      }
+      this.notifyQueued();
+    }
+    return true;
+  },
+
+  /**
+   * Limpa apenas a cópia local (inclusive a fila); os dados remotos voltam na próxima sincronização
+   * @returns {Promise<boolean>}
+   */
+  async clear() {
+    return this.getLocal().clear();
+  }
+};
+
+/**
+ * Provider com criptografia dos dados no navegador
+ * Usado quando o usuário logado ativou a criptografia (CryptoService em js/crypto.js): envolve o
+ * provider do navegador e grava cada chave do usuário como envelope AES-GCM na chave
+ * "encrypted:<chave>". As chaves globais (contas e sessão) continuam em texto puro.
+ */
+
+// Prefixo das chaves que guardam os envelopes criptografados
+const ENCRYPTED_KEY_PREFIX = 'encrypted:';
+
+// Chaves do usuário gravadas no navegador (convertidas ao ativar, trocar ou desativar a criptografia)
+const LOCAL_USER_KEYS = [...SYNCED_STORAGE_KEYS, SYNC_QUEUE_KEY, SYNC_STATE_KEY];
+
+const EncryptedProvider = {
+  /**
+   * Provider do navegador que recebe os envelopes
+   * @returns {object}
+   */
+  getInner() {
+    return DataProvider.getBrowserProvider();
+  },
+
+  /**
+   * Verifica se a chave é criptografada (chaves globais ficam em texto puro)
+   * @param {string} key - Chave do storage
+   * @returns {boolean}
+   */
+  isEncryptedKey(key) {
+    return DataProvider.getKeyScope(key) !== null;
+  },
+
+  /**
+   * Criptografa e salva dados
+   * @param {string} key - Chave para armazenar
+   * @param {any} value - Valor a ser armazenado
+   * @returns {Promise<boolean>}
+   */
+  async set(key, value) {
+    if (!this.isEncryptedKey(key)) {
+      return this.getInner().set(key, value);
+    }
+    try {
+      const envelope = await CryptoService.encrypt(key, value);
+      return this.getInner().set(ENCRYPTED_KEY_PREFIX + key, envelope);
+    } catch (error) {
+      console.error('Erro ao criptografar dados:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Recupera e descriptografa dados
+   * Sem a chave na memória (frase secreta ainda não digitada) lança erro
+   * @param {string} key - Chave para recuperar
+   * @param {any} defaultValue - Valor padrão se não existir
+   * @returns {Promise<any>}
+   */
+  async get(key, defaultValue = null) {
+    if (!this.isEncryptedKey(key)) {
+      return this.getInner().get(key, defaultValue);
+    }
+    const envelope = await this.getInner().get(ENCRYPTED_KEY_PREFIX + key, null);
+    if (envelope === null) {
+      return defaultValue;
+    }
+    const value = await CryptoService.decrypt(key, envelope);
+    return value === null ? defaultValue : value;
   },
 
+  /**
+   * Remove item
+   * @param {string} key - Chave para remover
+   * @returns {Promise<boolean>}
+   */
   async remove(key) {
-    console.warn('SupabaseProvider não implementado. Usando LocalStorageProvider.');
-    return LocalStorageProvider.remove(key);
+    if (!this.isEncryptedKey(key)) {
+      return this.getInner().remove(key);
+    }
+    return this.getInner().remove(ENCRYPTED_KEY_PREFIX + key);
   },
 
+  /**
+   * Limpa os dados do usuário atual
+   * @returns {Promise<boolean>}
+   */
   async clear() {
-    console.warn('SupabaseProvider não implementado. Usando LocalStorageProvider.');
-    return LocalStorageProvider.clear();
+    return this.getInner().clear();
   }
 };
 
@@ -138,16 +1106,91 @@ const SupabaseProvider = {
  * Retorna o provider correto baseado na configuração
  */
 const DataProvider = {
+  /**
+   * ID do usuário dono dos dados lidos e gravados (null antes do login)
+   */
+  scope: null,
+
+  /**
+   * Define o usuário dono dos dados (chamado pelo AuthService no login e no logout)
+   * @param {string|null} userId - ID do usuário
+   */
+  setScope(userId) {
+    this.scope = userId || null;
+  },
+
+  /**
+   * Obtém o usuário em cujo espaço uma chave é gravada
+   * @param {string} key - Chave do storage
+   * @returns {string|null} ID do usuário ou null para chaves globais
+   */
+  getKeyScope(key) {
+    return GLOBAL_STORAGE_KEYS.includes(key) ? null : this.scope;
+  },
+
+  /**
+   * Executa operações no espaço de outro usuário e restaura o usuário atual ao final
+   * @param {string|null} scope - ID do usuário (null para os dados sem dono)
+   * @param {Function} callback - Função assíncrona a executar
+   * @returns {Promise<any>} Retorno do callback
+   */
+  async runInScope(scope, callback) {
+    const previous = this.scope;
+    this.scope = scope || null;
+    try {
+      return await callback();
+    } finally {
+      this.scope = previous;
+    }
+  },
+
   /**
    * Obtém o provider ativo
-   * @returns {object} Provider (LocalStorageProvider ou SupabaseProvider)
+   * Com um provider remoto configurado, retorna o OfflineSyncProvider (cópia local + fila)
+   * @returns {object} Provider (LocalStorageProvider, IndexedDBProvider ou OfflineSyncProvider)
    */
   getProvider() {
+    if (this.getRemoteProvider()) {
+      return OfflineSyncProvider;
+    }
+    return this.getLocalProvider();
+  },
+
+  /**
+   * Obtém o provider remoto configurado
+   * @returns {object|null} SupabaseProvider ou null se os dados ficam apenas no navegador
+   */
+  getRemoteProvider() {
     // Verifica se AppConfig está disponível e se está configurado para usar Supabase
     if (typeof AppConfig !== 'undefined' && AppConfig.isUsingSupabase()) {
       return SupabaseProvider;
     }
-    return LocalStorageProvider;
+    return null;
+  },
+
+  /**
+   * Obtém o provider que grava no navegador
+   * Também é a cópia local usada quando há um provider remoto.
+   * Com a criptografia ativada pelo usuário logado, os dados passam pelo EncryptedProvider
+   * @returns {object} EncryptedProvider, IndexedDBProvider ou LocalStorageProvider
+   */
+  getLocalProvider() {
+    if (typeof CryptoService !== 'undefined' && CryptoService.isEnabled()) {
+      return EncryptedProvider;
+    }
+    return this.getBrowserProvider();
+  },
+
+  /**
+   * Obtém o provider do navegador, sem criptografia
+   * @returns {object} IndexedDBProvider ou LocalStorageProvider
+   */
+  getBrowserProvider() {
+    if (typeof AppConfig !== 'undefined' && AppConfig.isUsingLocalStorage()) {
+      return LocalStorageProvider;
+    }
+    // Navegadores sem IndexedDB continuam usando o localStorage
+    return typeof indexedDB !== 'undefined' ? IndexedDBProvider : LocalStorageProvider;
   },
 
   /**
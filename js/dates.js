@@ -3,41 +3,81 @@
  * Gerencia cálculos de datas e semanas
  */
 
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
 const DatesService = {
   /**
-   * Obtém o início da semana (domingo) para uma data
+   * Ciclo padrão: semanas de domingo a sábado
+   * Um ciclo é {length: duração em dias, anchor: data de início de qualquer ciclo}
+   * (ver FinanceService.getCycle, que monta o ciclo configurado na tela de admin)
+   */
+  defaultCycle: {
+    length: 7,
+    anchor: new Date(2024, 0, 7) // Um domingo
+  },
+
+  /**
+   * Obtém o número do dia de uma data (dias desde 01/01/1970), ignorando o horário
+   * Não é afetado por mudanças de horário de verão
    * @param {Date} date - Data de referência
-   * @returns {Date} Data do início da semana (domingo)
+   * @returns {number} Número do dia
    */
-  getWeekStart(date = new Date()) {
+  getDayNumber(date) {
     const d = new Date(date);
-    const day = d.getDay();
-    const diff = d.getDate() - day; // Diferença até domingo
-    d.setDate(diff);
+    return Math.round(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) / MS_PER_DAY);
+  },
+
+  /**
+   * Obtém o início do ciclo (semana) que contém uma data
+   * @param {Date} date - Data de referência
+   * @param {object} cycle - Ciclo {length, anchor} (padrão: domingo a sábado)
+   * @returns {Date} Data do início do ciclo (00:00)
+   */
+  getWeekStart(date = new Date(), cycle = this.defaultCycle) {
+    const d = new Date(date);
+    const offset = this.getDayNumber(d) - this.getDayNumber(cycle.anchor);
+    const daysIntoCycle = ((offset % cycle.length) + cycle.length) % cycle.length;
+    d.setDate(d.getDate() - daysIntoCycle);
     d.setHours(0, 0, 0, 0);
     return d;
   },
 
   /**
-   * Obtém o fim da semana (sábado) para uma data
+   * Obtém o fim do ciclo (semana) que contém uma data
    * @param {Date} date - Data de referência
-   * @returns {Date} Data do fim da semana (sábado)
+   * @param {object} cycle - Ciclo {length, anchor} (padrão: domingo a sábado)
+   * @returns {Date} Último dia do ciclo (23:59:59.999)
    */
-  getWeekEnd(date = new Date()) {
-    const weekStart = this.getWeekStart(date);
+  getWeekEnd(date = new Date(), cycle = this.defaultCycle) {
+    const weekStart = this.getWeekStart(date, cycle);
     const weekEnd = new Date(weekStart);
-    weekEnd.setDate(weekEnd.getDate() + 6);
+    weekEnd.setDate(weekEnd.getDate() + cycle.length - 1);
     weekEnd.setHours(23, 59, 59, 999);
     return weekEnd;
   },
 
   /**
-   * Obtém o identificador único da semana (timestamp do início)
+   * Verifica se uma data é o primeiro dia de um ciclo
+   * @param {Date} date - Data a verificar
+   * @param {object} cycle - Ciclo {length, anchor}
+   * @returns {boolean} True se a data inicia um ciclo
+   */
+  isCycleStart(date, cycle = this.defaultCycle) {
+    return this.getDayNumber(this.getWeekStart(date, cycle)) === this.getDayNumber(date);
+  },
+
+  /**
+   * Encontra o início do próximo ciclo após uma data (nunca a própria data)
+   * Como getNextDayOfWeekAfter, retorna o dia ao meio dia
    * @param {Date} date - Data de referência
-   * @returns {string} ID da semana (timestamp)
+   * @param {object} cycle - Ciclo {length, anchor}
+   * @returns {Date} Início do próximo ciclo
    */
-  getWeekId(date = new Date()) {
-    return this.getWeekStart(date).getTime().toString();
+  getNextCycleStartAfter(date, cycle = this.defaultCycle) {
+    const d = this.getWeekStart(date, cycle);
+    d.setDate(d.getDate() + cycle.length);
+    d.setHours(12, 0, 0, 0);
+    return d;
   },
 
   /**
@@ -75,18 +115,6 @@ const DatesService = {
     return new Date(dateString + 'T00:00:00');
   },
 
-  /**
-   * Verifica se uma data está dentro de uma semana
-   * @param {Date} date - Data a verificar
-   * @param {string} weekId - ID da semana
-   * @returns {boolean}
-   */
-  isDateInWeek(date, weekId) {
-    const weekStart = new Date(parseInt(weekId));
-    const weekEnd = this.getWeekEnd(weekStart);
-    return date >= weekStart && date <= weekEnd;
-  },
-
   /**
    * Verifica se uma data está dentro do período da semana atual
    * @param {Date} date - Data a verificar
@@ -104,56 +132,6 @@ const DatesService = {
     return dateToCheck >= start && dateToCheck <= end;
   },
 
-  /**
-   * Obtém o período da semana em formato legível
-   * @param {string} weekId - ID da semana
-   * @returns {string} Período formatado (ex: "01/12/2024 - 07/12/2024")
-   */
-  getWeekPeriod(weekId) {
-    const weekStart = new Date(parseInt(weekId));
-    const weekEnd = this.getWeekEnd(weekStart);
-    return `${this.formatDate(weekStart)} - ${this.formatDate(weekEnd)}`;
-  },
-
-  /**
-   * Verifica se uma data é domingo
-   * @param {Date} date - Data a verificar
-   * @returns {boolean} True se for domingo
-   */
-  isSunday(date) {
-    return date.getDay() === 0;
-  },
-
-  /**
-   * Encontra o próximo domingo a partir de uma data
-   * Se a data já for domingo, retorna a própria data
-   * @param {Date} date - Data de referência
-   * @returns {Date} Próximo domingo
-   */
-  getNextSunday(date = new Date()) {
-    const d = new Date(date);
-    const day = d.getDay();
-    const diff = day === 0 ? 0 : 7 - day; // Se já é domingo, não muda
-    d.setDate(d.getDate() + diff);
-    d.setHours(12, 0, 0, 0); // Meio dia
-    return d;
-  },
-
-  /**
-   * Encontra o próximo domingo após uma data
-   * Sempre retorna um domingo futuro (nunca a mesma data, mesmo que seja domingo)
-   * @param {Date} date - Data de referência
-   * @returns {Date} Próximo domingo futuro
-   */
-  getNextSundayAfter(date = new Date()) {
-    const d = new Date(date);
-    const day = d.getDay();
-    const diff = day === 0 ? 7 : 7 - day; // Sempre avança pelo menos 7 dias se for domingo
-    d.setDate(d.getDate() + diff);
-    d.setHours(12, 0, 0, 0); // Meio dia
-    return d;
-  },
-
   /**
    * Verifica se uma data corresponde a um dia da semana específico
    * @param {Date} date - Data a verificar
@@ -185,78 +163,6 @@ const DatesService = {
     return d;
   },
 
-  /**
-   * Calcula o início da semana atual baseado na data de próximo fechamento
-   * A semana atual começa 7 dias após o início da última semana fechada
-   * @param {Date} nextCloseDate - Data do próximo fechamento
-   * @param {Date} lastCloseDate - Data de início da última semana fechada (opcional)
-   * @returns {Date} Data de início da semana atual
-   */
-  getCurrentWeekStart(nextCloseDate, lastCloseDate = null) {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    if (!nextCloseDate) {
-      // Se não há próxima data de fechamento, usa início da semana padrão (domingo)
-      return this.getWeekStart(today);
-    }
-    
-    const nextClose = new Date(nextCloseDate);
-    nextClose.setHours(0, 0, 0, 0);
-    
-    // Se há uma data de último fechamento (início da última semana fechada)
-    if (lastCloseDate) {
-      const lastWeekStart = new Date(lastCloseDate);
-      lastWeekStart.setHours(0, 0, 0, 0);
-      
-      // A semana atual começa 7 dias após o início da última semana fechada
-      // Exemplo: se última semana começou em 22/12/2025, a atual começa em 29/12/2025
-      const weekStart = new Date(lastWeekStart);
-      weekStart.setDate(weekStart.getDate() + 7);
-      weekStart.setHours(0, 0, 0, 0);
-      
-      // A semana atual não pode começar antes de hoje
-      // Mas também não pode começar depois ou igual ao próximo fechamento
-      if (weekStart >= nextClose) {
-        // Se houver inconsistência (weekStart >= nextClose), calcula retroativamente
-        // A semana atual deve começar 7 dias antes do próximo fechamento
-        const calculatedStart = new Date(nextClose);
-        calculatedStart.setDate(calculatedStart.getDate() - 7);
-        calculatedStart.setHours(0, 0, 0, 0);
-        
-        // Usa o maior entre o cálculo correto e hoje
-        return calculatedStart > today ? calculatedStart : today;
-      }
-      
-      // Usa o maior entre o cálculo correto e hoje
-      return weekStart > today ? weekStart : today;
-    }
-    
-    // Se não há último fechamento, calcula a partir da data de próximo fechamento
-    // A semana atual começa 7 dias antes do próximo fechamento
-    const weekStart = new Date(nextClose);
-    weekStart.setDate(weekStart.getDate() - 7);
-    weekStart.setHours(0, 0, 0, 0);
-    
-    // Mas não pode começar antes de hoje
-    return weekStart > today ? weekStart : today;
-  },
-
-  /**
-   * Calcula o fim da semana atual baseado na data de próximo fechamento
-   * @param {Date} nextCloseDate - Data do próximo fechamento
-   * @returns {Date} Data de fim da semana atual
-   */
-  getCurrentWeekEnd(nextCloseDate) {
-    if (!nextCloseDate) {
-      return this.getWeekEnd(new Date());
-    }
-    
-    const nextClose = new Date(nextCloseDate);
-    nextClose.setHours(23, 59, 59, 999);
-    return nextClose;
-  },
-
   /**
    * Obtém o período da semana atual em formato legível
    * @param {Date} weekStart - Data de início da semana
@@ -0,0 +1,183 @@
+/**
+ * Export Service
+ * Gera arquivos CSV com os lançamentos e os resumos semanais
+ */
+
+// Formatos de saída suportados
+const EXPORT_FORMATS = {
+  BR: 'br', // Datas dd/mm/yyyy, decimais com vírgula e separador ";" (Excel pt-BR)
+  ISO: 'iso' // Datas ISO 8601, decimais com ponto e separador ","
+};
+
+const ExportService = {
+  /**
+   * Escapa um valor para uso em CSV
+   * Valores com separador, aspas ou quebra de linha são envolvidos em aspas
+   * @param {any} value - Valor a escapar
+   * @param {string} delimiter - Separador de colunas
+   * @returns {string} Valor escapado
+   */
+  escapeCsvValue(value, delimiter) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = String(value);
+    if (text.includes(delimiter) || text.includes('"') || text.includes('\n') || text.includes('\r')) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  },
+
+  /**
+   * Monta o conteúdo CSV a partir de cabeçalhos e linhas
+   * @param {Array} headers - Nomes das colunas
+   * @param {Array} rows - Lista de linhas (arrays de valores)
+   * @param {string} format - Formato de saída (EXPORT_FORMATS)
+   * @returns {string} Conteúdo CSV
+   */
+  buildCsv(headers, rows, format = EXPORT_FORMATS.BR) {
+    const delimiter = format === EXPORT_FORMATS.BR ? ';' : ',';
+    return [headers, ...rows]
+      .map(row => row.map(value => this.escapeCsvValue(value, delimiter)).join(delimiter))
+      .join('\r\n');
+  },
+
+  /**
+   * Formata um número conforme o formato de saída
+   * @param {number} value - Valor numérico
+   * @param {string} format - Formato de saída (EXPORT_FORMATS)
+   * @returns {string} Número formatado (sem separador de milhar)
+   */
+  formatNumber(value, format) {
+    const fixed = value.toFixed(2);
+    return format === EXPORT_FORMATS.BR ? fixed.replace('.', ',') : fixed;
+  },
+
+  /**
+   * Formata uma data conforme o formato de saída
+   * @param {Date} date - Data
+   * @param {string} format - Formato de saída (EXPORT_FORMATS)
+   * @returns {string} Data formatada
+   */
+  formatDate(date, format) {
+    return format === EXPORT_FORMATS.BR ? DatesService.formatDate(date) : DatesService.formatDateForInput(date);
+  },
+
+  /**
+   * Formata um valor booleano conforme o formato de saída
+   * @param {boolean} value - Valor
+   * @param {string} format - Formato de saída (EXPORT_FORMATS)
+   * @returns {string} "Sim"/"Não" ou "true"/"false"
+   */
+  formatBoolean(value, format) {
+    if (format === EXPORT_FORMATS.BR) {
+      return value ? 'Sim' : 'Não';
+    }
+    return value ? 'true' : 'false';
+  },
+
+  /**
+   * Verifica se uma data está dentro do intervalo do filtro
+   * @param {Date} date - Data a verificar
+   * @param {string} startDate - Data inicial inclusiva (yyyy-mm-dd, opcional)
+   * @param {string} endDate - Data final inclusiva (yyyy-mm-dd, opcional)
+   * @returns {boolean}
+   */
+  isDateInRange(date, startDate, endDate) {
+    const dateString = DatesService.formatDateForInput(date);
+    if (startDate && dateString < startDate) {
+      return false;
+    }
+    if (endDate && dateString > endDate) {
+      return false;
+    }
+    return true;
+  },
+
+  /**
+   * Gera o CSV de todos os lançamentos
+   * @param {object} options - Opções de exportação
+   * @param {string} options.format - Formato de saída (EXPORT_FORMATS)
+   * @param {string} options.startDate - Data inicial do filtro (yyyy-mm-dd, opcional)
+   * @param {string} options.endDate - Data final do filtro (yyyy-mm-dd, opcional)
+   * @returns {Promise<string>} Conteúdo CSV
+   */
+  async exportTransactionsCsv(options = {}) {
+    const format = options.format || EXPORT_FORMATS.BR;
+    const categories = await CategoryService.getAllCategories();
+    const closedWeeks = await FinanceService.getClosedWeeks();
+    const weeks = {};
+    (await WeekService.getWeeks()).forEach(week => {
+      weeks[week.weekId] = week;
+    });
+    const periods = {};
+
+    // Calcula o período de cada semana uma única vez
+    const getPeriod = (weekId) => {
+      if (periods[weekId] === undefined) {
+        const week = weeks[weekId];
+        // No formato ISO usa a notação de intervalo ISO 8601 (início/fim)
+        const separator = format === EXPORT_FORMATS.BR ? ' - ' : '/';
+        periods[weekId] = week
+          ? `${this.formatDate(week.start, format)}${separator}${this.formatDate(week.end, format)}`
+          : '';
+      }
+      return periods[weekId];
+    };
+
+    const rows = (await FinanceService.getAllTransactions())
+      .filter(t => this.isDateInRange(new Date(t.date), options.startDate, options.endDate))
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .map(t => {
+        const category = categories.find(c => c.id === t.categoryId);
+        return [
+          t.id,
+          format === EXPORT_FORMATS.BR ? this.formatDate(new Date(t.date), format) : t.date,
+          t.description,
+          this.formatNumber(t.amount, format),
+          FinanceService.isIncome(t) ? (format === EXPORT_FORMATS.BR ? 'Receita' : 'income') : (format === EXPORT_FORMATS.BR ? 'Gasto' : 'expense'),
+          category ? category.name : '',
+          t.weekId,
+          getPeriod(t.weekId),
+          this.formatBoolean(closedWeeks.includes(t.weekId), format)
+        ];
+      });
+
+    const headers = format === EXPORT_FORMATS.BR
+      ? ['ID', 'Data', 'Descrição', 'Valor', 'Tipo', 'Categoria', 'ID da Semana', 'Período da Semana', 'Semana Fechada']
+      : ['id', 'date', 'description', 'amount', 'type', 'category', 'weekId', 'weekPeriod', 'closed'];
+
+    return this.buildCsv(headers, rows, format);
+  },
+
+  /**
+   * Gera o CSV dos resumos semanais (a partir de getWeeksHistory)
+   * O filtro de datas considera a data de início da semana
+   * @param {object} options - Opções de exportação (mesmas de exportTransactionsCsv)
+   * @returns {Promise<string>} Conteúdo CSV
+   */
+  async exportWeeklySummariesCsv(options = {}) {
+    const format = options.format || EXPORT_FORMATS.BR;
+    const cycle = await FinanceService.getCycle();
+
+    const rows = (await FinanceService.getWeeksHistory(Infinity))
+      .filter(week => this.isDateInRange(week.weekStart, options.startDate, options.endDate))
+      .sort((a, b) => a.weekStart - b.weekStart)
+      .map(week => [
+        week.weekId,
+        this.formatDate(week.weekStart, format),
+        this.formatDate(week.weekEnd || DatesService.getWeekEnd(week.weekStart, cycle), format),
+        this.formatNumber(week.income, format),
+        this.formatNumber(week.expenses, format),
+        this.formatNumber(week.balance, format),
+        week.transactionCount,
+        this.formatBoolean(week.isClosed, format)
+      ]);
+
+    const headers = format === EXPORT_FORMATS.BR
+      ? ['ID da Semana', 'Início', 'Fim', 'Receitas', 'Gastos', 'Saldo', 'Lançamentos', 'Fechada']
+      : ['weekId', 'startDate', 'endDate', 'income', 'expenses', 'balance', 'transactionCount', 'closed'];
+
+    return this.buildCsv(headers, rows, format);
+  }
+};
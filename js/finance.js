@@ -7,25 +7,29 @@ const FINANCE_STORAGE_KEY = 'finance_transactions';
 const CLOSED_WEEKS_KEY = 'finance_closed_weeks';
 const AUTO_CLOSE_CONFIG_KEY = 'finance_auto_close_config';
 const WEEKLY_LIMIT_KEY = 'finance_weekly_limit';
+const CATEGORY_LIMITS_KEY = 'finance_category_limits'; // Mapeamento categoryId -> limite semanal
 const NEXT_CLOSE_DATE_KEY = 'finance_next_close_date';
 const CURRENT_WEEK_START_KEY = 'finance_current_week_start';
 const WEEK_ID_MAPPING_KEY = 'finance_week_id_mapping'; // Mapeamento weekId -> dataInicio
 const CURRENT_WEEK_ID_KEY = 'finance_current_week_id'; // ID único da semana atual
+const WEEK_CLOSE_RECORDS_KEY = 'finance_week_close_records'; // weekId -> registro do fechamento (retrato da semana e estado anterior)
+const WEEK_AUDIT_LOG_KEY = 'finance_week_audit_log'; // Registro de fechamentos e reaberturas de semanas
+const SEARCH_PAGE_SIZE = 20; // Lançamentos por página na busca
+const MIN_CYCLE_LENGTH = 1; // Duração do ciclo das semanas, em dias
+const MAX_CYCLE_LENGTH = 31;
+
+// Tipos de lançamento (lançamentos antigos sem tipo são tratados como gasto)
+const TRANSACTION_TYPES = {
+  EXPENSE: 'expense',
+  INCOME: 'income'
+};
 
 const FinanceService = {
-  /**
-   * Gera um ID único para uma semana
-   * @returns {string} ID único gerado
-   */
-  generateWeekId() {
-    return 'week_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
-  },
-
   /**
    * Obtém o mapeamento de weekId para data de início
-   * @returns {object} Objeto com weekId como chave e data de início (ISO string) como valor
+   * @returns {Promise<object>} Objeto com weekId como chave e data de início (ISO string) como valor
    */
-  getWeekIdMapping() {
+  async getWeekIdMapping() {
     return StorageService.get(WEEK_ID_MAPPING_KEY, {});
   },
 
@@ -33,41 +37,26 @@ const FinanceService = {
    * Define o mapeamento de weekId para data de início
    * @param {object} mapping - Objeto com weekId como chave e data de início como valor
    */
-  setWeekIdMapping(mapping) {
-    StorageService.set(WEEK_ID_MAPPING_KEY, mapping);
+  async setWeekIdMapping(mapping) {
+    await StorageService.set(WEEK_ID_MAPPING_KEY, mapping);
   },
 
   /**
    * Obtém ou cria um weekId para uma data de início
    * @param {Date} weekStartDate - Data de início da semana
-   * @returns {string} ID único da semana
+   * @returns {Promise<string>} ID da semana (determinístico para semanas novas, ver WeekService)
    */
-  getOrCreateWeekId(weekStartDate) {
-    const dateKey = weekStartDate.toISOString().split('T')[0]; // yyyy-mm-dd
-    const mapping = this.getWeekIdMapping();
-    
-    // Procura se já existe um weekId para esta data
-    for (const [weekId, date] of Object.entries(mapping)) {
-      if (date === dateKey) {
-        return weekId;
-      }
-    }
-    
-    // Se não existe, cria um novo
-    const newWeekId = this.generateWeekId();
-    mapping[newWeekId] = dateKey;
-    this.setWeekIdMapping(mapping);
-    
-    return newWeekId;
+  async getOrCreateWeekId(weekStartDate) {
+    return WeekService.getOrCreateWeekId(weekStartDate);
   },
 
   /**
    * Obtém a data de início de uma semana baseado no weekId
    * @param {string} weekId - ID da semana
-   * @returns {Date|null} Data de início da semana ou null se não encontrada
+   * @returns {Promise<Date|null>} Data de início da semana ou null se não encontrada
    */
-  getWeekStartDateById(weekId) {
-    const mapping = this.getWeekIdMapping();
+  async getWeekStartDateById(weekId) {
+    const mapping = await this.getWeekIdMapping();
     const dateString = mapping[weekId];
     if (!dateString) {
       return null;
@@ -76,17 +65,23 @@ const FinanceService = {
   },
 
   /**
-   * Cria um novo lançamento financeiro
+   * Valida os dados de um lançamento
    * @param {string} description - Descrição do gasto
    * @param {number} amount - Valor do gasto
    * @param {string} dateString - Data no formato yyyy-mm-dd
-   * @returns {object|null} Lançamento criado ou null em caso de erro
+   * @param {string} categoryId - ID da categoria
+   * @param {string} type - Tipo do lançamento (TRANSACTION_TYPES)
+   * @returns {Promise<object>} Categoria validada do lançamento
    */
-  createTransaction(description, amount, dateString) {
+  async validateTransactionData(description, amount, dateString, categoryId, type = TRANSACTION_TYPES.EXPENSE) {
     if (!description || !description.trim()) {
       throw new Error('Descrição é obrigatória');
     }
 
+    if (!Object.values(TRANSACTION_TYPES).includes(type)) {
+      throw new Error('Tipo de lançamento inválido');
+    }
+
     if (!amount || amount <= 0) {
       throw new Error('Valor deve ser maior que zero');
     }
@@ -95,30 +90,61 @@ const FinanceService = {
       throw new Error('Data é obrigatória');
     }
 
-    const date = DatesService.parseDate(dateString);
-    let weekId;
+    const category = await CategoryService.getCategoryById(categoryId || UNCATEGORIZED_CATEGORY_ID);
+    if (!category) {
+      throw new Error('Categoria não encontrada');
+    }
+    if (category.archived) {
+      throw new Error('Não é possível lançar em uma categoria arquivada');
+    }
+
+    return category;
+  },
+
+  /**
+   * Valida o membro de um lançamento
+   * @param {string|null} memberId - ID do membro (vazio para lançamento sem membro)
+   * @param {string|null} currentMemberId - Membro atual do lançamento, aceito mesmo se arquivado (edição)
+   * @returns {Promise<object|null>} Membro validado ou null
+   */
+  async validateTransactionMember(memberId, currentMemberId = null) {
+    if (!memberId || memberId === UNASSIGNED_MEMBER_ID) {
+      return null;
+    }
+
+    const member = await MemberService.getMemberById(memberId);
+    if (!member) {
+      throw new Error('Membro não encontrado');
+    }
+    if (member.archived && member.id !== currentMemberId) {
+      throw new Error('Não é possível lançar para um membro arquivado');
+    }
 
+    return member;
+  },
+
+  /**
+   * Determina a semana (weekId) de um lançamento a partir da sua data
+   * Aplica as regras de redirecionamento para semanas fechadas
+   * @param {Date} date - Data do lançamento
+   * @returns {Promise<string>} weekId ao qual o lançamento pertence
+   */
+  async resolveTransactionWeekId(date) {
     // Verifica se a data está na semana atual
-    const currentWeekStart = this.getCurrentWeekStartDate();
-    const currentWeekEnd = this.getCurrentWeekEndDate();
-    const currentWeekId = this.getCurrentWeekId();
+    const currentWeekStart = await this.getCurrentWeekStartDate();
+    const currentWeekEnd = await this.getCurrentWeekEndDate();
+    const currentWeekId = await this.getCurrentWeekId();
 
     // Verifica se a semana atual está fechada
-    if (this.isWeekClosed(currentWeekId)) {
+    if (await this.isWeekClosed(currentWeekId)) {
       throw new Error('A semana atual está fechada. Não é possível adicionar lançamentos.');
     }
 
-    // Calcula a data de início da semana padrão (domingo) para esta data
-    const standardWeekStart = DatesService.getWeekStart(date);
-    
-    // Obtém ou cria o weekId para a semana padrão desta data
-    const standardWeekId = this.getOrCreateWeekId(standardWeekStart);
-    
     // Verifica se a data está no período da semana atual
     const isInCurrentWeekPeriod = DatesService.isDateInCurrentWeekPeriod(date, currentWeekStart, currentWeekEnd);
     
-    // Verifica se o weekId padrão da data está fechado
-    const isStandardWeekClosed = this.isWeekClosed(standardWeekId);
+    // Semana do modelo cujo período contém a data (null se nenhuma contiver)
+    const containingWeek = await WeekService.findWeekForDate(date);
     
     // Verifica se a data é hoje ou futura
     const today = new Date();
@@ -130,98 +156,236 @@ const FinanceService = {
     // REGRA PRINCIPAL: Se a data é hoje ou futura E a semana atual não está fechada,
     // sempre usa a semana atual (independente do período calculado)
     // Isso garante que após fechar uma semana, novas transações vão para a nova semana
-    if (isTodayOrFuture && !this.isWeekClosed(currentWeekId)) {
-      weekId = currentWeekId;
+    if (isTodayOrFuture && !await this.isWeekClosed(currentWeekId)) {
+      return currentWeekId;
     } else if (isInCurrentWeekPeriod) {
       // A data está no período da semana atual
-      weekId = currentWeekId;
-    } else if (isStandardWeekClosed) {
-      // O weekId padrão está fechado → redireciona para semana atual
-      weekId = currentWeekId;
-    } else {
-      // A data não está na semana atual e o weekId padrão não está fechado
-      // Usa o weekId padrão da data
-      weekId = standardWeekId;
+      return currentWeekId;
+    } else if (containingWeek && containingWeek.status === WEEK_STATUS.CLOSED) {
+      // A data está em uma semana fechada → redireciona para semana atual
+      return currentWeekId;
+    } else if (containingWeek) {
+      // A data está em uma semana anterior ainda aberta
+      return containingWeek.weekId;
     }
 
+    // Nenhuma semana contém a data: usa (ou cria) a semana do ciclo configurado que contém a data
+    const standardWeekId = await this.getOrCreateWeekId(DatesService.getWeekStart(date, await this.getCycle()));
+    if (await this.isWeekClosed(standardWeekId)) {
+      return currentWeekId;
+    }
+    return standardWeekId;
+  },
+
+  /**
+   * Cria um novo lançamento financeiro
+   * @param {string} description - Descrição do lançamento
+   * @param {number} amount - Valor do lançamento (sempre positivo)
+   * @param {string} dateString - Data no formato yyyy-mm-dd
+   * @param {string} categoryId - ID da categoria (padrão: sem categoria)
+   * @param {string} type - Tipo do lançamento: gasto ou receita (padrão: gasto)
+   * @param {object} metadata - Campos de origem do lançamento (ex: {recurringRuleId})
+   * @param {string|null} memberId - Membro da casa que fez o lançamento (opcional)
+   * @returns {Promise<object|null>} Lançamento criado ou null em caso de erro
+   */
+  async createTransaction(description, amount, dateString, categoryId = UNCATEGORIZED_CATEGORY_ID, type = TRANSACTION_TYPES.EXPENSE, metadata = {}, memberId = null) {
+    const category = await this.validateTransactionData(description, amount, dateString, categoryId, type);
+    const member = await this.validateTransactionMember(memberId);
+
+    const date = DatesService.parseDate(dateString);
+    const weekId = await this.resolveTransactionWeekId(date);
+
     const transaction = {
+      ...metadata,
       id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
       description: description.trim(),
       amount: parseFloat(amount),
       date: date.toISOString(),
       weekId: weekId,
+      categoryId: category.id,
+      type: type,
       createdAt: new Date().toISOString()
     };
+    if (member) {
+      transaction.memberId = member.id;
+    }
 
-    const transactions = this.getAllTransactions();
+    const transactions = await this.getAllTransactions();
     transactions.push(transaction);
-    StorageService.set(FINANCE_STORAGE_KEY, transactions);
+    await StorageService.set(FINANCE_STORAGE_KEY, transactions);
+
+    return transaction;
+  },
+
+  /**
+   * Obtém um lançamento pelo ID
+   * @param {string} transactionId - ID do lançamento
+   * @returns {Promise<object|null>} Lançamento ou null se não encontrado
+   */
+  async getTransactionById(transactionId) {
+    return (await this.getAllTransactions()).find(t => t.id === transactionId) || null;
+  },
+
+  /**
+   * Atualiza um lançamento existente
+   * Reaplica as regras de semana de createTransaction e recusa alterações
+   * que tirariam o lançamento de uma semana fechada ou o levariam para uma
+   * @param {string} transactionId - ID do lançamento
+   * @param {string} description - Nova descrição
+   * @param {number} amount - Novo valor
+   * @param {string} dateString - Nova data no formato yyyy-mm-dd
+   * @param {string} categoryId - Nova categoria (opcional, mantém a atual se não informada)
+   * @param {string} type - Novo tipo (opcional, mantém o atual se não informado)
+   * @param {string|null} memberId - Novo membro (opcional, mantém o atual se não informado; vazio remove)
+   * @returns {Promise<object>} Lançamento atualizado
+   */
+  async updateTransaction(transactionId, description, amount, dateString, categoryId = null, type = null, memberId = undefined) {
+    const transactions = await this.getAllTransactions();
+    const transaction = transactions.find(t => t.id === transactionId);
+    if (!transaction) {
+      throw new Error('Lançamento não encontrado');
+    }
+
+    // Lançamentos redirecionados para a semana atual mantêm a data original (de uma semana fechada),
+    // por isso só o weekId é considerado quando ele corresponde à semana atual
+    const isInClosedWeek = await this.isWeekClosed(transaction.weekId) ||
+      (transaction.weekId !== await this.getCurrentWeekId() && await this.isTransactionInClosedWeek(transaction));
+    if (isInClosedWeek) {
+      throw new Error('Não é possível editar lançamentos de uma semana fechada.');
+    }
+
+    const finalType = type || this.getTransactionType(transaction);
+    const category = await this.validateTransactionData(
+      description,
+      amount,
+      dateString,
+      categoryId || transaction.categoryId || UNCATEGORIZED_CATEGORY_ID,
+      finalType
+    );
+    const member = memberId === undefined
+      ? null
+      : await this.validateTransactionMember(memberId, transaction.memberId || null);
+
+    const date = DatesService.parseDate(dateString);
+    const dateChanged = DatesService.formatDateForInput(new Date(transaction.date)) !== dateString;
+    let weekId = transaction.weekId;
+
+    if (dateChanged) {
+      // Uma data dentro de uma semana fechada seria redirecionada para a semana atual,
+      // o que deixaria o lançamento com uma data que não corresponde ao seu período
+      const currentWeekStart = await this.getCurrentWeekStartDate();
+      const currentWeekEnd = await this.getCurrentWeekEndDate();
+      const isInCurrentWeekPeriod = DatesService.isDateInCurrentWeekPeriod(date, currentWeekStart, currentWeekEnd);
+      if (!isInCurrentWeekPeriod && await this.isDateInClosedWeek(date)) {
+        throw new Error('A nova data pertence a uma semana fechada. Não é possível mover o lançamento para ela.');
+      }
+
+      weekId = await this.resolveTransactionWeekId(date);
+    }
+
+    transaction.description = description.trim();
+    transaction.amount = parseFloat(amount);
+    transaction.date = date.toISOString();
+    transaction.weekId = weekId;
+    transaction.categoryId = category.id;
+    transaction.type = finalType;
+    if (memberId !== undefined) {
+      if (member) {
+        transaction.memberId = member.id;
+      } else {
+        delete transaction.memberId;
+      }
+    }
+    transaction.updatedAt = new Date().toISOString();
+
+    await StorageService.set(FINANCE_STORAGE_KEY, transactions);
 
     return transaction;
   },
 
   /**
    * Obtém todos os lançamentos
-   * @returns {Array} Lista de lançamentos
+   * @returns {Promise<Array>} Lista de lançamentos
    */
-  getAllTransactions() {
+  async getAllTransactions() {
     return StorageService.get(FINANCE_STORAGE_KEY, []);
   },
 
+  /**
+   * Migra lançamentos antigos (sem categoria) para a categoria padrão
+   * @returns {Promise<number>} Quantidade de lançamentos migrados
+   */
+  async migrateTransactionCategories() {
+    const transactions = await this.getAllTransactions();
+    let migrated = 0;
+
+    transactions.forEach(t => {
+      if (!t.categoryId) {
+        t.categoryId = UNCATEGORIZED_CATEGORY_ID;
+        migrated++;
+      }
+    });
+
+    if (migrated > 0) {
+      await StorageService.set(FINANCE_STORAGE_KEY, transactions);
+    }
+
+    return migrated;
+  },
+
   /**
    * Obtém lançamentos de uma semana específica
    * @param {string} weekId - ID da semana
-   * @returns {Array} Lista de lançamentos da semana
+   * @returns {Promise<Array>} Lista de lançamentos da semana
    */
-  getTransactionsByWeek(weekId) {
-    const transactions = this.getAllTransactions();
+  async getTransactionsByWeek(weekId) {
+    const transactions = await this.getAllTransactions();
     // Para a semana atual, também verifica pelo período (caso haja transações antigas com weekId diferente)
-    if (weekId === this.getCurrentWeekId()) {
-      const currentWeekStart = this.getCurrentWeekStartDate();
-      const currentWeekEnd = this.getCurrentWeekEndDate();
+    if (weekId === await this.getCurrentWeekId()) {
+      const currentWeekStart = await this.getCurrentWeekStartDate();
+      const currentWeekEnd = await this.getCurrentWeekEndDate();
+      // Carregados uma vez para o laço não ler o storage a cada lançamento
+      const weeks = await WeekService.getWeeks();
+      const closedWeekIds = new Set(await this.getClosedWeeks());
       
-      return transactions.filter(t => {
+      const weekTransactions = [];
+      for (const t of transactions) {
         // PRIMEIRO: Se o weekId da transação corresponde ao weekId da semana atual,
         // sempre inclui (mesmo que o weekId padrão da data esteja fechado)
         // Isso garante que transações criadas na semana atual sejam sempre exibidas
         if (t.weekId === weekId) {
           // Verifica apenas se o weekId da transação não está fechado diretamente
           // (não verifica o weekId padrão da data, pois a transação foi criada com weekId customizado)
-          if (this.isWeekClosed(t.weekId)) {
-            return false;
+          if (!closedWeekIds.has(t.weekId)) {
+            weekTransactions.push(t);
           }
-          return true;
+          continue;
         }
         
         // SEGUNDO: Para transações com weekId diferente, verifica se pertencem a semana fechada
         // Se sim, exclui
-        if (this.isTransactionInClosedWeek(t)) {
-          return false;
+        if (await this.isTransactionInClosedWeek(t, weeks, closedWeekIds)) {
+          continue;
         }
         
         // TERCEIRO: Verifica se estão no período da semana atual
+        // (a verificação de semana fechada já foi feita acima)
         const transactionDate = new Date(t.date);
         if (DatesService.isDateInCurrentWeekPeriod(transactionDate, currentWeekStart, currentWeekEnd)) {
-          // Verifica novamente se a transação pertence a uma semana fechada
-          if (this.isTransactionInClosedWeek(t)) {
-            return false;
-          }
-          
-          return true;
+          weekTransactions.push(t);
         }
-        
-        return false;
-      });
+      }
+      return weekTransactions;
     }
     return transactions.filter(t => t.weekId === weekId);
   },
 
   /**
    * Obtém a data do próximo fechamento
-   * @returns {Date|null} Data do próximo fechamento ou null se não definida
+   * @returns {Promise<Date|null>} Data do próximo fechamento ou null se não definida
    */
-  getNextCloseDate() {
-    const dateString = StorageService.get(NEXT_CLOSE_DATE_KEY, null);
+  async getNextCloseDate() {
+    const dateString = await StorageService.get(NEXT_CLOSE_DATE_KEY, null);
     if (!dateString) {
       return null;
     }
@@ -231,11 +395,11 @@ const FinanceService = {
   /**
    * Obtém a data do último fechamento (data de fim da última semana fechada)
    * Esta é a data após a qual começa a semana atual
-   * @returns {Date|null} Data do último fechamento ou null se não houver
+   * @returns {Promise<Date|null>} Data do último fechamento ou null se não houver
    */
-  getLastCloseDate() {
+  async getLastCloseDate() {
     // Se não há próxima data de fechamento, não há último fechamento
-    const nextCloseDate = this.getNextCloseDate();
+    const nextCloseDate = await this.getNextCloseDate();
     if (!nextCloseDate) {
       return null;
     }
@@ -244,20 +408,21 @@ const FinanceService = {
     // Para obter isso, precisamos verificar quando foi definida a próxima data de fechamento
     // Por enquanto, vamos usar uma abordagem: a última semana fechada mais recente
     
-    const closedWeeks = this.getClosedWeeks();
+    const closedWeeks = await this.getClosedWeeks();
     if (closedWeeks.length === 0) {
       return null;
     }
     
     // Ordena as semanas fechadas e pega a mais recente
     // Converte weekIds para datas e ordena por data
-    const weeksWithDates = closedWeeks
-      .map(weekId => {
-        const weekStart = this.getWeekStartDateById(weekId);
-        return { weekId, weekStart: weekStart || new Date(0) };
-      })
-      .filter(w => w.weekStart.getTime() > 0)
-      .sort((a, b) => b.weekStart - a.weekStart);
+    const weeksWithDates = [];
+    for (const weekId of closedWeeks) {
+      const weekStart = await this.getWeekStartDateById(weekId);
+      if (weekStart) {
+        weeksWithDates.push({ weekId, weekStart });
+      }
+    }
+    weeksWithDates.sort((a, b) => b.weekStart - a.weekStart);
     
     if (weeksWithDates.length === 0) {
       return null;
@@ -281,13 +446,16 @@ const FinanceService = {
 
   /**
    * Define a data do próximo fechamento
-   * @param {Date} date - Data do próximo fechamento (deve corresponder ao dia configurado e ser futura)
+   * @param {Date} date - Data do próximo fechamento (deve ser o início de um ciclo e ser futura)
    */
-  setNextCloseDate(date) {
-    const config = this.getAutoCloseConfig();
+  async setNextCloseDate(date) {
+    const config = await this.getAutoCloseConfig();
     const dayOfWeek = config.dayOfWeek || 0; // Padrão: domingo
     
-    if (!DatesService.isDayOfWeek(date, dayOfWeek)) {
+    if (!DatesService.isCycleStart(date, await this.getCycle())) {
+      if (config.cycleLength !== 7) {
+        throw new Error('A data do próximo fechamento deve ser o início de um ciclo');
+      }
       const days = ['Domingo', 'Segunda-feira', 'Terça-feira', 'Quarta-feira', 'Quinta-feira', 'Sexta-feira', 'Sábado'];
       throw new Error(`A data do próximo fechamento deve ser ${days[dayOfWeek]}`);
     }
@@ -301,7 +469,7 @@ const FinanceService = {
       throw new Error('A data do próximo fechamento deve ser futura');
     }
     
-    StorageService.set(NEXT_CLOSE_DATE_KEY, date.toISOString());
+    await StorageService.set(NEXT_CLOSE_DATE_KEY, date.toISOString());
   },
 
   /**
@@ -309,22 +477,22 @@ const FinanceService = {
    * @param {Date} date - Data de início da semana atual
    * @param {string} weekId - ID único da semana (opcional, será gerado se não fornecido)
    */
-  setCurrentWeekStart(date, weekId = null) {
+  async setCurrentWeekStart(date, weekId = null) {
     const dateToSet = new Date(date);
     dateToSet.setHours(0, 0, 0, 0);
-    StorageService.set(CURRENT_WEEK_START_KEY, dateToSet.toISOString());
+    await StorageService.set(CURRENT_WEEK_START_KEY, dateToSet.toISOString());
     
     // Obtém ou cria o weekId para esta data
-    const finalWeekId = weekId || this.getOrCreateWeekId(dateToSet);
-    StorageService.set(CURRENT_WEEK_ID_KEY, finalWeekId);
+    const finalWeekId = weekId || await this.getOrCreateWeekId(dateToSet);
+    await StorageService.set(CURRENT_WEEK_ID_KEY, finalWeekId);
   },
 
   /**
    * Obtém a data de início da semana atual
-   * @returns {Date|null} Data de início da semana atual ou null se não definida
+   * @returns {Promise<Date|null>} Data de início da semana atual ou null se não definida
    */
-  getCurrentWeekStart() {
-    const dateString = StorageService.get(CURRENT_WEEK_START_KEY, null);
+  async getCurrentWeekStart() {
+    const dateString = await StorageService.get(CURRENT_WEEK_START_KEY, null);
     if (!dateString) {
       return null;
     }
@@ -333,16 +501,16 @@ const FinanceService = {
 
   /**
    * Obtém o ID único da semana atual
-   * @returns {string} ID único da semana atual
+   * @returns {Promise<string>} ID único da semana atual
    */
-  getCurrentWeekId() {
+  async getCurrentWeekId() {
     // Primeiro tenta obter o ID armazenado
-    const storedWeekId = StorageService.get(CURRENT_WEEK_ID_KEY, null);
+    const storedWeekId = await StorageService.get(CURRENT_WEEK_ID_KEY, null);
     if (storedWeekId) {
       // Verifica se o ID ainda é válido (existe no mapeamento)
-      const weekStart = this.getWeekStartDateById(storedWeekId);
+      const weekStart = await this.getWeekStartDateById(storedWeekId);
       if (weekStart) {
-        const currentWeekStart = this.getCurrentWeekStartDate();
+        const currentWeekStart = await this.getCurrentWeekStartDate();
         // Se a data de início corresponde, retorna o ID armazenado
         if (weekStart.getTime() === currentWeekStart.getTime()) {
           return storedWeekId;
@@ -351,33 +519,34 @@ const FinanceService = {
     }
     
     // Se não há ID armazenado ou é inválido, cria/obtém um novo baseado na data atual
-    const weekStart = this.getCurrentWeekStartDate();
-    const weekId = this.getOrCreateWeekId(weekStart);
-    StorageService.set(CURRENT_WEEK_ID_KEY, weekId);
+    const weekStart = await this.getCurrentWeekStartDate();
+    const weekId = await this.getOrCreateWeekId(weekStart);
+    await StorageService.set(CURRENT_WEEK_ID_KEY, weekId);
     return weekId;
   },
 
   /**
    * Obtém a data de início da semana atual (armazenada ou calculada)
-   * @returns {Date} Data de início da semana atual
+   * @returns {Promise<Date>} Data de início da semana atual
    */
-  getCurrentWeekStartDate() {
+  async getCurrentWeekStartDate() {
     // Primeiro tenta usar a data armazenada
-    const storedStart = this.getCurrentWeekStart();
+    const storedStart = await this.getCurrentWeekStart();
     if (storedStart) {
       return storedStart;
     }
 
     // Se não há data armazenada, calcula baseado no próximo fechamento
-    const nextCloseDate = this.getNextCloseDate();
+    const nextCloseDate = await this.getNextCloseDate();
+    const cycle = await this.getCycle();
     if (!nextCloseDate) {
-      // Se não há próximo fechamento, usa início da semana padrão (domingo)
-      return DatesService.getWeekStart(new Date());
+      // Se não há próximo fechamento, usa o início do ciclo configurado que contém hoje
+      return DatesService.getWeekStart(new Date(), cycle);
     }
 
-    // Calcula retroativamente: semana atual começa 7 dias antes do próximo fechamento
+    // Calcula retroativamente: semana atual começa um ciclo antes do próximo fechamento
     const weekStart = new Date(nextCloseDate);
-    weekStart.setDate(weekStart.getDate() - 7);
+    weekStart.setDate(weekStart.getDate() - cycle.length);
     weekStart.setHours(0, 0, 0, 0);
 
     const today = new Date();
@@ -390,161 +559,612 @@ const FinanceService = {
   /**
    * Obtém lançamentos da semana atual
    * Retorna vazio se a semana atual estiver fechada
-   * @returns {Array} Lista de lançamentos da semana atual
+   * @returns {Promise<Array>} Lista de lançamentos da semana atual
    */
-  getCurrentWeekTransactions() {
-    const currentWeekId = this.getCurrentWeekId();
+  async getCurrentWeekTransactions() {
+    const currentWeekId = await this.getCurrentWeekId();
     
     // Se a semana atual está fechada, retorna vazio (semana zerada no dashboard)
-    if (this.isWeekClosed(currentWeekId)) {
+    if (await this.isWeekClosed(currentWeekId)) {
       return [];
     }
     
     // Obtém transações da semana atual, excluindo automaticamente as de semanas fechadas
-    const transactions = this.getTransactionsByWeek(currentWeekId);
+    const transactions = await this.getTransactionsByWeek(currentWeekId);
+    const weeks = await WeekService.getWeeks();
+    const closedWeekIds = new Set(await this.getClosedWeeks());
     
     // IMPORTANTE: Se uma transação tem o weekId correto da semana atual,
     // ela já foi incluída em getTransactionsByWeek e não deve ser filtrada novamente
     // Apenas filtra transações que podem ter sido incluídas por período mas pertencem a semanas fechadas
-    return transactions.filter(t => {
+    const currentWeekTransactions = [];
+    for (const t of transactions) {
       // Se o weekId da transação corresponde ao currentWeekId, sempre inclui
       // (já foi verificado em getTransactionsByWeek que não está fechado)
-      if (t.weekId === currentWeekId) {
-        return true;
-      }
-      
       // Para transações com weekId diferente, verifica se pertencem a semana fechada
-      return !this.isTransactionInClosedWeek(t);
-    });
+      if (t.weekId === currentWeekId || !await this.isTransactionInClosedWeek(t, weeks, closedWeekIds)) {
+        currentWeekTransactions.push(t);
+      }
+    }
+    return currentWeekTransactions;
   },
 
   /**
    * Obtém o período da semana atual em formato legível
-   * @returns {string} Período formatado (ex: "01/12/2024 - 07/12/2024")
+   * @returns {Promise<string>} Período formatado (ex: "01/12/2024 - 07/12/2024")
    */
-  getCurrentWeekPeriod() {
-    const weekStart = this.getCurrentWeekStartDate();
-    // Usa a mesma lógica do histórico: fim da semana é sábado (6 dias depois do início)
-    // Isso garante consistência entre semana atual e histórico
-    const weekEnd = DatesService.getWeekEnd(weekStart);
+  async getCurrentWeekPeriod() {
+    const weekStart = await this.getCurrentWeekStartDate();
+    // Usa a mesma lógica do histórico: fim da semana é o último dia do ciclo configurado
+    // (véspera do próximo fechamento). Isso garante consistência entre semana atual e histórico
+    const weekEnd = DatesService.getWeekEnd(weekStart, await this.getCycle());
     return DatesService.getCurrentWeekPeriod(weekStart, weekEnd);
   },
 
   /**
    * Obtém a data de fim da semana atual
-   * @returns {Date} Data de fim da semana atual
-   * Usa a próxima data de fechamento se disponível, senão calcula o fim da semana padrão
+   * @returns {Promise<Date>} Data de fim da semana atual
+   * Usa a próxima data de fechamento se disponível, senão calcula o fim do ciclo configurado
    */
-  getCurrentWeekEndDate() {
-    const nextCloseDate = this.getNextCloseDate();
+  async getCurrentWeekEndDate() {
+    const nextCloseDate = await this.getNextCloseDate();
     if (!nextCloseDate) {
-      return DatesService.getWeekEnd(new Date());
+      return DatesService.getWeekEnd(new Date(), await this.getCycle());
     }
     
     // Usa a próxima data de fechamento como fim da semana atual
     // Mas garante que não seja antes do início da semana atual
-    const weekStart = this.getCurrentWeekStartDate();
+    const weekStart = await this.getCurrentWeekStartDate();
     const nextClose = new Date(nextCloseDate);
     nextClose.setHours(23, 59, 59, 999);
     
     // Se a próxima data de fechamento for antes do início da semana atual,
-    // usa o fim da semana padrão calculado a partir do início
+    // usa o fim do ciclo calculado a partir do início
     if (nextClose < weekStart) {
-      return DatesService.getWeekEnd(weekStart);
+      return DatesService.getWeekEnd(weekStart, await this.getCycle());
     }
     
     return nextClose;
   },
 
   /**
-   * Calcula o total de uma lista de lançamentos
+   * Obtém o tipo de um lançamento
+   * Lançamentos criados antes da existência de receitas não têm tipo e são gastos
+   * @param {object} transaction - Lançamento
+   * @returns {string} Tipo do lançamento (TRANSACTION_TYPES)
+   */
+  getTransactionType(transaction) {
+    return transaction.type || TRANSACTION_TYPES.EXPENSE;
+  },
+
+  /**
+   * Verifica se um lançamento é uma receita
+   * @param {object} transaction - Lançamento
+   * @returns {boolean}
+   */
+  isIncome(transaction) {
+    return this.getTransactionType(transaction) === TRANSACTION_TYPES.INCOME;
+  },
+
+  /**
+   * Calcula o total de gastos de uma lista de lançamentos
+   * Receitas são ignoradas (use calculateIncome ou calculateSummary)
    * @param {Array} transactions - Lista de lançamentos
-   * @returns {number} Total calculado
+   * @returns {number} Total de gastos
    */
   calculateTotal(transactions) {
-    return transactions.reduce((sum, t) => sum + t.amount, 0);
+    return transactions
+      .filter(t => !this.isIncome(t))
+      .reduce((sum, t) => sum + t.amount, 0);
+  },
+
+  /**
+   * Calcula o total de receitas de uma lista de lançamentos
+   * @param {Array} transactions - Lista de lançamentos
+   * @returns {number} Total de receitas
+   */
+  calculateIncome(transactions) {
+    return transactions
+      .filter(t => this.isIncome(t))
+      .reduce((sum, t) => sum + t.amount, 0);
+  },
+
+  /**
+   * Calcula receitas, gastos e saldo de uma lista de lançamentos
+   * @param {Array} transactions - Lista de lançamentos
+   * @returns {object} {income, expenses, balance}
+   */
+  calculateSummary(transactions) {
+    const income = this.calculateIncome(transactions);
+    const expenses = this.calculateTotal(transactions);
+    return {
+      income,
+      expenses,
+      balance: income - expenses
+    };
+  },
+
+  /**
+   * Calcula os totais de gastos por categoria de uma lista de lançamentos
+   * Receitas são ignoradas e lançamentos com categoria inexistente são somados em "Sem categoria"
+   * @param {Array} transactions - Lista de lançamentos
+   * @returns {Promise<Array>} Lista de {categoryId, name, color, icon, total, transactionCount}, maior total primeiro
+   */
+  async calculateCategoryTotals(transactions) {
+    const categories = await CategoryService.getAllCategories();
+    const fallback = categories.find(c => c.id === UNCATEGORIZED_CATEGORY_ID);
+    const totals = {};
+
+    transactions.filter(t => !this.isIncome(t)).forEach(t => {
+      const category = categories.find(c => c.id === t.categoryId) || fallback;
+      if (!totals[category.id]) {
+        totals[category.id] = {
+          categoryId: category.id,
+          name: category.name,
+          color: category.color,
+          icon: category.icon,
+          total: 0,
+          transactionCount: 0
+        };
+      }
+      totals[category.id].total += t.amount;
+      totals[category.id].transactionCount++;
+    });
+
+    return Object.values(totals).sort((a, b) => b.total - a.total);
+  },
+
+  /**
+   * Calcula os totais de gastos agrupados pela descrição (ignorando maiúsculas/minúsculas e espaços)
+   * Descrições além do limite são somadas em "Outros"
+   * @param {Array} transactions - Lista de lançamentos
+   * @param {number} limit - Quantidade máxima de descrições (padrão: 8)
+   * @returns {Array} Lista de {description, total, transactionCount}, maior total primeiro
+   */
+  calculateDescriptionTotals(transactions, limit = 8) {
+    const totals = {};
+
+    transactions.filter(t => !this.isIncome(t)).forEach(t => {
+      const key = t.description.trim().replace(/\s+/g, ' ').toLowerCase();
+      if (!totals[key]) {
+        totals[key] = { description: t.description.trim(), total: 0, transactionCount: 0 };
+      }
+      totals[key].total += t.amount;
+      totals[key].transactionCount++;
+    });
+
+    const sorted = Object.values(totals).sort((a, b) => b.total - a.total);
+    if (sorted.length <= limit) {
+      return sorted;
+    }
+
+    const others = sorted.slice(limit - 1).reduce((acc, d) => {
+      acc.total += d.total;
+      acc.transactionCount += d.transactionCount;
+      return acc;
+    }, { description: 'Outros', total: 0, transactionCount: 0 });
+    return [...sorted.slice(0, limit - 1), others];
+  },
+
+  /**
+   * Calcula os gastos de cada dia da semana atual
+   * Lançamentos redirecionados de semanas fechadas mantêm a data original e são somados
+   * em um item "Antes" no início da lista
+   * @returns {Promise<Array>} Lista de {date (Date|null), total}, em ordem cronológica
+   */
+  async getCurrentWeekDailyTotals() {
+    const weekStart = await this.getCurrentWeekStartDate();
+    const weekEnd = await this.getCurrentWeekEndDate();
+
+    const days = [];
+    const day = new Date(weekStart);
+    day.setHours(0, 0, 0, 0);
+    while (day <= weekEnd) {
+      days.push({ date: new Date(day), total: 0 });
+      day.setDate(day.getDate() + 1);
+    }
+
+    const before = { date: null, total: 0 };
+    (await this.getCurrentWeekTransactions()).filter(t => !this.isIncome(t)).forEach(t => {
+      const dateKey = DatesService.formatDateForInput(new Date(t.date));
+      const entry = days.find(d => DatesService.formatDateForInput(d.date) === dateKey);
+      if (entry) {
+        entry.total += t.amount;
+      } else {
+        before.total += t.amount;
+      }
+    });
+
+    return before.total > 0 ? [before, ...days] : days;
+  },
+
+  /**
+   * Obtém os gastos das últimas semanas em ordem cronológica (para gráficos)
+   * @param {number} count - Quantidade de semanas (padrão: 8)
+   * @returns {Promise<Array>} Lista de {weekId, weekStart, period, expenses, income, isClosed}
+   */
+  async getWeeklyExpensesSeries(count = 8) {
+    return (await this.getWeeksHistory(count))
+      .reverse()
+      .map(week => ({
+        weekId: week.weekId,
+        weekStart: week.weekStart,
+        period: week.period,
+        expenses: week.expenses,
+        income: week.income,
+        isClosed: week.isClosed
+      }));
   },
 
   /**
-   * Calcula o total da semana atual
+   * Calcula os totais de cada membro da casa em uma lista de lançamentos
+   * Membros ativos com limite individual aparecem mesmo sem gastos; lançamentos sem membro
+   * (ou com membro inexistente) são somados em "Sem membro"
+   * @param {Array} transactions - Lista de lançamentos
+   * @returns {Promise<Array>} Lista de {memberId, name, color, total, income, transactionCount, allowance, usage, isExceeded}, maior total primeiro
+   */
+  async calculateMemberTotals(transactions) {
+    const members = await MemberService.getAllMembers();
+    const totals = {};
+
+    const getEntry = (member) => {
+      if (!totals[member.id]) {
+        const allowance = member.weeklyAllowance !== null && member.weeklyAllowance !== undefined
+          ? parseFloat(member.weeklyAllowance)
+          : null;
+        totals[member.id] = {
+          memberId: member.id,
+          name: member.name,
+          color: member.color,
+          total: 0,
+          income: 0,
+          transactionCount: 0,
+          allowance
+        };
+      }
+      return totals[member.id];
+    };
+
+    members.filter(m => !m.archived && m.weeklyAllowance !== null && m.weeklyAllowance !== undefined).forEach(getEntry);
+
+    transactions.forEach(t => {
+      const entry = getEntry(members.find(m => m.id === t.memberId) || MemberService.unassignedMember);
+      if (this.isIncome(t)) {
+        entry.income += t.amount;
+      } else {
+        entry.total += t.amount;
+      }
+      entry.transactionCount++;
+    });
+
+    return Object.values(totals)
+      .map(entry => ({
+        ...entry,
+        usage: entry.allowance !== null ? Math.min((entry.total / entry.allowance) * 100, 100) : null,
+        isExceeded: entry.allowance !== null && entry.total > entry.allowance
+      }))
+      .sort((a, b) => b.total - a.total);
+  },
+
+  /**
+   * Calcula os totais por membro da semana atual
+   * @returns {Promise<Array>} Lista de totais por membro
+   */
+  async getCurrentWeekMemberTotals() {
+    return this.calculateMemberTotals(await this.getCurrentWeekTransactions());
+  },
+
+  /**
+   * Calcula os totais por categoria da semana atual
+   * @returns {Promise<Array>} Lista de totais por categoria
+   */
+  async getCurrentWeekCategoryTotals() {
+    return this.calculateCategoryTotals(await this.getCurrentWeekTransactions());
+  },
+
+  /**
+   * Calcula o total de gastos da semana atual
    * Retorna 0 se a semana atual estiver fechada
-   * @returns {number} Total da semana atual
+   * @returns {Promise<number>} Total de gastos da semana atual
    */
-  getCurrentWeekTotal() {
-    const transactions = this.getCurrentWeekTransactions();
+  async getCurrentWeekTotal() {
+    const transactions = await this.getCurrentWeekTransactions();
     return this.calculateTotal(transactions);
   },
 
   /**
-   * Calcula o total do mês atual
-   * @returns {number} Total do mês atual
+   * Calcula receitas, gastos e saldo da semana atual
+   * @returns {Promise<object>} {income, expenses, balance}
+   */
+  async getCurrentWeekSummary() {
+    return this.calculateSummary(await this.getCurrentWeekTransactions());
+  },
+
+  /**
+   * Obtém os lançamentos do mês atual
+   * @returns {Promise<Array>} Lista de lançamentos do mês atual
    */
-  getCurrentMonthTotal() {
+  async getCurrentMonthTransactions() {
     const now = new Date();
-    const currentMonth = now.getMonth();
-    const currentYear = now.getFullYear();
+    return this.getMonthTransactions(now.getFullYear(), now.getMonth());
+  },
 
-    const transactions = this.getAllTransactions();
-    const monthTransactions = transactions.filter(t => {
+  /**
+   * Obtém os lançamentos de um mês
+   * @param {number} year - Ano (ex: 2024)
+   * @param {number} month - Mês (0 = janeiro, ..., 11 = dezembro)
+   * @returns {Promise<Array>} Lista de lançamentos do mês
+   */
+  async getMonthTransactions(year, month) {
+    const transactions = await this.getAllTransactions();
+    return transactions.filter(t => {
       const date = new Date(t.date);
-      return date.getMonth() === currentMonth && date.getFullYear() === currentYear;
+      return date.getMonth() === month && date.getFullYear() === year;
+    });
+  },
+
+  /**
+   * Calcula os totais de cada dia de um mês
+   * @param {number} year - Ano
+   * @param {number} month - Mês (0-11)
+   * @returns {Promise<Array>} Lista de {date, dateKey (yyyy-mm-dd), income, expenses, transactionCount}, um item por dia
+   */
+  async getMonthDailyTotals(year, month) {
+    const days = [];
+    const day = new Date(year, month, 1);
+    while (day.getMonth() === month) {
+      days.push({
+        date: new Date(day),
+        dateKey: DatesService.formatDateForInput(day),
+        income: 0,
+        expenses: 0,
+        transactionCount: 0
+      });
+      day.setDate(day.getDate() + 1);
+    }
+
+    (await this.getMonthTransactions(year, month)).forEach(t => {
+      const entry = days[new Date(t.date).getDate() - 1];
+      if (this.isIncome(t)) {
+        entry.income += t.amount;
+      } else {
+        entry.expenses += t.amount;
+      }
+      entry.transactionCount++;
+    });
+
+    return days;
+  },
+
+  /**
+   * Obtém os lançamentos de um dia (pela data do lançamento)
+   * @param {string} dateString - Data no formato yyyy-mm-dd
+   * @returns {Promise<Array>} Lista de lançamentos do dia, mais recentes primeiro
+   */
+  async getTransactionsByDate(dateString) {
+    return (await this.getAllTransactions())
+      .filter(t => DatesService.formatDateForInput(new Date(t.date)) === dateString)
+      .sort((a, b) => new Date(b.createdAt || b.date) - new Date(a.createdAt || a.date));
+  },
+
+  /**
+   * Obtém o período de cada semana do mapeamento que cruza um intervalo de datas
+   * @param {Date} startDate - Início do intervalo
+   * @param {Date} endDate - Fim do intervalo
+   * @returns {Promise<Array>} Semanas de WeekService.getWeeks com {isClosed, isCurrent}, em ordem cronológica
+   */
+  async getWeekBoundaries(startDate, endDate) {
+    const rangeStart = new Date(startDate);
+    rangeStart.setHours(0, 0, 0, 0);
+    const rangeEnd = new Date(endDate);
+    rangeEnd.setHours(23, 59, 59, 999);
+
+    return (await WeekService.getWeeks())
+      .filter(week => week.start <= rangeEnd && week.end >= rangeStart)
+      .map(week => ({
+        ...week,
+        isClosed: week.status === WEEK_STATUS.CLOSED,
+        isCurrent: week.status === WEEK_STATUS.CURRENT
+      }));
+  },
+
+  /**
+   * Normaliza um texto para busca (minúsculas, sem acentos e espaços repetidos)
+   * @param {string} text - Texto a normalizar
+   * @returns {string} Texto normalizado
+   */
+  normalizeSearchText(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  /**
+   * Valida e normaliza os filtros da busca de lançamentos
+   * Campos vazios são ignorados
+   * @param {object} filters - {text, minAmount, maxAmount, startDate, endDate (yyyy-mm-dd), weekStatus ('all' | 'open' | 'closed'), categoryId}
+   * @returns {object} Filtros normalizados (valores ausentes como null)
+   */
+  validateSearchFilters(filters = {}) {
+    const parseAmount = (value, label) => {
+      if (value === null || value === undefined || value === '') return null;
+      const amount = parseFloat(value);
+      if (isNaN(amount) || amount < 0) {
+        throw new Error(`${label} deve ser um número maior ou igual a zero`);
+      }
+      return amount;
+    };
+    const parseDay = (value, label) => {
+      if (!value) return null;
+      const date = DatesService.parseDate(value);
+      if (isNaN(date.getTime())) {
+        throw new Error(`${label} inválida`);
+      }
+      return date;
+    };
+
+    const normalized = {
+      text: this.normalizeSearchText(filters.text) || null,
+      minAmount: parseAmount(filters.minAmount, 'Valor mínimo'),
+      maxAmount: parseAmount(filters.maxAmount, 'Valor máximo'),
+      startDate: parseDay(filters.startDate, 'Data inicial'),
+      endDate: parseDay(filters.endDate, 'Data final'),
+      weekStatus: filters.weekStatus || 'all',
+      categoryId: filters.categoryId || null
+    };
+
+    if (!['all', 'open', 'closed'].includes(normalized.weekStatus)) {
+      throw new Error('Situação da semana inválida');
+    }
+    if (normalized.minAmount !== null && normalized.maxAmount !== null && normalized.minAmount > normalized.maxAmount) {
+      throw new Error('Valor mínimo não pode ser maior que o valor máximo');
+    }
+    if (normalized.startDate && normalized.endDate && normalized.startDate > normalized.endDate) {
+      throw new Error('Data inicial não pode ser posterior à data final');
+    }
+    if (normalized.endDate) {
+      normalized.endDate.setHours(23, 59, 59, 999);
+    }
+
+    return normalized;
+  },
+
+  /**
+   * Busca lançamentos em todas as semanas
+   * @param {object} filters - Filtros (veja validateSearchFilters)
+   * @param {object} sort - {field: 'date' | 'amount' | 'description', direction: 'asc' | 'desc'}
+   * @returns {Promise<Array>} Lançamentos encontrados, ordenados, com isClosedWeek e runningBalance
+   *                           (saldo acumulado de receitas menos gastos na ordem do resultado)
+   */
+  async searchTransactions(filters = {}, sort = { field: 'date', direction: 'desc' }) {
+    const criteria = this.validateSearchFilters(filters);
+    const closedWeeks = await this.getClosedWeeks();
+
+    const results = (await this.getAllTransactions())
+      .map(t => ({ ...t, isClosedWeek: closedWeeks.includes(t.weekId) }))
+      .filter(t => {
+        const date = new Date(t.date);
+        if (criteria.text && !this.normalizeSearchText(t.description).includes(criteria.text)) return false;
+        if (criteria.minAmount !== null && t.amount < criteria.minAmount) return false;
+        if (criteria.maxAmount !== null && t.amount > criteria.maxAmount) return false;
+        if (criteria.startDate && date < criteria.startDate) return false;
+        if (criteria.endDate && date > criteria.endDate) return false;
+        if (criteria.weekStatus === 'open' && t.isClosedWeek) return false;
+        if (criteria.weekStatus === 'closed' && !t.isClosedWeek) return false;
+        if (criteria.categoryId && (t.categoryId || UNCATEGORIZED_CATEGORY_ID) !== criteria.categoryId) return false;
+        return true;
+      });
+
+    const field = sort && sort.field ? sort.field : 'date';
+    const direction = sort && sort.direction === 'asc' ? 1 : -1;
+    const compare = {
+      date: (a, b) => new Date(a.date) - new Date(b.date),
+      amount: (a, b) => a.amount - b.amount,
+      description: (a, b) => a.description.localeCompare(b.description, 'pt-BR', { sensitivity: 'base' })
+    }[field];
+    if (!compare) {
+      throw new Error('Ordenação inválida');
+    }
+    // Empates mantêm a ordem de criação, do mais recente para o mais antigo
+    results.sort((a, b) => compare(a, b) * direction || new Date(b.createdAt || b.date) - new Date(a.createdAt || a.date));
+
+    let balance = 0;
+    results.forEach(t => {
+      balance += this.isIncome(t) ? t.amount : -t.amount;
+      t.runningBalance = balance;
     });
 
-    return this.calculateTotal(monthTransactions);
+    return results;
+  },
+
+  /**
+   * Divide uma lista em páginas
+   * @param {Array} items - Lista completa
+   * @param {number} page - Página desejada (começa em 1; é ajustada para o intervalo válido)
+   * @param {number} pageSize - Itens por página
+   * @returns {object} {items, page, pageCount, totalItems}
+   */
+  paginate(items, page = 1, pageSize = SEARCH_PAGE_SIZE) {
+    const pageCount = Math.max(Math.ceil(items.length / pageSize), 1);
+    const currentPage = Math.min(Math.max(parseInt(page, 10) || 1, 1), pageCount);
+    return {
+      items: items.slice((currentPage - 1) * pageSize, currentPage * pageSize),
+      page: currentPage,
+      pageCount,
+      totalItems: items.length
+    };
+  },
+
+  /**
+   * Calcula o total de gastos do mês atual
+   * @returns {Promise<number>} Total do mês atual
+   */
+  async getCurrentMonthTotal() {
+    return this.calculateTotal(await this.getCurrentMonthTransactions());
+  },
+
+  /**
+   * Calcula receitas, gastos e saldo do mês atual
+   * @returns {Promise<object>} {income, expenses, balance}
+   */
+  async getCurrentMonthSummary() {
+    return this.calculateSummary(await this.getCurrentMonthTransactions());
   },
 
   /**
    * Remove um lançamento
    * @param {string} transactionId - ID do lançamento
-   * @returns {boolean} True se removido com sucesso
+   * @returns {Promise<boolean>} True se removido com sucesso
    */
-  removeTransaction(transactionId) {
-    const transactions = this.getAllTransactions();
+  async removeTransaction(transactionId) {
+    const transactions = await this.getAllTransactions();
     const filtered = transactions.filter(t => t.id !== transactionId);
-    StorageService.set(FINANCE_STORAGE_KEY, filtered);
+    await StorageService.set(FINANCE_STORAGE_KEY, filtered);
     return filtered.length < transactions.length;
   },
 
   /**
    * Verifica se uma semana está fechada
    * @param {string} weekId - ID da semana
-   * @returns {boolean}
+   * @returns {Promise<boolean>}
    */
-  isWeekClosed(weekId) {
-    const closedWeeks = this.getClosedWeeks();
+  async isWeekClosed(weekId) {
+    const closedWeeks = await this.getClosedWeeks();
     return closedWeeks.includes(weekId);
   },
 
   /**
    * Verifica se uma transação pertence a uma semana fechada
-   * Considera tanto o weekId da transação quanto o weekId padrão calculado da data
+   * Considera tanto o weekId da transação quanto a semana cujo período contém a data
    * @param {object} transaction - Transação a verificar
-   * @returns {boolean} True se a transação pertence a uma semana fechada
+   * @param {Array} weeks - Semanas de WeekService.getWeeks (opcional, evita recalcular em laços)
+   * @param {Set} closedWeekIds - IDs das semanas fechadas (opcional, evita reler o storage em laços)
+   * @returns {Promise<boolean>} True se a transação pertence a uma semana fechada
    */
-  isTransactionInClosedWeek(transaction) {
+  async isTransactionInClosedWeek(transaction, weeks = null, closedWeekIds = null) {
     // Verifica se o weekId da transação está fechado
-    if (this.isWeekClosed(transaction.weekId)) {
+    const isClosed = closedWeekIds
+      ? closedWeekIds.has(transaction.weekId)
+      : await this.isWeekClosed(transaction.weekId);
+    if (isClosed) {
       return true;
     }
     
-    // Verifica se o weekId padrão calculado da data da transação está fechado
+    // Verifica se a semana que contém a data da transação está fechada
     // Isso é importante porque quando uma semana é fechada manualmente,
-    // o targetWeekId pode ser diferente do weekId das transações
-    const transactionDate = new Date(transaction.date);
-    const standardWeekStart = DatesService.getWeekStart(transactionDate);
-    const standardWeekId = this.getOrCreateWeekId(standardWeekStart);
-    if (this.isWeekClosed(standardWeekId)) {
-      return true;
-    }
-    
-    return false;
+    // o weekId das transações pode ser diferente da semana fechada
+    const week = await WeekService.findWeekForDate(new Date(transaction.date), weeks);
+    return week !== null && week.status === WEEK_STATUS.CLOSED;
   },
 
   /**
    * Obtém lista de semanas fechadas
-   * @returns {Array} Lista de IDs de semanas fechadas
+   * @returns {Promise<Array>} Lista de IDs de semanas fechadas
    */
-  getClosedWeeks() {
+  async getClosedWeeks() {
     return StorageService.get(CLOSED_WEEKS_KEY, []);
   },
 
@@ -553,30 +1173,30 @@ const FinanceService = {
    * @param {string} weekId - ID da semana (opcional, usa semana atual se não informado)
    * @param {Date} nextCloseDate - Data do próximo fechamento (opcional, calcula automaticamente se não informado)
    * @param {boolean} isManual - Se é fechamento manual (padrão: false)
-   * @returns {boolean} True se fechada com sucesso
+   * @returns {Promise<boolean>} True se fechada com sucesso
    */
-  closeWeek(weekId = null, nextCloseDate = null, isManual = false) {
+  async closeWeek(weekId = null, nextCloseDate = null, isManual = false) {
     // Determina qual semana fechar
     let targetWeekId;
     if (isManual && !weekId) {
       // Para fechamento manual, sempre fecha a semana atual
       // Isso garante que mesmo com semanas customizadas, sempre fecha a semana correta
-      targetWeekId = this.getCurrentWeekId();
+      targetWeekId = await this.getCurrentWeekId();
       
       // Verifica se a semana atual já está fechada
-      if (this.isWeekClosed(targetWeekId)) {
+      if (await this.isWeekClosed(targetWeekId)) {
         throw new Error('A semana atual já está fechada.');
       }
     } else {
       // Para fechamento automático ou quando weekId é especificado
-      targetWeekId = weekId || this.getCurrentWeekId();
+      targetWeekId = weekId || await this.getCurrentWeekId();
       
-      if (this.isWeekClosed(targetWeekId)) {
+      if (await this.isWeekClosed(targetWeekId)) {
         return false; // Semana já está fechada
       }
     }
 
-    const closedWeeks = this.getClosedWeeks();
+    const closedWeeks = await this.getClosedWeeks();
     
     // Garante que o targetWeekId seja uma string para comparação consistente
     const weekIdToClose = String(targetWeekId);
@@ -589,43 +1209,56 @@ const FinanceService = {
       return false;
     }
     
+    // Guarda o retrato da semana e o estado da semana atual antes de ser substituída
+    // (o retrato mantém o histórico estável; o estado anterior permite a reabertura).
+    // O retrato é montado antes de marcar a semana como fechada, pois as consultas
+    // da semana atual ignoram lançamentos de semanas fechadas
+    const isCurrentWeek = weekIdToClose === await this.getCurrentWeekId();
+    const closedAt = new Date();
+    const closeRecord = {
+      closedAt: closedAt.toISOString(),
+      isManual,
+      previousWeekStart: isCurrentWeek ? (await this.getCurrentWeekStartDate()).toISOString() : null,
+      previousNextCloseDate: isCurrentWeek ? await StorageService.get(NEXT_CLOSE_DATE_KEY, null) : null,
+      ...await this.buildWeekSnapshot(weekIdToClose, isCurrentWeek ? closedAt : null)
+    };
+
     closedWeeks.push(weekIdToClose);
-    StorageService.set(CLOSED_WEEKS_KEY, closedWeeks);
+    await StorageService.set(CLOSED_WEEKS_KEY, closedWeeks);
     
     // Verifica se foi realmente salva
-    const savedWeeks = this.getClosedWeeks();
+    const savedWeeks = await this.getClosedWeeks();
     if (!savedWeeks.includes(weekIdToClose)) {
       throw new Error('Erro ao salvar o fechamento da semana. Tente novamente.');
     }
 
+    const records = await this.getWeekCloseRecords();
+    records[weekIdToClose] = closeRecord;
+    await StorageService.set(WEEK_CLOSE_RECORDS_KEY, records);
+    await this.addWeekAuditEntry('close', weekIdToClose, { automatic: !isManual });
+
     const now = new Date();
     const closeDate = new Date(now);
     closeDate.setHours(0, 0, 0, 0);
 
-    const config = this.getAutoCloseConfig();
-    const dayOfWeek = config.dayOfWeek || 0; // Padrão: domingo
+    const cycle = await this.getCycle();
 
     // Define a próxima data de fechamento e início da nova semana
     if (isManual) {
       // Fechamento manual
       // A nova semana começa no dia do fechamento
-      const currentNextCloseDate = this.getNextCloseDate();
+      const currentNextCloseDate = await this.getNextCloseDate();
       
-      // Calcula o próximo dia da semana configurado para o próximo fechamento
-      const newNextDay = DatesService.getNextDayOfWeekAfter(now, dayOfWeek);
+      // Calcula o início do próximo ciclo para o próximo fechamento
+      const newNextDay = DatesService.getNextCycleStartAfter(now, cycle);
       
       // Define a nova semana para começar hoje (dia do fechamento)
       let newWeekStartDate = new Date(closeDate);
       newWeekStartDate.setHours(0, 0, 0, 0);
       
-      // Gera um novo ID único para a nova semana
-      // Como usamos IDs únicos aleatórios, não precisamos verificar se é igual ao targetWeekId
-      const newWeekId = this.generateWeekId();
-      
-      // Atualiza o mapeamento com o novo weekId
-      const mapping = this.getWeekIdMapping();
-      mapping[newWeekId] = newWeekStartDate.toISOString().split('T')[0];
-      this.setWeekIdMapping(mapping);
+      // Cria a nova semana no mapeamento
+      // Se a semana fechada também começou hoje, o ID da nova semana recebe um sufixo (ver WeekService.buildWeekId)
+      const newWeekId = await WeekService.createWeek(newWeekStartDate);
       
       if (currentNextCloseDate) {
         const nextClose = new Date(currentNextCloseDate);
@@ -634,36 +1267,36 @@ const FinanceService = {
         // Se está fechando antes do dia de próximo fechamento automático
         if (closeDate < nextClose) {
           // Mantém a data de próximo fechamento
-          this.setCurrentWeekStart(newWeekStartDate, newWeekId);
+          await this.setCurrentWeekStart(newWeekStartDate, newWeekId);
         } else {
           // Se está fechando no dia do próximo fechamento ou depois
           // Atualiza a próxima data de fechamento
-          this.setNextCloseDate(newNextDay);
-          this.setCurrentWeekStart(newWeekStartDate, newWeekId);
+          await this.setNextCloseDate(newNextDay);
+          await this.setCurrentWeekStart(newWeekStartDate, newWeekId);
         }
       } else {
         // Não há próxima data de fechamento configurada
-        this.setNextCloseDate(newNextDay);
-        this.setCurrentWeekStart(newWeekStartDate, newWeekId);
+        await this.setNextCloseDate(newNextDay);
+        await this.setCurrentWeekStart(newWeekStartDate, newWeekId);
       }
       
       // Verificação final: garante que a nova semana não está fechada
-      const finalWeekId = this.getCurrentWeekId();
-      if (this.isWeekClosed(finalWeekId)) {
-        // Se por algum motivo a nova semana estiver fechada, gera um novo ID
+      const finalWeekId = await this.getCurrentWeekId();
+      if (await this.isWeekClosed(finalWeekId)) {
+        // Se por algum motivo a nova semana estiver fechada, cria outra a partir do dia seguinte
         const adjustedDate = new Date(newWeekStartDate);
         adjustedDate.setDate(adjustedDate.getDate() + 1);
-        const adjustedWeekId = this.generateWeekId();
-        this.setCurrentWeekStart(adjustedDate, adjustedWeekId);
+        const adjustedWeekId = await WeekService.createWeek(adjustedDate);
+        await this.setCurrentWeekStart(adjustedDate, adjustedWeekId);
       }
     } else {
       // Fechamento automático (já tratado em checkAndAutoCloseWeek)
       // Se nextCloseDate foi informado, usa ele
       if (nextCloseDate) {
-        this.setNextCloseDate(nextCloseDate);
+        await this.setNextCloseDate(nextCloseDate);
       } else {
-        const nextDay = DatesService.getNextDayOfWeekAfter(now, dayOfWeek);
-        this.setNextCloseDate(nextDay);
+        const nextDay = DatesService.getNextCycleStartAfter(now, cycle);
+        await this.setNextCloseDate(nextDay);
       }
       // O início da nova semana já foi definido em checkAndAutoCloseWeek
     }
@@ -671,12 +1304,221 @@ const FinanceService = {
     return true;
   },
 
+  /**
+   * Obtém o registro salvo no fechamento de cada semana
+   * Campos: closedAt, isManual, previousWeekStart, previousNextCloseDate e o retrato de buildWeekSnapshot
+   * (registros de antes dos retratos têm apenas os quatro primeiros)
+   * @returns {Promise<object>} weekId -> registro do fechamento
+   */
+  async getWeekCloseRecords() {
+    return StorageService.get(WEEK_CLOSE_RECORDS_KEY, {});
+  },
+
+  /**
+   * Monta o retrato de uma semana no momento do fechamento
+   * Guarda os totais, o limite em vigor e os nomes de categorias e membros, para que o
+   * histórico não mude quando as configurações mudarem depois
+   * @param {string} weekId - ID da semana
+   * @param {Date|null} closeDate - Dia do fechamento, usado como fim da semana atual (null usa o fim padrão)
+   * @returns {Promise<object>} {weekStart, weekEnd (yyyy-mm-dd), total, income, balance, transactionCount,
+   *                             weeklyLimit, isExceeded, categoryTotals, memberTotals}
+   */
+  async buildWeekSnapshot(weekId, closeDate = null) {
+    const transactions = await this.getTransactionsByWeek(weekId);
+    const summary = this.calculateSummary(transactions);
+    const weeklyLimit = await this.getWeeklyLimit();
+
+    const weekStart = await this.getWeekStartDateById(weekId);
+    let weekEnd = null;
+    if (weekStart) {
+      weekEnd = closeDate && closeDate >= weekStart ? new Date(closeDate) : DatesService.getWeekEnd(weekStart, await this.getCycle());
+    }
+
+    return {
+      weekStart: weekStart ? DatesService.formatDateForInput(weekStart) : null,
+      weekEnd: weekEnd ? DatesService.formatDateForInput(weekEnd) : null,
+      total: summary.expenses,
+      income: summary.income,
+      balance: summary.balance,
+      transactionCount: transactions.length,
+      weeklyLimit,
+      isExceeded: weeklyLimit !== null && summary.expenses > weeklyLimit,
+      categoryTotals: await this.calculateCategoryTotals(transactions),
+      memberTotals: await this.calculateMemberTotals(transactions)
+    };
+  },
+
+  /**
+   * Cria o retrato das semanas fechadas que ainda não têm um (fechadas antes dos retratos)
+   * O retrato usa as configurações atuais e é marcado como isBackfilled
+   * @returns {Promise<number>} Quantidade de retratos criados
+   */
+  async backfillClosedWeekSnapshots() {
+    const closedWeeks = await this.getClosedWeeks();
+    const records = await this.getWeekCloseRecords();
+    const missing = closedWeeks.filter(weekId => !records[weekId] || records[weekId].total === undefined);
+    if (missing.length === 0) {
+      return 0;
+    }
+
+    for (const weekId of missing) {
+      records[weekId] = {
+        closedAt: null,
+        isManual: null,
+        previousWeekStart: null,
+        previousNextCloseDate: null,
+        ...records[weekId],
+        ...await this.buildWeekSnapshot(weekId),
+        isBackfilled: true
+      };
+    }
+    await StorageService.set(WEEK_CLOSE_RECORDS_KEY, records);
+    return missing.length;
+  },
+
+  /**
+   * Obtém o registro de fechamentos e reaberturas de semanas
+   * @param {string|null} weekId - Filtra por semana (opcional)
+   * @returns {Promise<Array>} Entradas {id, action: 'close' | 'reopen' | 'repair', weekId, at, by, reason, details}, mais recentes primeiro
+   */
+  async getWeekAuditLog(weekId = null) {
+    return (await StorageService.get(WEEK_AUDIT_LOG_KEY, []))
+      .filter(entry => !weekId || entry.weekId === weekId)
+      .sort((a, b) => new Date(b.at) - new Date(a.at));
+  },
+
+  /**
+   * Acrescenta uma entrada ao registro de fechamentos e reaberturas
+   * O autor é o usuário logado (null quando não há sessão, ex: fechamento automático sem login)
+   * @param {string} action - 'close', 'reopen' ou 'repair' (correção das semanas, sem weekId)
+   * @param {string|null} weekId - ID da semana
+   * @param {object} details - Dados adicionais da ação
+   * @param {string|null} reason - Motivo informado pelo usuário
+   * @returns {Promise<object>} Entrada registrada
+   */
+  async addWeekAuditEntry(action, weekId, details = {}, reason = null) {
+    let by = null;
+    try {
+      by = (await AuthService.getCurrentUser()).username;
+    } catch (error) {
+      // Sem usuário logado
+    }
+
+    const entry = {
+      id: 'audit_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9),
+      action,
+      weekId,
+      at: new Date().toISOString(),
+      by,
+      reason,
+      details
+    };
+    const log = await StorageService.get(WEEK_AUDIT_LOG_KEY, []);
+    log.push(entry);
+    await StorageService.set(WEEK_AUDIT_LOG_KEY, log);
+    return entry;
+  },
+
+  /**
+   * Verifica se uma semana pode ser reaberta
+   * Apenas a última semana fechada pode ser reaberta, e só se o fechamento guardou o estado anterior
+   * @param {string} weekId - ID da semana
+   * @returns {Promise<string|null>} Motivo do impedimento ou null se pode ser reaberta
+   */
+  async getReopenBlocker(weekId) {
+    const closedWeeks = await this.getClosedWeeks();
+    if (!closedWeeks.includes(weekId)) {
+      return 'Esta semana não está fechada';
+    }
+    if (closedWeeks[closedWeeks.length - 1] !== weekId) {
+      return 'Apenas a última semana fechada pode ser reaberta';
+    }
+    const record = (await this.getWeekCloseRecords())[weekId];
+    if (!record || !record.previousWeekStart) {
+      return 'Esta semana foi fechada sem o registro do estado anterior e não pode ser reaberta';
+    }
+    return null;
+  },
+
+  /**
+   * Reabre a última semana fechada, desfazendo o fechamento
+   * Restaura o início, o ID e a data do próximo fechamento da semana atual de antes do fechamento
+   * e devolve para a semana reaberta os lançamentos da semana criada pelo fechamento
+   * (inclusive os que foram redirecionados por terem data na semana fechada)
+   * @param {string} weekId - ID da semana fechada
+   * @param {string} reason - Motivo da reabertura (obrigatório)
+   * @returns {Promise<object>} Entrada do registro de reaberturas
+   */
+  async reopenWeek(weekId, reason) {
+    if (!reason || !reason.trim()) {
+      throw new Error('Informe o motivo da reabertura');
+    }
+    const blocker = await this.getReopenBlocker(weekId);
+    if (blocker) {
+      throw new Error(blocker);
+    }
+
+    const records = await this.getWeekCloseRecords();
+    const record = records[weekId];
+    const replacedWeekId = await this.getCurrentWeekId();
+
+    let movedTransactions = 0;
+    if (replacedWeekId !== weekId) {
+      const now = new Date().toISOString();
+      const transactions = await this.getAllTransactions();
+      transactions.forEach(t => {
+        if (t.weekId === replacedWeekId) {
+          t.weekId = weekId;
+          t.updatedAt = now;
+          movedTransactions++;
+        }
+      });
+      if (movedTransactions > 0) {
+        await StorageService.set(FINANCE_STORAGE_KEY, transactions);
+      }
+
+      // A semana criada pelo fechamento deixa de existir
+      const mapping = await this.getWeekIdMapping();
+      delete mapping[replacedWeekId];
+      await this.setWeekIdMapping(mapping);
+    }
+
+    await StorageService.set(CLOSED_WEEKS_KEY, (await this.getClosedWeeks()).filter(id => id !== weekId));
+    await StorageService.set(CURRENT_WEEK_START_KEY, record.previousWeekStart);
+    await StorageService.set(CURRENT_WEEK_ID_KEY, weekId);
+    if (record.previousNextCloseDate) {
+      await StorageService.set(NEXT_CLOSE_DATE_KEY, record.previousNextCloseDate);
+    } else {
+      await StorageService.remove(NEXT_CLOSE_DATE_KEY);
+    }
+
+    delete records[weekId];
+    await StorageService.set(WEEK_CLOSE_RECORDS_KEY, records);
+
+    return this.addWeekAuditEntry('reopen', weekId, {
+      replacedWeekId: replacedWeekId !== weekId ? replacedWeekId : null,
+      movedTransactions,
+      restoredWeekStart: record.previousWeekStart,
+      restoredNextCloseDate: record.previousNextCloseDate
+    }, reason.trim());
+  },
+
+  /**
+   * Obtém o momento da última reabertura de uma semana
+   * @param {string} weekId - ID da semana
+   * @returns {Promise<Date|null>} Data da última reabertura ou null se nunca foi reaberta
+   */
+  async getLastReopenDate(weekId) {
+    const entry = (await this.getWeekAuditLog(weekId)).find(e => e.action === 'reopen');
+    return entry ? new Date(entry.at) : null;
+  },
+
   /**
    * Verifica se a semana atual está fechada
-   * @returns {boolean}
+   * @returns {Promise<boolean>}
    */
-  isCurrentWeekClosed() {
-    const currentWeekId = this.getCurrentWeekId();
+  async isCurrentWeekClosed() {
+    const currentWeekId = await this.getCurrentWeekId();
     return this.isWeekClosed(currentWeekId);
   },
 
@@ -693,142 +1535,408 @@ const FinanceService = {
   },
 
   /**
-   * Obtém configuração de fechamento automático
-   * @returns {object} Configuração {enabled: boolean, dayOfWeek: number, hour: number}
+   * Obtém configuração de fechamento automático e do ciclo das semanas
+   * O dia do fechamento é o primeiro dia do ciclo: a semana fechada termina nele e a nova começa nele.
+   * cycleAnchor (yyyy-mm-dd) é o início de um ciclo qualquer; só é usado em ciclos diferentes de 7 dias
+   * @returns {Promise<object>} Configuração {enabled, dayOfWeek, hour, cycleLength, cycleAnchor}
    */
-  getAutoCloseConfig() {
-    return StorageService.get(AUTO_CLOSE_CONFIG_KEY, {
+  async getAutoCloseConfig() {
+    return {
       enabled: true,
       dayOfWeek: 0, // 0 = Domingo
-      hour: 12 // 12h
-    });
+      hour: 12, // 12h
+      cycleLength: 7,
+      cycleAnchor: null,
+      // Configurações de antes do ciclo configurável não têm os dois últimos campos
+      ...await StorageService.get(AUTO_CLOSE_CONFIG_KEY, {})
+    };
+  },
+
+  /**
+   * Define configuração de fechamento automático e do ciclo das semanas
+   * Em ciclos diferentes de 7 dias, o dia do fechamento passa a ser o dia da semana de cycleAnchor.
+   * Se o próximo fechamento agendado não cair no início de um ciclo, ele é reagendado.
+   * @param {object} config - Configuração {enabled, dayOfWeek, hour, cycleLength, cycleAnchor}
+   */
+  async setAutoCloseConfig(config) {
+    const cycleLength = config.cycleLength === undefined ? 7 : parseInt(config.cycleLength);
+    if (isNaN(cycleLength) || cycleLength < MIN_CYCLE_LENGTH || cycleLength > MAX_CYCLE_LENGTH) {
+      throw new Error(`A duração do ciclo deve ser entre ${MIN_CYCLE_LENGTH} e ${MAX_CYCLE_LENGTH} dias`);
+    }
+
+    const normalized = { ...config, cycleLength, cycleAnchor: null };
+    if (cycleLength !== 7) {
+      const anchor = config.cycleAnchor ? DatesService.parseDate(config.cycleAnchor) : null;
+      if (!anchor || isNaN(anchor.getTime())) {
+        throw new Error('Informe a data de início de um ciclo');
+      }
+      normalized.cycleAnchor = DatesService.formatDateForInput(anchor);
+      normalized.dayOfWeek = anchor.getDay();
+    }
+
+    await StorageService.set(AUTO_CLOSE_CONFIG_KEY, normalized);
+
+    const nextCloseDate = await this.getNextCloseDate();
+    const cycle = await this.getCycle();
+    if (nextCloseDate && !DatesService.isCycleStart(nextCloseDate, cycle)) {
+      const weekStart = await this.getCurrentWeekStartDate();
+      await StorageService.set(NEXT_CLOSE_DATE_KEY, DatesService.getNextCycleStartAfter(weekStart, cycle).toISOString());
+    }
   },
 
   /**
-   * Define configuração de fechamento automático
-   * @param {object} config - Configuração {enabled: boolean, dayOfWeek: number, hour: number}
+   * Obtém o ciclo configurado das semanas, no formato usado pelo DatesService
+   * @returns {Promise<object>} Ciclo {length, anchor}
    */
-  setAutoCloseConfig(config) {
-    StorageService.set(AUTO_CLOSE_CONFIG_KEY, config);
+  async getCycle() {
+    const config = await this.getAutoCloseConfig();
+    if (config.cycleLength !== 7 && config.cycleAnchor) {
+      return { length: config.cycleLength, anchor: DatesService.parseDate(config.cycleAnchor) };
+    }
+
+    // Ciclo de 7 dias: basta um dia qualquer da semana configurada
+    const anchor = new Date(DatesService.defaultCycle.anchor);
+    anchor.setDate(anchor.getDate() + (config.dayOfWeek || 0));
+    return { length: 7, anchor };
   },
 
   /**
-   * Verifica e executa fechamento automático de semana
-   * @returns {boolean} True se alguma semana foi fechada
+   * Lista os fechamentos automáticos que já deveriam ter acontecido na semana atual
+   * São os inícios de ciclo (ver getCycle) entre o início da semana atual e hoje (hoje só depois
+   * do horário configurado). Fechamentos anteriores a uma reabertura da semana são ignorados,
+   * para que a semana reaberta não seja fechada de novo logo em seguida.
+   * @param {Date} now - Momento da verificação
+   * @returns {Promise<Array<Date>>} Dias dos fechamentos pendentes (00:00), em ordem cronológica
    */
-  checkAndAutoCloseWeek() {
-    const config = this.getAutoCloseConfig();
+  async getMissedClosingDates(now = new Date()) {
+    const config = await this.getAutoCloseConfig();
     if (!config.enabled) {
-      return false;
+      return [];
     }
 
+    const currentWeekId = await this.getCurrentWeekId();
+    if (await this.isWeekClosed(currentWeekId)) {
+      return [];
+    }
+    const lastReopen = await this.getLastReopenDate(currentWeekId);
+    const cycle = await this.getCycle();
+
+    const day = new Date(await this.getCurrentWeekStartDate());
+    day.setHours(0, 0, 0, 0);
+    day.setDate(day.getDate() + 1);
+
+    const dates = [];
+    while (true) {
+      const closingMoment = new Date(day);
+      closingMoment.setHours(config.hour, 0, 0, 0);
+      if (closingMoment > now) {
+        break;
+      }
+      if (DatesService.isCycleStart(day, cycle) && (!lastReopen || closingMoment > lastReopen)) {
+        dates.push(new Date(day));
+      }
+      day.setDate(day.getDate() + 1);
+    }
+    return dates;
+  },
+
+  /**
+   * Fecha retroativamente as semanas cujos fechamentos passaram com o aplicativo fechado
+   * A semana atual é dividida nos dias de fechamento: cada trecho vira uma semana fechada
+   * (de seu início até a véspera do fechamento seguinte) e o último trecho vira a nova semana atual.
+   * Os lançamentos da semana atual são distribuídos pelos trechos conforme a data; lançamentos
+   * com data anterior ao início da semana atual (redirecionados de semanas fechadas) ficam no primeiro.
+   * @param {Array<Date>} closingDates - Dias dos fechamentos perdidos (de getMissedClosingDates)
+   * @returns {Promise<number>} Quantidade de semanas fechadas
+   */
+  async catchUpMissedClosings(closingDates) {
+    if (closingDates.length === 0) {
+      return 0;
+    }
+
+    const config = await this.getAutoCloseConfig();
+    const firstWeekId = await this.getCurrentWeekId();
+    const firstStart = await this.getCurrentWeekStartDate();
+    const firstNextCloseDate = await StorageService.get(NEXT_CLOSE_DATE_KEY, null);
+
+    // Trechos: [início atual, 1º fechamento), [1º fechamento, 2º fechamento), ..., [último fechamento, ...)
+    const segments = [{ weekId: firstWeekId, start: new Date(firstStart) }];
+    for (const date of closingDates) {
+      segments.push({ weekId: await WeekService.createWeek(date), start: new Date(date) });
+    }
+
+    // Distribui os lançamentos da semana atual (inclusive os associados pelo período) pelos trechos
+    const currentIds = new Set((await this.getTransactionsByWeek(firstWeekId)).map(t => t.id));
+    const transactions = await this.getAllTransactions();
+    const now = new Date().toISOString();
+    transactions.forEach(t => {
+      if (!currentIds.has(t.id)) return;
+      const date = new Date(t.date);
+      const segment = [...segments].reverse().find(seg => date >= seg.start) || segments[0];
+      if (t.weekId !== segment.weekId) {
+        t.weekId = segment.weekId;
+        t.updatedAt = now;
+      }
+    });
+    await StorageService.set(FINANCE_STORAGE_KEY, transactions);
+
+    // A última parte vira a semana atual antes dos retratos, que então leem cada semana pelo weekId
+    const last = segments[segments.length - 1];
+    await this.setCurrentWeekStart(last.start, last.weekId);
+    // Gravado direto: pode ser hoje, antes do horário do fechamento, o que setNextCloseDate recusa
+    await StorageService.set(NEXT_CLOSE_DATE_KEY, DatesService.getNextCycleStartAfter(last.start, await this.getCycle()).toISOString());
+
+    const records = await this.getWeekCloseRecords();
+    const closedWeeks = await this.getClosedWeeks();
+    for (let i = 0; i < segments.length - 1; i++) {
+      const segment = segments[i];
+      const nextStart = segments[i + 1].start;
+      const weekEnd = new Date(nextStart);
+      weekEnd.setDate(weekEnd.getDate() - 1);
+      const closedAt = new Date(nextStart);
+      closedAt.setHours(config.hour, 0, 0, 0);
+
+      records[segment.weekId] = {
+        closedAt: closedAt.toISOString(),
+        isManual: false,
+        isCatchUp: true,
+        previousWeekStart: segment.start.toISOString(),
+        previousNextCloseDate: i === 0 && firstNextCloseDate ? firstNextCloseDate : closedAt.toISOString(),
+        ...await this.buildWeekSnapshot(segment.weekId, weekEnd < segment.start ? segment.start : weekEnd)
+      };
+      if (!closedWeeks.includes(segment.weekId)) {
+        closedWeeks.push(segment.weekId);
+      }
+    }
+    await StorageService.set(WEEK_CLOSE_RECORDS_KEY, records);
+    await StorageService.set(CLOSED_WEEKS_KEY, closedWeeks);
+
+    for (const segment of segments.slice(0, -1)) {
+      await this.addWeekAuditEntry('close', segment.weekId, { automatic: true, catchUp: true });
+    }
+
+    return segments.length - 1;
+  },
+
+  /**
+   * Verifica e executa fechamento automático de semana
+   * Fechamentos perdidos em dias anteriores (aplicativo fechado) são feitos retroativamente;
+   * o fechamento de hoje segue o fluxo normal, com a nova semana começando hoje
+   * @returns {Promise<boolean>} True se alguma semana foi fechada
+   */
+  async checkAndAutoCloseWeek() {
     const now = new Date();
-    const currentDay = now.getDay();
-    const currentHour = now.getHours();
-
-    // Verifica se é o dia e hora configurados para fechamento
-    if (currentDay === config.dayOfWeek && currentHour >= config.hour) {
-      // Obtém a semana atual que deve ser fechada
-      const currentWeekId = this.getCurrentWeekId();
-
-      // Fecha a semana atual se ainda não estiver fechada
-      if (!this.isWeekClosed(currentWeekId)) {
-        // No fechamento automático, a nova semana atual começa no dia do fechamento
-        // (porque o fechamento ocorre ao meio dia)
-        const closeDate = new Date(now);
-        closeDate.setHours(0, 0, 0, 0);
-        
-        // Define o próximo fechamento como próximo dia da semana configurado
-        const nextDay = DatesService.getNextDayOfWeekAfter(now, config.dayOfWeek);
-        
-        // Gera um novo ID único para a nova semana
-        const newWeekId = this.generateWeekId();
-        
-        // Fecha a semana e atualiza o início da nova semana atual
-        const closed = this.closeWeek(currentWeekId, nextDay);
-        if (closed) {
-          // Define o início da nova semana atual como o dia do fechamento
-          this.setCurrentWeekStart(closeDate, newWeekId);
-        }
-        return closed;
+    const closingDates = await this.getMissedClosingDates(now);
+    if (closingDates.length === 0) {
+      return false;
+    }
+
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    const closesToday = closingDates[closingDates.length - 1].getTime() === today.getTime();
+    const missed = closesToday ? closingDates.slice(0, -1) : closingDates;
+
+    const caughtUp = await this.catchUpMissedClosings(missed);
+    if (!closesToday) {
+      return caughtUp > 0;
+    }
+
+    const currentWeekId = await this.getCurrentWeekId();
+
+    // No fechamento automático, a nova semana atual começa no dia do fechamento
+    // (porque o fechamento ocorre ao meio dia)
+    // Define o próximo fechamento como o início do próximo ciclo
+    const nextDay = DatesService.getNextCycleStartAfter(now, await this.getCycle());
+
+    // Fecha a semana e atualiza o início da nova semana atual
+    const closed = await this.closeWeek(currentWeekId, nextDay);
+    if (closed) {
+      // Define o início da nova semana atual como o dia do fechamento
+      await this.setCurrentWeekStart(today, await WeekService.createWeek(today));
+    }
+    return closed || caughtUp > 0;
+  },
+
+  /**
+   * Lista os IDs de todas as semanas conhecidas (fechadas ou com lançamentos)
+   * Semanas sem data de início no mapeamento são separadas como órfãs
+   * @returns {Promise<object>} {weeks: [{weekId, weekStart}] (mais recente primeiro), orphanedWeekIds: Array}
+   */
+  async getWeeksHistoryIndex() {
+    const allWeekIds = new Set(await this.getClosedWeeks());
+    (await this.getAllTransactions()).forEach(t => allWeekIds.add(t.weekId));
+
+    const weeks = [];
+    const orphanedWeekIds = [];
+    for (const weekId of allWeekIds) {
+      const weekStart = await this.getWeekStartDateById(weekId);
+      if (weekStart && !isNaN(weekStart.getTime())) {
+        weeks.push({ weekId, weekStart });
+      } else {
+        orphanedWeekIds.push(weekId);
       }
     }
 
-    return false;
+    weeks.sort((a, b) => b.weekStart - a.weekStart);
+    return { weeks, orphanedWeekIds };
+  },
+
+  /**
+   * Monta as informações de uma semana do histórico
+   * Semanas fechadas com retrato usam os valores do fechamento; as demais são calculadas
+   * a partir dos lançamentos e do limite atual
+   * @param {string} weekId - ID da semana
+   * @param {Date|null} weekStart - Data de início (null para semanas órfãs)
+   * @returns {Promise<object>} Semana com totais, período, limite em vigor e situação
+   */
+  async buildWeekHistoryEntry(weekId, weekStart) {
+    const isClosed = await this.isWeekClosed(weekId);
+    const record = isClosed ? (await this.getWeekCloseRecords())[weekId] : null;
+
+    // Semanas fechadas usam o retrato do fechamento
+    if (record && record.total !== undefined) {
+      const snapshotStart = record.weekStart ? DatesService.parseDate(record.weekStart) : weekStart;
+      const snapshotEnd = record.weekEnd ? DatesService.parseDate(record.weekEnd) : null;
+      return {
+        weekId,
+        period: snapshotStart && snapshotEnd ? DatesService.getCurrentWeekPeriod(snapshotStart, snapshotEnd) : 'Data não disponível',
+        total: record.total,
+        income: record.income,
+        expenses: record.total,
+        balance: record.balance,
+        categoryTotals: record.categoryTotals || [],
+        memberTotals: record.memberTotals || [],
+        transactionCount: record.transactionCount,
+        weeklyLimit: record.weeklyLimit,
+        isExceeded: record.isExceeded,
+        closedAt: record.closedAt ? new Date(record.closedAt) : null,
+        isManual: record.isManual,
+        isClosed,
+        isOrphaned: !weekStart,
+        weekStart: weekStart || new Date(0),
+        weekEnd: snapshotEnd
+      };
+    }
+
+    const transactions = await this.getTransactionsByWeek(weekId);
+    const summary = this.calculateSummary(transactions);
+    const weeklyLimit = await this.getWeeklyLimit();
+
+    let period = 'Data não disponível';
+    let weekEnd = null;
+    if (weekStart) {
+      weekEnd = DatesService.getWeekEnd(weekStart, await this.getCycle());
+      period = DatesService.getCurrentWeekPeriod(weekStart, weekEnd);
+    } else if (transactions.length > 0) {
+      // Semana órfã: mostra o intervalo das datas dos lançamentos
+      const dates = transactions.map(t => new Date(t.date)).sort((a, b) => a - b);
+      period = DatesService.getCurrentWeekPeriod(dates[0], dates[dates.length - 1]);
+    }
+
+    return {
+      weekId,
+      period,
+      total: summary.expenses,
+      income: summary.income,
+      expenses: summary.expenses,
+      balance: summary.balance,
+      categoryTotals: await this.calculateCategoryTotals(transactions),
+      memberTotals: await this.calculateMemberTotals(transactions),
+      transactionCount: transactions.length,
+      weeklyLimit,
+      isExceeded: weeklyLimit !== null && summary.expenses > weeklyLimit,
+      closedAt: null,
+      isManual: null,
+      isClosed,
+      isOrphaned: !weekStart,
+      weekStart: weekStart || new Date(0),
+      weekEnd
+    };
+  },
+
+  /**
+   * Obtém uma página do histórico de semanas (mais recente primeiro)
+   * Semanas órfãs não entram na paginação (veja getOrphanedWeeks)
+   * @param {number} offset - Quantidade de semanas a pular
+   * @param {number} limit - Número máximo de semanas da página
+   * @returns {Promise<object>} {weeks, offset, totalWeeks, hasMore}
+   */
+  async getWeeksHistoryPage(offset = 0, limit = 10) {
+    const { weeks } = await this.getWeeksHistoryIndex();
+    const start = Math.max(offset, 0);
+    const page = weeks.slice(start, start + limit);
+
+    // Em sequência, pois as consultas podem criar semanas no mapeamento
+    const entries = [];
+    for (const week of page) {
+      entries.push(await this.buildWeekHistoryEntry(week.weekId, week.weekStart));
+    }
+
+    return {
+      weeks: entries,
+      offset: start,
+      totalWeeks: weeks.length,
+      hasMore: start + page.length < weeks.length
+    };
   },
 
   /**
    * Obtém histórico de semanas com informações
    * @param {number} limit - Número máximo de semanas a retornar (padrão: 10)
-   * @returns {Array} Lista de semanas com informações
+   * @returns {Promise<Array>} Lista de semanas com informações
    */
-  getWeeksHistory(limit = 10) {
-    const closedWeeks = this.getClosedWeeks();
-    const allTransactions = this.getAllTransactions();
-    
-    // Obtém todas as semanas únicas (fechadas e não fechadas)
-    const allWeekIds = new Set();
-    
-    // Adiciona semanas fechadas
-    closedWeeks.forEach(weekId => allWeekIds.add(weekId));
-    
-    // Adiciona semanas com transações
-    allTransactions.forEach(t => allWeekIds.add(t.weekId));
-    
-    // Converte para array e ordena (mais recente primeiro)
-    const weeks = Array.from(allWeekIds)
-      .map(weekId => {
-        const transactions = this.getTransactionsByWeek(weekId);
-        const total = this.calculateTotal(transactions);
-        const isClosed = this.isWeekClosed(weekId);
-        const weekStart = this.getWeekStartDateById(weekId);
-        
-        // Se não encontrou a data, tenta usar a primeira transação da semana
-        let period = 'Data não disponível';
-        if (weekStart) {
-          const weekEnd = DatesService.getWeekEnd(weekStart);
-          period = DatesService.getCurrentWeekPeriod(weekStart, weekEnd);
-        } else if (transactions.length > 0) {
-          // Fallback: usa a data da primeira transação
-          const firstDate = new Date(transactions[0].date);
-          const weekStartFallback = DatesService.getWeekStart(firstDate);
-          const weekEndFallback = DatesService.getWeekEnd(weekStartFallback);
-          period = DatesService.getCurrentWeekPeriod(weekStartFallback, weekEndFallback);
-        }
-        
-        return {
-          weekId,
-          period,
-          total,
-          transactionCount: transactions.length,
-          isClosed,
-          weekStart: weekStart || new Date(0)
-        };
-      })
-      .filter(w => w.weekStart.getTime() > 0) // Remove semanas sem data válida
-      .sort((a, b) => b.weekStart - a.weekStart)
-      .slice(0, limit);
-    
-    return weeks;
+  async getWeeksHistory(limit = 10) {
+    return (await this.getWeeksHistoryPage(0, limit)).weeks;
+  },
+
+  /**
+   * Obtém as semanas órfãs: semanas fechadas ou com lançamentos cujo weekId
+   * não tem data de início no mapeamento e precisam de reparo
+   * @returns {Promise<Array>} Semanas no formato de getWeeksHistory, com isOrphaned
+   */
+  async getOrphanedWeeks() {
+    const { orphanedWeekIds } = await this.getWeeksHistoryIndex();
+    const entries = [];
+    for (const weekId of orphanedWeekIds) {
+      entries.push(await this.buildWeekHistoryEntry(weekId, null));
+    }
+    return entries;
+  },
+
+  /**
+   * Encontra a posição no histórico da primeira semana de um mês ou ano
+   * Considera a semana mais recente que começa até o fim do período
+   * @param {number} year - Ano
+   * @param {number|null} month - Mês (0-11) ou null para o ano inteiro
+   * @returns {Promise<number>} Offset para getWeeksHistoryPage (-1 se não houver semana até o período)
+   */
+  async findWeeksHistoryOffset(year, month = null) {
+    const periodEnd = month === null ? new Date(year + 1, 0, 1) : new Date(year, month + 1, 1);
+    const { weeks } = await this.getWeeksHistoryIndex();
+    return weeks.findIndex(week => week.weekStart < periodEnd);
   },
 
   /**
    * Verifica se uma data está em uma semana fechada
    * @param {Date} date - Data a verificar
-   * @returns {boolean}
+   * @returns {Promise<boolean>}
    */
-  isDateInClosedWeek(date) {
-    const weekStart = DatesService.getWeekStart(date);
-    const weekId = this.getOrCreateWeekId(weekStart);
-    return this.isWeekClosed(weekId);
+  async isDateInClosedWeek(date) {
+    const week = await WeekService.findWeekForDate(date);
+    return week !== null && week.status === WEEK_STATUS.CLOSED;
   },
 
   /**
    * Obtém o limite semanal configurado
-   * @returns {number|null} Limite semanal ou null se não configurado
+   * Quando algum membro ativo tem limite individual, o limite semanal é a soma desses limites
+   * @returns {Promise<number|null>} Limite semanal ou null se não configurado
    */
-  getWeeklyLimit() {
-    const limit = StorageService.get(WEEKLY_LIMIT_KEY, null);
+  async getWeeklyLimit() {
+    const allowancesTotal = await MemberService.getAllowancesTotal();
+    if (allowancesTotal !== null) {
+      return allowancesTotal;
+    }
+    const limit = await StorageService.get(WEEKLY_LIMIT_KEY, null);
     return limit !== null ? parseFloat(limit) : null;
   },
 
@@ -836,37 +1944,145 @@ const FinanceService = {
    * Define o limite semanal
    * @param {number} limit - Valor do limite semanal
    */
-  setWeeklyLimit(limit) {
+  async setWeeklyLimit(limit) {
     if (limit !== null && (isNaN(limit) || limit <= 0)) {
       throw new Error('Limite deve ser um número maior que zero');
     }
-    StorageService.set(WEEKLY_LIMIT_KEY, limit);
+    if (await MemberService.getAllowancesTotal() !== null) {
+      throw new Error('O limite semanal é a soma dos limites individuais dos membros. Altere os limites na seção Membros da Casa.');
+    }
+    await StorageService.set(WEEKLY_LIMIT_KEY, limit);
   },
 
   /**
    * Verifica se o total da semana atual ultrapassou o limite
-   * @returns {boolean} True se ultrapassou o limite
+   * @returns {Promise<boolean>} True se ultrapassou o limite
    */
-  isWeeklyLimitExceeded() {
-    const limit = this.getWeeklyLimit();
+  async isWeeklyLimitExceeded() {
+    const limit = await this.getWeeklyLimit();
     if (limit === null) {
       return false;
     }
-    const currentTotal = this.getCurrentWeekTotal();
+    const currentTotal = await this.getCurrentWeekTotal();
     return currentTotal > limit;
   },
 
   /**
    * Obtém o percentual de uso do limite semanal
-   * @returns {number|null} Percentual (0-100) ou null se não houver limite
+   * @returns {Promise<number|null>} Percentual (0-100) ou null se não houver limite
    */
-  getWeeklyLimitUsage() {
-    const limit = this.getWeeklyLimit();
+  async getWeeklyLimitUsage() {
+    const limit = await this.getWeeklyLimit();
     if (limit === null) {
       return null;
     }
-    const currentTotal = this.getCurrentWeekTotal();
+    const currentTotal = await this.getCurrentWeekTotal();
     return Math.min((currentTotal / limit) * 100, 100);
+  },
+
+  /**
+   * Obtém os limites semanais por categoria
+   * @returns {Promise<object>} Objeto com categoryId como chave e limite como valor
+   */
+  async getCategoryLimits() {
+    return StorageService.get(CATEGORY_LIMITS_KEY, {});
+  },
+
+  /**
+   * Obtém o limite semanal de uma categoria
+   * @param {string} categoryId - ID da categoria
+   * @returns {Promise<number|null>} Limite da categoria ou null se não configurado
+   */
+  async getCategoryLimit(categoryId) {
+    const limit = (await this.getCategoryLimits())[categoryId];
+    return limit !== undefined && limit !== null ? parseFloat(limit) : null;
+  },
+
+  /**
+   * Define (ou remove, com null) o limite semanal de uma categoria
+   * @param {string} categoryId - ID da categoria
+   * @param {number|null} limit - Valor do limite ou null para remover
+   */
+  async setCategoryLimit(categoryId, limit) {
+    if (!await CategoryService.getCategoryById(categoryId)) {
+      throw new Error('Categoria não encontrada');
+    }
+    if (limit !== null && (isNaN(limit) || limit <= 0)) {
+      throw new Error('Limite deve ser um número maior que zero');
+    }
+
+    const limits = await this.getCategoryLimits();
+    if (limit === null) {
+      delete limits[categoryId];
+    } else {
+      limits[categoryId] = limit;
+    }
+    await StorageService.set(CATEGORY_LIMITS_KEY, limits);
+  },
+
+  /**
+   * Calcula o total gasto em uma categoria na semana atual
+   * @param {string} categoryId - ID da categoria
+   * @returns {Promise<number>} Total da categoria na semana atual
+   */
+  async getCurrentWeekCategoryTotal(categoryId) {
+    const transactions = (await this.getCurrentWeekTransactions())
+      .filter(t => (t.categoryId || UNCATEGORIZED_CATEGORY_ID) === categoryId);
+    return this.calculateTotal(transactions);
+  },
+
+  /**
+   * Verifica se o total da categoria na semana atual ultrapassou o limite da categoria
+   * @param {string} categoryId - ID da categoria
+   * @returns {Promise<boolean>} True se ultrapassou o limite
+   */
+  async isCategoryLimitExceeded(categoryId) {
+    const limit = await this.getCategoryLimit(categoryId);
+    if (limit === null) {
+      return false;
+    }
+    return await this.getCurrentWeekCategoryTotal(categoryId) > limit;
+  },
+
+  /**
+   * Obtém o percentual de uso do limite semanal de uma categoria
+   * @param {string} categoryId - ID da categoria
+   * @returns {Promise<number|null>} Percentual (0-100) ou null se não houver limite
+   */
+  async getCategoryLimitUsage(categoryId) {
+    const limit = await this.getCategoryLimit(categoryId);
+    if (limit === null) {
+      return null;
+    }
+    const currentTotal = await this.getCurrentWeekCategoryTotal(categoryId);
+    return Math.min((currentTotal / limit) * 100, 100);
+  },
+
+  /**
+   * Obtém a situação de todos os limites por categoria na semana atual
+   * @returns {Promise<Array>} Lista de {categoryId, name, color, icon, limit, total, usage, isExceeded}
+   */
+  async getCategoryLimitsStatus() {
+    const limits = await this.getCategoryLimits();
+    const weekTotals = await this.getCurrentWeekCategoryTotals();
+
+    return (await CategoryService.getAllCategories())
+      .filter(category => limits[category.id] !== undefined && limits[category.id] !== null)
+      .map(category => {
+        const limit = parseFloat(limits[category.id]);
+        const weekTotal = weekTotals.find(t => t.categoryId === category.id);
+        const total = weekTotal ? weekTotal.total : 0;
+        return {
+          categoryId: category.id,
+          name: category.name,
+          color: category.color,
+          icon: category.icon,
+          limit,
+          total,
+          usage: Math.min((total / limit) * 100, 100),
+          isExceeded: total > limit
+        };
+      });
   }
 };
 
@@ -0,0 +1,393 @@
+/**
+ * Import Service
+ * Importa extratos bancários (CSV e OFX) e detecta lançamentos duplicados
+ */
+
+// Formatos de data aceitos nas colunas de CSV
+const IMPORT_DATE_FORMATS = {
+  BR: 'dd/mm/yyyy',
+  ISO: 'yyyy-mm-dd'
+};
+
+const ImportService = {
+  /**
+   * Detecta o separador de colunas de um CSV a partir da primeira linha
+   * @param {string} line - Primeira linha do arquivo
+   * @returns {string} Separador detectado (";", "," ou tabulação)
+   */
+  detectDelimiter(line) {
+    const candidates = [';', ',', '\t'];
+    let best = ';';
+    let bestCount = -1;
+    candidates.forEach(candidate => {
+      const count = line.split(candidate).length - 1;
+      if (count > bestCount) {
+        best = candidate;
+        bestCount = count;
+      }
+    });
+    return best;
+  },
+
+  /**
+   * Converte o texto de um CSV em linhas e colunas
+   * Suporta valores entre aspas (com separadores, aspas duplicadas e quebras de linha)
+   * @param {string} text - Conteúdo do arquivo
+   * @param {string} delimiter - Separador de colunas (opcional, detectado automaticamente)
+   * @returns {Array} Lista de linhas (arrays de strings)
+   */
+  parseCsv(text, delimiter = null) {
+    const content = text.replace(/^\uFEFF/, '');
+    const sep = delimiter || this.detectDelimiter(content.split(/\r?\n/)[0] || '');
+    const rows = [];
+    let row = [];
+    let value = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === sep) {
+        row.push(value.trim());
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') {
+          i++;
+        }
+        row.push(value.trim());
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+
+    if (value !== '' || row.length > 0) {
+      row.push(value.trim());
+      rows.push(row);
+    }
+
+    // Remove linhas completamente vazias
+    return rows.filter(r => r.some(v => v !== ''));
+  },
+
+  /**
+   * Converte um valor monetário em número
+   * Aceita "1.234,56", "-45,90", "R$ 12,00" e "1234.56"
+   * @param {string} value - Valor em texto
+   * @param {string} decimalSeparator - "," ou "." (opcional, detectado automaticamente)
+   * @returns {number} Valor numérico (NaN se inválido)
+   */
+  parseAmount(value, decimalSeparator = null) {
+    if (value === null || value === undefined) {
+      return NaN;
+    }
+
+    let text = String(value).replace(/[^\d,.\-+()]/g, '');
+    // Valores entre parênteses são negativos em alguns extratos: (45,90)
+    const isParenthesisNegative = /^\(.*\)$/.test(text);
+    text = text.replace(/[()]/g, '');
+
+    let separator = decimalSeparator;
+    if (!separator) {
+      // O último separador encontrado é o decimal
+      separator = text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+    }
+
+    if (separator === ',') {
+      text = text.replace(/\./g, '').replace(',', '.');
+    } else {
+      text = text.replace(/,/g, '');
+    }
+
+    const amount = parseFloat(text);
+    return isParenthesisNegative ? -Math.abs(amount) : amount;
+  },
+
+  /**
+   * Converte uma data em texto para o formato yyyy-mm-dd
+   * @param {string} value - Data em texto
+   * @param {string} dateFormat - Formato da data (IMPORT_DATE_FORMATS)
+   * @returns {string|null} Data no formato yyyy-mm-dd ou null se inválida
+   */
+  parseDateValue(value, dateFormat = IMPORT_DATE_FORMATS.BR) {
+    const text = String(value || '').trim();
+    let match;
+    let year;
+    let month;
+    let day;
+
+    if (dateFormat === IMPORT_DATE_FORMATS.ISO) {
+      match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+      if (!match) return null;
+      [, year, month, day] = match;
+    } else {
+      match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+      if (!match) return null;
+      [, day, month, year] = match;
+      if (year.length === 2) {
+        year = '20' + year;
+      }
+    }
+
+    const date = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
+    if (isNaN(date.getTime()) || date.getDate() !== parseInt(day)) {
+      return null;
+    }
+    return DatesService.formatDateForInput(date);
+  },
+
+  /**
+   * Converte as linhas de um CSV em lançamentos candidatos usando o mapeamento de colunas
+   * @param {Array} rows - Linhas retornadas por parseCsv
+   * @param {object} mapping - Mapeamento de colunas
+   * @param {boolean} mapping.hasHeader - Se a primeira linha é cabeçalho
+   * @param {number} mapping.dateColumn - Índice da coluna de data
+   * @param {number} mapping.descriptionColumn - Índice da coluna de descrição
+   * @param {number} mapping.amountColumn - Índice da coluna de valor
+   * @param {string} mapping.dateFormat - Formato das datas (IMPORT_DATE_FORMATS)
+   * @param {string} mapping.decimalSeparator - Separador decimal ("," ou ".")
+   * @param {boolean} mapping.negativeIsExpense - Valores negativos são gastos e positivos receitas
+   * @returns {object} {entries: Array, errors: Array}
+   */
+  mapCsvRows(rows, mapping) {
+    const entries = [];
+    const errors = [];
+    const dataRows = mapping.hasHeader ? rows.slice(1) : rows;
+
+    dataRows.forEach((row, index) => {
+      const lineNumber = index + (mapping.hasHeader ? 2 : 1);
+      const date = this.parseDateValue(row[mapping.dateColumn], mapping.dateFormat);
+      const description = (row[mapping.descriptionColumn] || '').trim();
+      const amount = this.parseAmount(row[mapping.amountColumn], mapping.decimalSeparator);
+
+      if (!date) {
+        errors.push(`Linha ${lineNumber}: data inválida`);
+        return;
+      }
+      if (!description) {
+        errors.push(`Linha ${lineNumber}: descrição vazia`);
+        return;
+      }
+      if (isNaN(amount) || amount === 0) {
+        errors.push(`Linha ${lineNumber}: valor inválido`);
+        return;
+      }
+
+      entries.push(this.createEntry(date, description, amount, mapping.negativeIsExpense, null));
+    });
+
+    return { entries, errors };
+  },
+
+  /**
+   * Lê os lançamentos de um arquivo OFX
+   * @param {string} text - Conteúdo do arquivo OFX
+   * @returns {object} {entries: Array, errors: Array}
+   */
+  parseOfx(text) {
+    const entries = [];
+    const errors = [];
+    const blocks = text.match(/<STMTTRN>[\s\S]*?(<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi) || [];
+
+    // OFX 1.x (SGML) não fecha as tags, então cada valor vai até o próximo "<" ou fim de linha
+    const readTag = (block, tag) => {
+      const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+      return match ? match[1].trim() : '';
+    };
+
+    blocks.forEach((block, index) => {
+      const posted = readTag(block, 'DTPOSTED');
+      const amount = this.parseAmount(readTag(block, 'TRNAMT'), '.');
+      const description = this.decodeOfxEntities(readTag(block, 'MEMO') || readTag(block, 'NAME'));
+      const fitId = readTag(block, 'FITID');
+
+      const match = posted.match(/^(\d{4})(\d{2})(\d{2})/);
+      if (!match) {
+        errors.push(`Lançamento ${index + 1}: data inválida`);
+        return;
+      }
+      if (isNaN(amount) || amount === 0) {
+        errors.push(`Lançamento ${index + 1}: valor inválido`);
+        return;
+      }
+
+      entries.push(this.createEntry(
+        `${match[1]}-${match[2]}-${match[3]}`,
+        description || 'Lançamento importado',
+        amount,
+        true,
+        fitId || null
+      ));
+    });
+
+    if (blocks.length === 0) {
+      errors.push('Nenhum lançamento encontrado no arquivo OFX');
+    }
+
+    return { entries, errors };
+  },
+
+  /**
+   * Decodifica as entidades de caracteres usadas nos textos do OFX (ex: "M&amp;M" vira "M&M")
+   * @param {string} value - Texto lido do OFX
+   * @returns {string} Texto decodificado
+   */
+  decodeOfxEntities(value) {
+    const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+    return value.replace(/&(amp|lt|gt|quot|apos);/gi, entity => entities[entity.toLowerCase()]);
+  },
+
+  /**
+   * Cria um lançamento candidato à importação
+   * @param {string} date - Data (yyyy-mm-dd)
+   * @param {string} description - Descrição
+   * @param {number} signedAmount - Valor com sinal, como veio do extrato
+   * @param {boolean} negativeIsExpense - Se o sinal define o tipo (negativo = gasto)
+   * @param {string|null} fitId - Identificador do lançamento no banco (OFX)
+   * @returns {object} Lançamento candidato
+   */
+  createEntry(date, description, signedAmount, negativeIsExpense, fitId) {
+    return {
+      date,
+      description,
+      amount: Math.abs(signedAmount),
+      type: negativeIsExpense && signedAmount > 0 ? TRANSACTION_TYPES.INCOME : TRANSACTION_TYPES.EXPENSE,
+      fitId
+    };
+  },
+
+  /**
+   * Normaliza uma descrição para comparação (minúsculas, sem acentos e pontuação)
+   * @param {string} description - Descrição
+   * @returns {Array} Lista de palavras normalizadas
+   */
+  normalizeDescription(description) {
+    return String(description || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim()
+      .split(' ')
+      .filter(Boolean);
+  },
+
+  /**
+   * Verifica se duas descrições são parecidas
+   * Considera parecidas quando uma contém a outra ou quando compartilham
+   * ao menos metade das palavras
+   * @param {string} a - Primeira descrição
+   * @param {string} b - Segunda descrição
+   * @returns {boolean}
+   */
+  isSimilarDescription(a, b) {
+    const wordsA = this.normalizeDescription(a);
+    const wordsB = this.normalizeDescription(b);
+    if (wordsA.length === 0 || wordsB.length === 0) {
+      return false;
+    }
+
+    const joinedA = wordsA.join(' ');
+    const joinedB = wordsB.join(' ');
+    if (joinedA.includes(joinedB) || joinedB.includes(joinedA)) {
+      return true;
+    }
+
+    const setB = new Set(wordsB);
+    const common = wordsA.filter(word => setB.has(word)).length;
+    return common / Math.min(wordsA.length, wordsB.length) >= 0.5;
+  },
+
+  /**
+   * Procura um lançamento existente que provavelmente seja o mesmo do extrato
+   * (mesma data, mesmo valor e descrição parecida)
+   * @param {object} entry - Lançamento candidato
+   * @param {Array} transactions - Lançamentos existentes
+   * @returns {object|null} Lançamento existente ou null
+   */
+  findDuplicate(entry, transactions) {
+    return transactions.find(t => {
+      if (entry.fitId && t.importFitId === entry.fitId) {
+        return true;
+      }
+      return DatesService.formatDateForInput(new Date(t.date)) === entry.date &&
+        Math.abs(t.amount - entry.amount) < 0.005 &&
+        this.isSimilarDescription(t.description, entry.description);
+    }) || null;
+  },
+
+  /**
+   * Monta a prévia da importação, marcando duplicados prováveis
+   * Linhas repetidas no próprio arquivo também contam: cada linha aceita entra na lista
+   * usada para comparar as seguintes. Duplicados vêm desmarcados por padrão
+   * @param {Array} entries - Lançamentos candidatos
+   * @returns {Promise<Array>} Lista de {entry, duplicateOf, accepted}
+   */
+  async buildPreview(entries) {
+    const transactions = await FinanceService.getAllTransactions();
+    return entries.map(entry => {
+      const duplicateOf = this.findDuplicate(entry, transactions);
+      if (!duplicateOf) {
+        transactions.push({
+          description: entry.description,
+          amount: entry.amount,
+          date: DatesService.parseDate(entry.date).toISOString(),
+          importFitId: entry.fitId
+        });
+      }
+      return {
+        entry,
+        duplicateOf,
+        accepted: !duplicateOf
+      };
+    });
+  },
+
+  /**
+   * Grava os lançamentos aceitos da prévia
+   * Usa FinanceService.createTransaction para que as regras de semanas fechadas sejam aplicadas
+   * @param {Array} previewRows - Linhas retornadas por buildPreview
+   * @param {string} categoryId - Categoria dos lançamentos importados
+   * @param {string} source - Origem da importação ("csv" ou "ofx")
+   * @returns {Promise<object>} {created: Array, errors: Array}
+   */
+  async commitImport(previewRows, categoryId = UNCATEGORIZED_CATEGORY_ID, source = 'csv') {
+    const created = [];
+    const errors = [];
+
+    for (const row of previewRows.filter(r => r.accepted)) {
+      const { entry } = row;
+      try {
+        const metadata = { importSource: source };
+        if (entry.fitId) {
+          metadata.importFitId = entry.fitId;
+        }
+        created.push(await FinanceService.createTransaction(
+          entry.description,
+          entry.amount,
+          entry.date,
+          categoryId,
+          entry.type,
+          metadata
+        ));
+      } catch (error) {
+        errors.push(`${entry.description} (${DatesService.formatDate(DatesService.parseDate(entry.date))}): ${error.message}`);
+      }
+    }
+
+    return { created, errors };
+  }
+};
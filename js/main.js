@@ -29,9 +29,13 @@ async function init() {
       return;
     }
 
+    // Descarta as leituras em cache quando outra aba altera os dados
+    StorageService.initialize();
+
     // Valida a sessão do usuário e renderiza o conteúdo apropriado
-    if (AuthService.isAuthenticated()) {
-      await Router.navigateToHome();
+    // (os dados do usuário só são lidos depois que a sessão define o dono dos dados)
+    if (await AuthService.restoreSession()) {
+      await Router.enterApp();
     } else {
       await Router.navigateToLogin();
     }
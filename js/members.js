@@ -0,0 +1,216 @@
+/**
+ * Member Service
+ * Gerencia os membros da casa que dividem o orçamento semanal (cadastro, limites individuais, arquivamento)
+ */
+
+const MEMBERS_STORAGE_KEY = 'finance_members';
+const UNASSIGNED_MEMBER_ID = 'unassigned'; // Agrupa nos totais os lançamentos sem membro
+
+const MemberService = {
+  /**
+   * Membro usado nos totais para lançamentos sem membro
+   * Não é gravado na lista de membros
+   */
+  unassignedMember: {
+    id: UNASSIGNED_MEMBER_ID,
+    name: 'Sem membro',
+    color: '#64748b',
+    weeklyAllowance: null,
+    archived: false
+  },
+
+  /**
+   * Gera um ID único para um membro
+   * @returns {string} ID único gerado
+   */
+  generateMemberId() {
+    return 'mem_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
+  },
+
+  /**
+   * Obtém todos os membros (incluindo arquivados)
+   * @returns {Promise<Array>} Lista de membros
+   */
+  async getAllMembers() {
+    return StorageService.get(MEMBERS_STORAGE_KEY, []);
+  },
+
+  /**
+   * Obtém os membros ativos (não arquivados)
+   * @returns {Promise<Array>} Lista de membros ativos
+   */
+  async getActiveMembers() {
+    return (await this.getAllMembers()).filter(m => !m.archived);
+  },
+
+  /**
+   * Obtém um membro pelo ID
+   * @param {string} memberId - ID do membro
+   * @returns {Promise<object|null>} Membro ou null se não encontrado
+   */
+  async getMemberById(memberId) {
+    return (await this.getAllMembers()).find(m => m.id === memberId) || null;
+  },
+
+  /**
+   * Salva a lista de membros
+   * @param {Array} members - Lista de membros
+   */
+  async saveMembers(members) {
+    await StorageService.set(MEMBERS_STORAGE_KEY, members);
+  },
+
+  /**
+   * Valida o nome de um membro
+   * Não permite nomes vazios nem duplicados (ignorando maiúsculas/minúsculas)
+   * @param {string} name - Nome do membro
+   * @param {string} ignoreId - ID a ignorar na verificação de duplicidade (opcional)
+   * @returns {Promise<string>} Nome normalizado
+   */
+  async validateMemberName(name, ignoreId = null) {
+    if (!name || !name.trim()) {
+      throw new Error('Nome do membro é obrigatório');
+    }
+
+    const normalized = name.trim();
+    const exists = (await this.getAllMembers()).some(m =>
+      m.id !== ignoreId && m.name.toLowerCase() === normalized.toLowerCase()
+    );
+    if (exists) {
+      throw new Error('Já existe um membro com este nome');
+    }
+
+    return normalized;
+  },
+
+  /**
+   * Valida o limite semanal individual de um membro
+   * Vazio ou zero remove o limite
+   * @param {number|string|null} allowance - Valor do limite
+   * @returns {number|null} Limite normalizado ou null
+   */
+  validateMemberAllowance(allowance) {
+    if (allowance === null || allowance === undefined || allowance === '' || parseFloat(allowance) === 0) {
+      return null;
+    }
+    const value = parseFloat(allowance);
+    if (isNaN(value) || value < 0) {
+      throw new Error('Limite do membro deve ser um número maior que zero');
+    }
+    return value;
+  },
+
+  /**
+   * Cria um novo membro
+   * @param {string} name - Nome do membro
+   * @param {string} color - Cor em hexadecimal (ex: #2563eb)
+   * @param {number|null} weeklyAllowance - Limite semanal individual (opcional)
+   * @returns {Promise<object>} Membro criado
+   */
+  async createMember(name, color = '#2563eb', weeklyAllowance = null) {
+    const member = {
+      id: this.generateMemberId(),
+      name: await this.validateMemberName(name),
+      color: CategoryService.validateCategoryColor(color || '#2563eb'),
+      weeklyAllowance: this.validateMemberAllowance(weeklyAllowance),
+      archived: false,
+      createdAt: new Date().toISOString()
+    };
+
+    const members = await this.getAllMembers();
+    members.push(member);
+    await this.saveMembers(members);
+
+    return member;
+  },
+
+  /**
+   * Atualiza nome, cor e/ou limite semanal de um membro
+   * @param {string} memberId - ID do membro
+   * @param {object} changes - Campos a alterar {name, color, weeklyAllowance}
+   * @returns {Promise<object>} Membro atualizado
+   */
+  async updateMember(memberId, changes = {}) {
+    const members = await this.getAllMembers();
+    const member = members.find(m => m.id === memberId);
+    if (!member) {
+      throw new Error('Membro não encontrado');
+    }
+
+    if (changes.name !== undefined) {
+      member.name = await this.validateMemberName(changes.name, memberId);
+    }
+    if (changes.color) {
+      member.color = CategoryService.validateCategoryColor(changes.color);
+    }
+    if (changes.weeklyAllowance !== undefined) {
+      member.weeklyAllowance = this.validateMemberAllowance(changes.weeklyAllowance);
+    }
+
+    await this.saveMembers(members);
+    return member;
+  },
+
+  /**
+   * Renomeia um membro
+   * @param {string} memberId - ID do membro
+   * @param {string} name - Novo nome
+   * @returns {Promise<object>} Membro atualizado
+   */
+  async renameMember(memberId, name) {
+    return this.updateMember(memberId, { name });
+  },
+
+  /**
+   * Define (ou remove, com null) o limite semanal individual de um membro
+   * @param {string} memberId - ID do membro
+   * @param {number|null} weeklyAllowance - Valor do limite ou null para remover
+   * @returns {Promise<object>} Membro atualizado
+   */
+  async setMemberAllowance(memberId, weeklyAllowance) {
+    return this.updateMember(memberId, { weeklyAllowance });
+  },
+
+  /**
+   * Arquiva ou reativa um membro
+   * Membros arquivados não aparecem no formulário nem somam no limite semanal,
+   * mas continuam nos totais das semanas em que gastaram
+   * @param {string} memberId - ID do membro
+   * @param {boolean} archived - True para arquivar, false para reativar
+   * @returns {Promise<object>} Membro atualizado
+   */
+  async setMemberArchived(memberId, archived = true) {
+    const members = await this.getAllMembers();
+    const member = members.find(m => m.id === memberId);
+    if (!member) {
+      throw new Error('Membro não encontrado');
+    }
+
+    member.archived = archived;
+    await this.saveMembers(members);
+    return member;
+  },
+
+  /**
+   * Arquiva um membro
+   * @param {string} memberId - ID do membro
+   * @returns {Promise<object>} Membro arquivado
+   */
+  async archiveMember(memberId) {
+    return this.setMemberArchived(memberId, true);
+  },
+
+  /**
+   * Soma os limites individuais dos membros ativos
+   * @returns {Promise<number|null>} Soma dos limites ou null se nenhum membro ativo tiver limite
+   */
+  async getAllowancesTotal() {
+    const allowances = (await this.getActiveMembers())
+      .filter(m => m.weeklyAllowance !== null && m.weeklyAllowance !== undefined)
+      .map(m => parseFloat(m.weeklyAllowance));
+    if (allowances.length === 0) {
+      return null;
+    }
+    return allowances.reduce((sum, value) => sum + value, 0);
+  }
+};
@@ -0,0 +1,266 @@
+/**
+ * Recurring Service
+ * Gerencia regras de lançamentos recorrentes e sua materialização em lançamentos reais
+ */
+
+const RECURRING_RULES_KEY = 'finance_recurring_rules';
+
+// Frequências suportadas
+const RECURRING_FREQUENCIES = {
+  WEEKLY: 'weekly', // A cada N semanas (N = intervalWeeks, padrão 1)
+  MONTHLY: 'monthly' // Todo mês no dia dayOfMonth
+};
+
+const RecurringService = {
+  /**
+   * Gera um ID único para uma regra
+   * @returns {string} ID único gerado
+   */
+  generateRuleId() {
+    return 'rec_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
+  },
+
+  /**
+   * Obtém todas as regras de recorrência
+   * @returns {Promise<Array>} Lista de regras
+   */
+  async getAllRules() {
+    return StorageService.get(RECURRING_RULES_KEY, []);
+  },
+
+  /**
+   * Salva a lista de regras
+   * @param {Array} rules - Lista de regras
+   */
+  async saveRules(rules) {
+    await StorageService.set(RECURRING_RULES_KEY, rules);
+  },
+
+  /**
+   * Obtém uma regra pelo ID
+   * @param {string} ruleId - ID da regra
+   * @returns {Promise<object|null>} Regra ou null se não encontrada
+   */
+  async getRuleById(ruleId) {
+    return (await this.getAllRules()).find(r => r.id === ruleId) || null;
+  },
+
+  /**
+   * Cria uma nova regra de recorrência
+   * @param {object} data - Dados da regra
+   * @param {string} data.description - Descrição do lançamento
+   * @param {number} data.amount - Valor do lançamento
+   * @param {string} data.type - Tipo (gasto ou receita)
+   * @param {string} data.categoryId - ID da categoria
+   * @param {string} data.frequency - Frequência (RECURRING_FREQUENCIES)
+   * @param {number} data.intervalWeeks - Intervalo em semanas (frequência semanal)
+   * @param {number} data.dayOfMonth - Dia do mês (frequência mensal)
+   * @param {string} data.startDate - Data de início (yyyy-mm-dd)
+   * @param {string} data.endDate - Data de término opcional (yyyy-mm-dd)
+   * @returns {Promise<object>} Regra criada
+   */
+  async createRule(data) {
+    const type = data.type || TRANSACTION_TYPES.EXPENSE;
+    const categoryId = data.categoryId || UNCATEGORIZED_CATEGORY_ID;
+
+    // Reaproveita as validações de lançamento (descrição, valor, categoria, tipo)
+    await FinanceService.validateTransactionData(data.description, data.amount, data.startDate, categoryId, type);
+
+    if (!Object.values(RECURRING_FREQUENCIES).includes(data.frequency)) {
+      throw new Error('Frequência inválida');
+    }
+
+    const intervalWeeks = parseInt(data.intervalWeeks) || 1;
+    if (data.frequency === RECURRING_FREQUENCIES.WEEKLY && intervalWeeks < 1) {
+      throw new Error('O intervalo deve ser de pelo menos 1 semana');
+    }
+
+    const dayOfMonth = parseInt(data.dayOfMonth);
+    if (data.frequency === RECURRING_FREQUENCIES.MONTHLY && (isNaN(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31)) {
+      throw new Error('Dia do mês deve ser um número entre 1 e 31');
+    }
+
+    if (data.endDate && data.endDate < data.startDate) {
+      throw new Error('A data de término deve ser posterior à data de início');
+    }
+
+    const rule = {
+      id: this.generateRuleId(),
+      description: data.description.trim(),
+      amount: parseFloat(data.amount),
+      type,
+      categoryId,
+      frequency: data.frequency,
+      intervalWeeks: data.frequency === RECURRING_FREQUENCIES.WEEKLY ? intervalWeeks : null,
+      dayOfMonth: data.frequency === RECURRING_FREQUENCIES.MONTHLY ? dayOfMonth : null,
+      startDate: data.startDate,
+      endDate: data.endDate || null,
+      lastMaterializedDate: null, // Última ocorrência já convertida em lançamento (yyyy-mm-dd)
+      active: true,
+      createdAt: new Date().toISOString()
+    };
+
+    const rules = await this.getAllRules();
+    rules.push(rule);
+    await this.saveRules(rules);
+
+    return rule;
+  },
+
+  /**
+   * Pausa ou reativa uma regra
+   * Ao reativar, as ocorrências do período pausado não são geradas retroativamente
+   * @param {string} ruleId - ID da regra
+   * @param {boolean} active - True para reativar, false para pausar
+   * @returns {Promise<object>} Regra atualizada
+   */
+  async setRuleActive(ruleId, active) {
+    const rules = await this.getAllRules();
+    const rule = rules.find(r => r.id === ruleId);
+    if (!rule) {
+      throw new Error('Regra não encontrada');
+    }
+
+    rule.active = active;
+    if (active) {
+      // Marca como materializado até ontem para não gerar ocorrências do período pausado
+      const yesterday = new Date();
+      yesterday.setDate(yesterday.getDate() - 1);
+      const yesterdayString = DatesService.formatDateForInput(yesterday);
+      if (!rule.lastMaterializedDate || rule.lastMaterializedDate < yesterdayString) {
+        rule.lastMaterializedDate = yesterdayString;
+      }
+    }
+
+    await this.saveRules(rules);
+    return rule;
+  },
+
+  /**
+   * Remove uma regra (lançamentos já gerados são mantidos)
+   * @param {string} ruleId - ID da regra
+   * @returns {Promise<boolean>} True se removida com sucesso
+   */
+  async removeRule(ruleId) {
+    const rules = await this.getAllRules();
+    const filtered = rules.filter(r => r.id !== ruleId);
+    await this.saveRules(filtered);
+    return filtered.length < rules.length;
+  },
+
+  /**
+   * Calcula as datas de ocorrência de uma regra dentro de um intervalo
+   * @param {object} rule - Regra de recorrência
+   * @param {string} fromDate - Data inicial inclusiva (yyyy-mm-dd)
+   * @param {string} toDate - Data final inclusiva (yyyy-mm-dd)
+   * @returns {Array} Lista de datas (yyyy-mm-dd) em ordem crescente
+   */
+  getOccurrences(rule, fromDate, toDate) {
+    const occurrences = [];
+    const start = rule.startDate > fromDate ? rule.startDate : fromDate;
+    const end = rule.endDate && rule.endDate < toDate ? rule.endDate : toDate;
+
+    if (start > end) {
+      return occurrences;
+    }
+
+    if (rule.frequency === RECURRING_FREQUENCIES.WEEKLY) {
+      // Ocorrências a cada N semanas a partir da data de início da regra
+      const stepDays = 7 * (rule.intervalWeeks || 1);
+      const d = DatesService.parseDate(rule.startDate);
+      while (DatesService.formatDateForInput(d) <= end) {
+        const dateString = DatesService.formatDateForInput(d);
+        if (dateString >= start) {
+          occurrences.push(dateString);
+        }
+        d.setDate(d.getDate() + stepDays);
+      }
+    } else if (rule.frequency === RECURRING_FREQUENCIES.MONTHLY) {
+      // Uma ocorrência por mês; meses mais curtos usam o último dia do mês
+      const cursor = DatesService.parseDate(start);
+      cursor.setDate(1);
+      while (DatesService.formatDateForInput(cursor) <= end) {
+        const lastDay = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0).getDate();
+        const occurrence = new Date(cursor.getFullYear(), cursor.getMonth(), Math.min(rule.dayOfMonth, lastDay));
+        const dateString = DatesService.formatDateForInput(occurrence);
+        if (dateString >= start && dateString <= end) {
+          occurrences.push(dateString);
+        }
+        cursor.setMonth(cursor.getMonth() + 1);
+      }
+    }
+
+    return occurrences;
+  },
+
+  /**
+   * Obtém a próxima ocorrência de uma regra a partir de hoje
+   * @param {object} rule - Regra de recorrência
+   * @returns {string|null} Data (yyyy-mm-dd) ou null se a regra já terminou
+   */
+  getNextOccurrence(rule) {
+    const today = DatesService.formatDateForInput(new Date());
+    const limit = new Date();
+    limit.setFullYear(limit.getFullYear() + 1);
+    const occurrences = this.getOccurrences(rule, today, DatesService.formatDateForInput(limit));
+    return occurrences.length > 0 ? occurrences[0] : null;
+  },
+
+  /**
+   * Gera os lançamentos das ocorrências que já chegaram
+   * Cada regra guarda a última data materializada, então reabrir o aplicativo
+   * depois de dias offline gera as ocorrências pendentes uma única vez
+   * Regras cuja categoria foi excluída ou arquivada lançam em "Sem categoria"; as que ainda
+   * assim falham (ex: semana fechada) ficam pendentes e guardam o erro em lastError
+   * @param {Date} referenceDate - Data de referência (padrão: hoje)
+   * @returns {Promise<object>} {created: Array de lançamentos, failed: Array de {rule, error}}
+   */
+  async materializeDueTransactions(referenceDate = new Date()) {
+    const today = DatesService.formatDateForInput(referenceDate);
+    const rules = await this.getAllRules();
+    const created = [];
+    const failed = [];
+
+    for (const rule of rules.filter(r => r.active)) {
+      let fromDate = rule.startDate;
+      if (rule.lastMaterializedDate) {
+        const next = DatesService.parseDate(rule.lastMaterializedDate);
+        next.setDate(next.getDate() + 1);
+        fromDate = DatesService.formatDateForInput(next);
+      }
+
+      const occurrences = this.getOccurrences(rule, fromDate, today);
+      if (occurrences.length === 0) continue;
+
+      const category = await CategoryService.getCategoryById(rule.categoryId || UNCATEGORIZED_CATEGORY_ID);
+      const categoryId = category && !category.archived ? category.id : UNCATEGORIZED_CATEGORY_ID;
+
+      for (const dateString of occurrences) {
+        try {
+          const transaction = await FinanceService.createTransaction(
+            rule.description,
+            rule.amount,
+            dateString,
+            categoryId,
+            rule.type,
+            { recurringRuleId: rule.id }
+          );
+          created.push(transaction);
+        } catch (error) {
+          // Mantém a ocorrência pendente para a próxima verificação e registra o motivo
+          rule.lastError = error.message;
+          await this.saveRules(rules);
+          failed.push({ rule, error: error.message });
+          break;
+        }
+
+        // Salva o progresso a cada ocorrência para nunca duplicar lançamentos
+        rule.lastMaterializedDate = dateString;
+        delete rule.lastError;
+        await this.saveRules(rules);
+      }
+    }
+
+    return { created, failed };
+  }
+};
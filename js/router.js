@@ -3,6 +3,15 @@
  * Gerencia navegação e proteção de rotas
  */
 
+// Intervalo da verificação de inatividade e expiração da sessão (ms)
+const SESSION_CHECK_INTERVAL = 15000;
+
+// Intervalo das verificações periódicas (sincronização, fechamento automático e recorrências) (ms)
+const PERIODIC_CHECKS_INTERVAL = 60000;
+
+// Semanas carregadas por vez no histórico do dashboard
+const WEEKS_HISTORY_PAGE_SIZE = 10;
+
 const Router = {
   currentPage: null,
 
@@ -11,6 +20,50 @@ const Router = {
    */
   pageCache: {},
 
+  /**
+   * Timer das verificações periódicas da página atual
+   */
+  refreshTimer: null,
+
+  /**
+   * Verificação periódica em andamento (compartilhada por quem chamar enquanto ela roda)
+   */
+  periodicChecksPromise: null,
+
+  /**
+   * Timer da verificação de inatividade e expiração da sessão
+   */
+  sessionTimer: null,
+
+  /**
+   * Estado da importação de extrato em andamento
+   * {source: 'csv'|'ofx', csvRows: Array|null, preview: Array}
+   */
+  importState: null,
+
+  /**
+   * Mês exibido na visão mensal e dia selecionado no calendário
+   * {year, month, selectedDate: string|null}
+   */
+  monthState: null,
+
+  /**
+   * Filtros, ordenação e página da busca de lançamentos
+   * {filters, sort: {field, direction}, page}
+   */
+  searchState: null,
+
+  /**
+   * Trecho do histórico de semanas exibido no dashboard
+   * {offset: posição da primeira semana exibida, count: semanas carregadas, loading: boolean}
+   */
+  weeksHistoryState: null,
+
+  /**
+   * Observa o fim do histórico de semanas para carregar mais ao rolar a página
+   */
+  weeksHistoryObserver: null,
+
   /**
    * Carrega uma página HTML de arquivo
    * @param {string} pagePath - Nome da página (login, dashboard, admin) ou caminho completo
@@ -23,10 +76,16 @@ const Router = {
       'home': 'pages/home.html',
       'dashboard': 'pages/dashboard.html',
       'admin': 'pages/admin.html',
+      'import': 'pages/import.html',
+      'month': 'pages/month.html',
+      'search': 'pages/search.html',
       'pages/login.html': 'pages/login.html',
       'pages/home.html': 'pages/home.html',
       'pages/dashboard.html': 'pages/dashboard.html',
-      'pages/admin.html': 'pages/admin.html'
+      'pages/admin.html': 'pages/admin.html',
+      'pages/import.html': 'pages/import.html',
+      'pages/month.html': 'pages/month.html',
+      'pages/search.html': 'pages/search.html'
     };
 
     const filePath = pageMap[pagePath] || pagePath;
@@ -81,7 +140,16 @@ const Router = {
    * @param {boolean} requireAuth - Se a página requer autenticação
    */
   async navigate(pagePath, requireAuth = false) {
-    if (requireAuth && !AuthService.isAuthenticated()) {
+    // As verificações periódicas pertencem à página anterior
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    if (this.weeksHistoryObserver) {
+      this.weeksHistoryObserver.disconnect();
+      this.weeksHistoryObserver = null;
+    }
+
+    // Dados criptografados só são exibidos depois que a frase secreta é digitada
+    if (requireAuth && (!await AuthService.isAuthenticated() || CryptoService.isLocked())) {
       await this.navigateToLogin();
       return;
     }
@@ -98,25 +166,106 @@ const Router = {
       }
 
       // Adiciona menu lateral se não for login
-      if (pageName !== 'login' && AuthService.isAuthenticated()) {
-        app.innerHTML = this.createSidebarLayout(content, pageName);
+      const session = pageName !== 'login' ? await AuthService.getSession() : null;
+      if (session) {
+        app.innerHTML = this.createSidebarLayout(content, pageName, session.username);
       } else {
         app.innerHTML = content;
       }
 
       this.currentPage = pagePath;
       // Usa requestAnimationFrame para garantir que o DOM esteja renderizado
-      requestAnimationFrame(() => {
+      requestAnimationFrame(async () => {
         // Remove qualquer header-actions que possa existir
         const headerActions = document.querySelectorAll('.header-actions');
         headerActions.forEach(el => el.remove());
         
-        this.initializePage(pagePath);
+        // O sidebar vem primeiro para continuar navegável mesmo se os dados falharem
         this.initializeSidebar(pageName);
+        await this.loadPageData(pagePath, () => this.navigate(pagePath, requireAuth));
       });
     }
   },
 
+  /**
+   * Inicializa a página exibindo o estado de carregamento enquanto os dados são buscados
+   * Em caso de falha exibe o erro com a opção de tentar novamente
+   * @param {string} pagePath - Nome da página
+   * @param {Function} onRetry - Ação do botão "Tentar novamente"
+   */
+  async loadPageData(pagePath, onRetry) {
+    // Só exibe o carregamento se a resposta demorar (evita piscar com o localStorage)
+    const loadingTimer = setTimeout(() => this.showPageStatus('loading', 'Carregando dados...'), 200);
+    try {
+      // O cache de leituras vale só durante a montagem da página
+      await StorageService.withCache(() => this.initializePage(pagePath));
+      this.hidePageStatus();
+    } catch (error) {
+      console.error('Erro ao carregar dados da página:', error);
+      this.showPageStatus('error', error.message, onRetry);
+    } finally {
+      clearTimeout(loadingTimer);
+    }
+  },
+
+  /**
+   * Exibe uma faixa de status (carregamento ou erro) no topo da página atual
+   * @param {string} state - 'loading' ou 'error'
+   * @param {string} message - Mensagem a exibir
+   * @param {Function} onRetry - Ação do botão "Tentar novamente" (opcional, apenas para erro)
+   */
+  showPageStatus(state, message, onRetry = null) {
+    const container = document.querySelector('.content-with-sidebar') || document.getElementById('app');
+    if (!container) return;
+
+    let status = container.querySelector('.page-status');
+    if (!status) {
+      status = document.createElement('div');
+      container.prepend(status);
+    }
+
+    status.className = `page-status page-status-${state}`;
+    status.setAttribute('role', state === 'error' ? 'alert' : 'status');
+    status.innerHTML = state === 'loading'
+      ? `<span class="spinner"></span><span>${this.escapeHtml(message)}</span>`
+      : `<span>⚠️ ${this.escapeHtml(message)}</span>`;
+
+    if (state === 'error' && onRetry) {
+      const retryBtn = document.createElement('button');
+      retryBtn.type = 'button';
+      retryBtn.className = 'btn btn-secondary btn-small';
+      retryBtn.textContent = 'Tentar novamente';
+      retryBtn.addEventListener('click', onRetry);
+      status.appendChild(retryBtn);
+    }
+  },
+
+  /**
+   * Remove a faixa de status da página atual
+   */
+  hidePageStatus() {
+    document.querySelectorAll('.page-status').forEach(el => el.remove());
+  },
+
+  /**
+   * Desabilita um botão enquanto uma operação assíncrona está pendente
+   * @param {HTMLButtonElement} button - Botão
+   * @param {boolean} busy - Se a operação está em andamento
+   * @param {string} busyText - Texto exibido durante a operação
+   */
+  setButtonBusy(button, busy, busyText = 'Salvando...') {
+    if (!button) return;
+
+    if (busy) {
+      button.dataset.idleText = button.textContent;
+      button.textContent = busyText;
+      button.disabled = true;
+    } else {
+      button.textContent = button.dataset.idleText || button.textContent;
+      button.disabled = false;
+    }
+  },
+
   /**
    * Navega para a página de login
    */
@@ -124,6 +273,46 @@ const Router = {
     await this.navigate('login', false);
   },
 
+  /**
+   * Prepara os dados do usuário que acabou de entrar e abre a home
+   * Com provider remoto, sincroniza antes de exibir os dados. Com a criptografia ativada,
+   * a tela de login pede antes a frase secreta
+   */
+  async enterApp() {
+    this.startSessionWatch();
+    if (CryptoService.isLocked()) {
+      await this.navigateToLogin();
+      return;
+    }
+    await SyncService.initialize();
+    // Migra lançamentos antigos (sem categoria) para a categoria padrão
+    await FinanceService.migrateTransactionCategories();
+    await this.navigateToHome();
+  },
+
+  /**
+   * Acompanha a atividade do usuário e verifica a sessão periodicamente (iniciado uma única vez)
+   * Sessões bloqueadas por inatividade ou vencidas voltam para a tela de login
+   */
+  startSessionWatch() {
+    if (this.sessionTimer) return;
+
+    ['click', 'keydown', 'mousemove', 'touchstart', 'scroll'].forEach(type => {
+      document.addEventListener(type, () => AuthService.recordActivity(), { passive: true });
+    });
+
+    this.sessionTimer = setInterval(async () => {
+      if (this.currentPage === 'login') return;
+      try {
+        if (await AuthService.checkSession() !== SESSION_STATES.ACTIVE) {
+          await this.navigateToLogin();
+        }
+      } catch (error) {
+        console.error('Erro ao verificar a sessão:', error);
+      }
+    }, SESSION_CHECK_INTERVAL);
+  },
+
   /**
    * Navega para a home
    */
@@ -138,6 +327,20 @@ const Router = {
     await this.navigate('dashboard', true);
   },
 
+  /**
+   * Navega para a visão mensal
+   */
+  async navigateToMonth() {
+    await this.navigate('month', true);
+  },
+
+  /**
+   * Navega para a busca de lançamentos
+   */
+  async navigateToSearch() {
+    await this.navigate('search', true);
+  },
+
   /**
    * Navega para a página de administração
    */
@@ -145,11 +348,18 @@ const Router = {
     await this.navigate('admin', true);
   },
 
+  /**
+   * Navega para a página de importação de extratos
+   */
+  async navigateToImport() {
+    await this.navigate('import', true);
+  },
+
   /**
    * Inicializa eventos específicos da página
    * @param {string} pagePath - Nome da página
    */
-  initializePage(pagePath) {
+  async initializePage(pagePath) {
     // Normaliza o pagePath para o nome simples
     let pageName = pagePath;
     if (pagePath.includes('/')) {
@@ -159,13 +369,19 @@ const Router = {
     }
     
     if (pageName === 'login') {
-      this.initializeLoginPage();
+      await this.initializeLoginPage();
     } else if (pageName === 'home') {
-      this.initializeHomePage();
+      await this.initializeHomePage();
     } else if (pageName === 'dashboard') {
-      this.initializeDashboardPage();
+      await this.initializeDashboardPage();
     } else if (pageName === 'admin') {
-      this.initializeAdminPage();
+      await this.initializeAdminPage();
+    } else if (pageName === 'import') {
+      await this.initializeImportPage();
+    } else if (pageName === 'month') {
+      await this.initializeMonthPage();
+    } else if (pageName === 'search') {
+      await this.initializeSearchPage();
     }
   },
 
@@ -173,9 +389,10 @@ const Router = {
    * Cria o layout com sidebar
    * @param {string} pageContent - Conteúdo HTML da página
    * @param {string} currentPage - Nome da página atual
+   * @param {string} username - Usuário logado
    * @returns {string} HTML com sidebar e conteúdo
    */
-  createSidebarLayout(pageContent, currentPage) {
+  createSidebarLayout(pageContent, currentPage, username) {
     return `
       <button class="sidebar-toggle" id="sidebarToggle" aria-label="Abrir menu">
         ☰
@@ -184,6 +401,7 @@ const Router = {
       <aside class="sidebar" id="sidebar">
         <div class="sidebar-header">
           <h2 class="sidebar-title">💰 Controle Financeiro</h2>
+          <p class="sidebar-user">👤 ${this.escapeHtml(username)}</p>
         </div>
         <nav class="sidebar-nav">
           <a href="#" class="sidebar-link ${currentPage === 'home' ? 'active' : ''}" data-page="home">
@@ -194,12 +412,25 @@ const Router = {
             <span class="sidebar-link-icon">📊</span>
             <span>Dashboard</span>
           </a>
+          <a href="#" class="sidebar-link ${currentPage === 'month' ? 'active' : ''}" data-page="month">
+            <span class="sidebar-link-icon">📅</span>
+            <span>Visão Mensal</span>
+          </a>
+          <a href="#" class="sidebar-link ${currentPage === 'search' ? 'active' : ''}" data-page="search">
+            <span class="sidebar-link-icon">🔍</span>
+            <span>Buscar</span>
+          </a>
+          <a href="#" class="sidebar-link ${currentPage === 'import' ? 'active' : ''}" data-page="import">
+            <span class="sidebar-link-icon">📥</span>
+            <span>Importar Extrato</span>
+          </a>
           <a href="#" class="sidebar-link ${currentPage === 'admin' ? 'active' : ''}" data-page="admin">
             <span class="sidebar-link-icon">⚙️</span>
             <span>Administração</span>
           </a>
         </nav>
         <div class="sidebar-footer">
+          <button id="syncStatus" type="button" class="sync-status" title="Sincronizar agora" style="display: none;"></button>
           <button id="sidebarThemeToggle" class="btn btn-secondary" style="width: 100%;">
             <span id="sidebarThemeIcon">🌙</span> Alternar Tema
           </button>
@@ -252,12 +483,22 @@ const Router = {
         }
 
         // Navega para a página
-        if (page === 'home') {
-          await this.navigateToHome();
-        } else if (page === 'dashboard') {
-          await this.navigateToDashboard();
-        } else if (page === 'admin') {
-          await this.navigateToAdmin();
+        try {
+          if (page === 'home') {
+            await this.navigateToHome();
+          } else if (page === 'dashboard') {
+            await this.navigateToDashboard();
+          } else if (page === 'admin') {
+            await this.navigateToAdmin();
+          } else if (page === 'import') {
+            await this.navigateToImport();
+          } else if (page === 'month') {
+            await this.navigateToMonth();
+          } else if (page === 'search') {
+            await this.navigateToSearch();
+          }
+        } catch (error) {
+          this.showPageStatus('error', error.message);
         }
       });
     });
@@ -274,15 +515,56 @@ const Router = {
     const sidebarLogoutBtn = document.getElementById('sidebarLogoutBtn');
     if (sidebarLogoutBtn) {
       sidebarLogoutBtn.addEventListener('click', async () => {
-        AuthService.logout();
-        await this.navigateToLogin();
+        try {
+          await AuthService.logout();
+          await this.navigateToLogin();
+        } catch (error) {
+          alert(error.message);
+        }
+      });
+    }
+
+    // Situação da sincronização (apenas com provider remoto)
+    const syncStatus = document.getElementById('syncStatus');
+    if (syncStatus && SyncService.isEnabled()) {
+      syncStatus.style.display = 'block';
+      syncStatus.addEventListener('click', () => {
+        SyncService.sync().catch(() => {});
       });
+      SyncService.onStatusChange = (status, conflicts) => {
+        this.updateSyncStatus(status);
+        conflicts.forEach(conflict => this.showSuccessMessage(conflict, 6000));
+      };
+      this.updateSyncStatus(SyncService.status);
     }
 
     // Atualiza o ícone do tema no sidebar
     this.updateSidebarThemeIcon();
   },
 
+  /**
+   * Atualiza o indicador de sincronização do sidebar
+   * @param {object} status - Situação (SyncService.status)
+   */
+  updateSyncStatus(status) {
+    const syncStatus = document.getElementById('syncStatus');
+    if (!syncStatus) return;
+
+    const pending = status.pending > 0 ? ` · ${status.pending} pendente(s)` : '';
+    if (status.syncing) {
+      syncStatus.textContent = '🔄 Sincronizando...';
+    } else if (!status.online) {
+      syncStatus.textContent = `📴 Offline${pending}`;
+    } else if (status.lastSyncAt) {
+      const time = new Date(status.lastSyncAt).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+      syncStatus.textContent = `☁️ Sincronizado às ${time}${pending}`;
+    } else {
+      syncStatus.textContent = `☁️ Aguardando sincronização${pending}`;
+    }
+    syncStatus.title = status.error ? `${status.error} — clique para tentar novamente` : 'Sincronizar agora';
+    syncStatus.classList.toggle('sync-offline', !status.online);
+  },
+
   /**
    * Atualiza ícone do tema no sidebar
    */
@@ -296,167 +578,723 @@ const Router = {
 
   /**
    * Inicializa eventos da página de login
+   * Com a sessão bloqueada, a página abre no desbloqueio; com os dados criptografados ainda fechados,
+   * na frase secreta; sem nenhuma conta no navegador, no cadastro
    */
-  initializeLoginPage() {
+  async initializeLoginPage() {
     const loginForm = document.getElementById('loginForm');
+    const registerForm = document.getElementById('registerForm');
+    const unlockForm = document.getElementById('unlockForm');
+    const decryptForm = document.getElementById('decryptForm');
     const errorMessage = document.getElementById('loginError');
+    const registerError = document.getElementById('registerError');
+    const unlockError = document.getElementById('unlockError');
+    const decryptError = document.getElementById('decryptError');
+
+    const forms = { login: loginForm, register: registerForm, unlock: unlockForm, decrypt: decryptForm };
+    const subtitles = {
+      login: 'Faça login para continuar',
+      register: 'Crie sua conta para começar',
+      unlock: 'Sessão bloqueada',
+      decrypt: 'Seus dados estão criptografados'
+    };
+    const showMode = (mode, subtitle = subtitles[mode]) => {
+      Object.entries(forms).forEach(([name, form]) => {
+        form.style.display = name === mode ? 'flex' : 'none';
+      });
+      document.getElementById('loginSubtitle').textContent = subtitle;
+      [errorMessage, registerError, unlockError, decryptError].forEach(el => {
+        el.style.display = 'none';
+      });
+    };
 
-    if (loginForm) {
-      loginForm.addEventListener('submit', async (e) => {
-        e.preventDefault();
+    document.querySelectorAll('[data-auth-mode]').forEach(button => {
+      button.addEventListener('click', () => showMode(button.dataset.authMode));
+    });
 
-        const username = document.getElementById('username').value.trim();
-        const password = document.getElementById('password').value;
+    const lockedSession = await AuthService.getLockedSession();
+    if (lockedSession) {
+      showMode('unlock', `Sessão de ${lockedSession.username} bloqueada por inatividade`);
+      if (lockedSession.hasPin) {
+        document.getElementById('unlockSecretLabel').textContent = 'PIN ou senha';
+        document.getElementById('unlockSecret').placeholder = 'Digite seu PIN ou sua senha';
+      }
+      document.getElementById('unlockSecret').focus();
+    } else if (CryptoService.isLocked() && await AuthService.isAuthenticated()) {
+      showMode('decrypt');
+      document.getElementById('decryptPassphrase').focus();
+    } else if (!await AuthService.hasUsers()) {
+      showMode('register');
+      // Sem usuário logado a leitura traz os dados gravados antes das contas existirem,
+      // que ficam com a primeira conta
+      const legacyTransactions = await FinanceService.getAllTransactions();
+      if (legacyTransactions.length > 0) {
+        document.getElementById('registerLegacyNotice').style.display = 'block';
+      }
+    }
 
-        if (errorMessage) {
-          errorMessage.style.display = 'none';
+    loginForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const username = document.getElementById('username').value.trim();
+      const password = document.getElementById('password').value;
+
+      errorMessage.style.display = 'none';
+
+      const submitBtn = loginForm.querySelector('button[type="submit"]');
+      this.setButtonBusy(submitBtn, true, 'Entrando...');
+      try {
+        if (await AuthService.login(username, password)) {
+          await this.enterApp();
+          return;
         }
+        errorMessage.textContent = 'Usuário ou senha incorretos';
+        errorMessage.style.display = 'block';
+      } catch (error) {
+        errorMessage.textContent = error.message;
+        errorMessage.style.display = 'block';
+      }
+      this.setButtonBusy(submitBtn, false);
+    });
 
-        if (AuthService.login(username, password)) {
-          await this.navigateToHome();
-        } else {
-          if (errorMessage) {
-            errorMessage.textContent = 'Usuário ou senha incorretos';
-            errorMessage.style.display = 'block';
-          }
+    unlockForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      unlockError.style.display = 'none';
+
+      const secretInput = document.getElementById('unlockSecret');
+      const submitBtn = unlockForm.querySelector('button[type="submit"]');
+      this.setButtonBusy(submitBtn, true, 'Desbloqueando...');
+      try {
+        if (await AuthService.unlock(secretInput.value)) {
+          await this.enterApp();
+          return;
         }
-      });
-    }
+        unlockError.textContent = lockedSession && lockedSession.hasPin ? 'PIN ou senha incorretos' : 'Senha incorreta';
+        unlockError.style.display = 'block';
+        secretInput.value = '';
+      } catch (error) {
+        // Sessão encerrada (tentativas esgotadas ou tempo de sessão vencido): volta ao login completo
+        showMode('login');
+        errorMessage.textContent = error.message;
+        errorMessage.style.display = 'block';
+      }
+      this.setButtonBusy(submitBtn, false);
+    });
+
+    decryptForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      decryptError.style.display = 'none';
+
+      const passphraseInput = document.getElementById('decryptPassphrase');
+      const submitBtn = decryptForm.querySelector('button[type="submit"]');
+      this.setButtonBusy(submitBtn, true, 'Abrindo...');
+      try {
+        if (await CryptoService.unlock(passphraseInput.value)) {
+          await this.enterApp();
+          return;
+        }
+        decryptError.textContent = 'Frase secreta incorreta';
+        decryptError.style.display = 'block';
+        passphraseInput.value = '';
+      } catch (error) {
+        decryptError.textContent = error.message;
+        decryptError.style.display = 'block';
+      }
+      this.setButtonBusy(submitBtn, false);
+    });
+
+    document.getElementById('decryptLogout').addEventListener('click', async () => {
+      try {
+        await AuthService.logout();
+        showMode('login');
+      } catch (error) {
+        decryptError.textContent = error.message;
+        decryptError.style.display = 'block';
+      }
+    });
+
+    document.getElementById('unlockSwitchAccount').addEventListener('click', async () => {
+      try {
+        await AuthService.logout();
+        showMode('login');
+      } catch (error) {
+        unlockError.textContent = error.message;
+        unlockError.style.display = 'block';
+      }
+    });
+
+    registerForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      registerError.style.display = 'none';
+
+      const submitBtn = registerForm.querySelector('button[type="submit"]');
+      this.setButtonBusy(submitBtn, true, 'Criando conta...');
+      try {
+        await AuthService.register(
+          document.getElementById('registerUsername').value,
+          document.getElementById('registerPassword').value,
+          document.getElementById('registerPasswordConfirm').value
+        );
+        await this.enterApp();
+        return;
+      } catch (error) {
+        registerError.textContent = error.message;
+        registerError.style.display = 'block';
+      }
+      this.setButtonBusy(submitBtn, false);
+    });
   },
 
   /**
    * Inicializa eventos da página home
    */
-  initializeHomePage() {
+  async initializeHomePage() {
     this.initializeTheme();
-    this.initializeFinanceFeatures();
+    await this.initializeFinanceFeatures();
   },
 
   /**
-   * Inicializa eventos da página do dashboard
+   * Inicializa eventos da visão mensal
+   * O mês exibido é mantido ao navegar entre páginas
    */
-  initializeDashboardPage() {
+  async initializeMonthPage() {
     this.initializeTheme();
-    this.initializeStatsFeatures();
+
+    if (!this.monthState) {
+      const today = new Date();
+      this.monthState = { year: today.getFullYear(), month: today.getMonth(), selectedDate: DatesService.formatDateForInput(today) };
+    }
+
+    const changeMonth = async (offset) => {
+      const date = offset === null ? new Date() : new Date(this.monthState.year, this.monthState.month + offset, 1);
+      this.monthState = {
+        year: date.getFullYear(),
+        month: date.getMonth(),
+        selectedDate: offset === null ? DatesService.formatDateForInput(date) : null
+      };
+      try {
+        await this.updateMonthView();
+      } catch (error) {
+        this.showPageStatus('error', error.message);
+      }
+    };
+
+    document.getElementById('previousMonthBtn').addEventListener('click', () => changeMonth(-1));
+    document.getElementById('nextMonthBtn').addEventListener('click', () => changeMonth(1));
+    document.getElementById('currentMonthBtn').addEventListener('click', () => changeMonth(null));
+
+    await this.updateMonthView();
   },
 
   /**
-   * Inicializa funcionalidades financeiras do dashboard
+   * Atualiza o resumo, o calendário e os lançamentos do dia selecionado
    */
-  initializeFinanceFeatures() {
-    FinanceService.checkAndAutoCloseWeek();
-    
-    this.initializeTransactionForm();
-    this.initializeCloseWeekButton();
-    this.updateDashboardData();
-    this.setDefaultDate();
-    
-    setInterval(() => {
-      if (FinanceService.checkAndAutoCloseWeek()) {
-        this.updateDashboardData();
-        this.showSuccessMessage('Semana fechada automaticamente! A nova semana está ativa.');
-      }
-    }, 60000);
+  async updateMonthView() {
+    const { year, month } = this.monthState;
+    const monthNames = ['Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho', 'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro'];
+    document.getElementById('monthTitle').textContent = `${monthNames[month]} de ${year}`;
+
+    const summary = FinanceService.calculateSummary(await FinanceService.getMonthTransactions(year, month));
+    document.getElementById('monthExpensesTotal').textContent = FinanceService.formatCurrency(summary.expenses);
+    this.renderBalanceBreakdown('monthBreakdown', summary);
+
+    await this.renderMonthCalendar();
+    await this.renderSelectedDayTransactions();
   },
 
   /**
-   * Inicializa formulário de lançamentos
+   * Desenha o calendário do mês com a intensidade dos gastos de cada dia
+   * e os limites das semanas fechadas
    */
-  initializeTransactionForm() {
-    const form = document.getElementById('transactionForm');
-    const errorMessage = document.getElementById('formError');
-
-    if (form) {
-      form.addEventListener('submit', (e) => {
-        e.preventDefault();
+  async renderMonthCalendar() {
+    const calendar = document.getElementById('monthCalendar');
+    if (!calendar) return;
+
+    const { year, month, selectedDate } = this.monthState;
+    const days = await FinanceService.getMonthDailyTotals(year, month);
+    const closedWeeks = (await FinanceService.getWeekBoundaries(days[0].date, days[days.length - 1].date))
+      .filter(week => week.isClosed);
+    const maxExpenses = Math.max(...days.map(d => d.expenses), 0);
+    const todayKey = DatesService.formatDateForInput();
+
+    const getHeatLevel = (expenses) => {
+      if (expenses <= 0 || maxExpenses <= 0) return 0;
+      return Math.min(Math.ceil((expenses / maxExpenses) * 4), 4);
+    };
 
-        if (errorMessage) {
-          errorMessage.style.display = 'none';
+    const blanks = Array.from({ length: days[0].date.getDay() }, () => '<div class="calendar-day calendar-day-empty"></div>');
+
+    const cells = days.map(day => {
+      const dayEnd = new Date(day.date);
+      dayEnd.setHours(23, 59, 59, 999);
+      const closedWeek = closedWeeks.find(week => week.start <= dayEnd && week.end >= day.date);
+      const classes = ['calendar-day', `heat-${getHeatLevel(day.expenses)}`];
+      let marker = '';
+      if (closedWeek) {
+        classes.push('in-closed-week');
+        if (DatesService.formatDateForInput(closedWeek.start) === day.dateKey) {
+          classes.push('closed-week-start');
+          marker = '<span class="calendar-week-marker" title="Início de semana fechada">🔒</span>';
         }
+        if (DatesService.formatDateForInput(closedWeek.end) === day.dateKey) {
+          classes.push('closed-week-end');
+        }
+      }
+      if (day.dateKey === todayKey) classes.push('calendar-today');
+      if (day.dateKey === selectedDate) classes.push('calendar-selected');
+
+      const title = `${DatesService.formatDate(day.date)}: ${FinanceService.formatCurrency(day.expenses)} em gastos` +
+        (day.income > 0 ? `, ${FinanceService.formatCurrency(day.income)} em receitas` : '') +
+        (closedWeek ? ' (semana fechada)' : '');
+      return `
+        <button type="button" class="${classes.join(' ')}" data-date="${day.dateKey}" title="${this.escapeHtml(title)}">
+          <span class="calendar-day-number">${day.date.getDate()}${marker}</span>
+          <span class="calendar-day-total">${day.expenses > 0 ? FinanceService.formatCurrency(day.expenses) : ''}</span>
+        </button>
+      `;
+    });
 
-        const description = document.getElementById('description').value.trim();
-        const amount = document.getElementById('amount').value;
-        const date = document.getElementById('date').value;
+    calendar.innerHTML = blanks.join('') + cells.join('');
 
+    calendar.querySelectorAll('button[data-date]').forEach(button => {
+      button.addEventListener('click', async () => {
+        this.monthState.selectedDate = button.getAttribute('data-date');
+        calendar.querySelectorAll('.calendar-selected').forEach(el => el.classList.remove('calendar-selected'));
+        button.classList.add('calendar-selected');
         try {
-          FinanceService.createTransaction(description, amount, date);
-          form.reset();
-          this.setDefaultDate();
-          this.updateDashboardData();
-          this.showSuccessMessage('Lançamento adicionado com sucesso!');
+          await this.renderSelectedDayTransactions();
         } catch (error) {
-          if (errorMessage) {
-            errorMessage.textContent = error.message;
-            errorMessage.style.display = 'block';
-          }
+          alert(error.message);
         }
       });
-    }
+    });
   },
 
   /**
-   * Inicializa botão de fechar semana
+   * Lista os lançamentos do dia selecionado no calendário
    */
-  initializeCloseWeekButton() {
-    const closeWeekBtn = document.getElementById('closeWeekBtn');
-
-    if (closeWeekBtn) {
-      closeWeekBtn.addEventListener('click', () => {
-        if (FinanceService.isCurrentWeekClosed()) {
-          alert('A semana atual já está fechada.');
-          return;
-        }
+  async renderSelectedDayTransactions() {
+    const title = document.getElementById('selectedDayTitle');
+    const list = document.getElementById('selectedDayTransactions');
+    if (!title || !list) return;
+
+    const { selectedDate } = this.monthState;
+    if (!selectedDate) {
+      title.textContent = 'Lançamentos do Dia';
+      list.innerHTML = '<p class="empty-message">Selecione um dia no calendário.</p>';
+      return;
+    }
 
-        this.showCloseWeekDialog();
-      });
+    title.textContent = `Lançamentos de ${DatesService.formatDate(DatesService.parseDate(selectedDate))}`;
+    const transactions = await FinanceService.getTransactionsByDate(selectedDate);
+    if (transactions.length === 0) {
+      list.innerHTML = '<p class="empty-message">Nenhum lançamento neste dia.</p>';
+      return;
     }
+
+    const categories = await CategoryService.getAllCategories();
+    const members = await MemberService.getAllMembers();
+    list.innerHTML = transactions
+      .map(transaction => {
+        const category = categories.find(c => c.id === transaction.categoryId) || CategoryService.defaultCategory;
+        const member = members.find(m => m.id === transaction.memberId);
+        return `
+          <div class="transaction-item">
+            <div class="transaction-info">
+              <span class="transaction-description">${this.escapeHtml(transaction.description)}</span>
+              <span class="category-badge" style="border-color: ${this.escapeHtml(category.color)}; color: ${this.escapeHtml(category.color)};">${this.escapeHtml(category.icon)} ${this.escapeHtml(category.name)}</span>
+              ${member ? `<span class="category-badge member-badge" style="border-color: ${this.escapeHtml(member.color)}; color: ${this.escapeHtml(member.color)};">👤 ${this.escapeHtml(member.name)}</span>` : ''}
+            </div>
+            <div class="transaction-amount ${FinanceService.isIncome(transaction) ? 'income' : ''}">${FinanceService.isIncome(transaction) ? '+' : ''}${FinanceService.formatCurrency(transaction.amount)}</div>
+          </div>
+        `;
+      })
+      .join('');
   },
 
   /**
-   * Exibe diálogo para fechamento manual da semana
+   * Inicializa eventos da busca de lançamentos
+   * Filtros, ordenação e página são mantidos ao navegar entre páginas
    */
-  showCloseWeekDialog() {
-    // Cria o modal
-    const modal = document.createElement('div');
-    modal.className = 'modal-overlay';
-    modal.innerHTML = `
-      <div class="modal-content">
-        <h2 class="modal-title">Fechar Semana</h2>
-        <p class="modal-description">Deseja realmente fechar a semana atual? A nova semana será iniciada a partir de hoje.</p>
-        <div id="closeWeekError" class="error-message" style="display: none;"></div>
-        <div class="modal-actions">
-          <button id="cancelCloseWeekBtn" class="btn btn-secondary">Cancelar</button>
-          <button id="confirmCloseWeekBtn" class="btn btn-primary">Fechar Semana</button>
-        </div>
-      </div>
-    `;
+  async initializeSearchPage() {
+    this.initializeTheme();
 
-    document.body.appendChild(modal);
+    if (!this.searchState) {
+      this.searchState = { filters: {}, sort: { field: 'date', direction: 'desc' }, page: 1 };
+    }
 
-    const cancelBtn = document.getElementById('cancelCloseWeekBtn');
-    const confirmBtn = document.getElementById('confirmCloseWeekBtn');
-    const errorDiv = document.getElementById('closeWeekError');
+    const form = document.getElementById('searchForm');
+    const errorDiv = document.getElementById('searchError');
+    const categorySelect = document.getElementById('searchCategory');
+    const sortSelect = document.getElementById('searchSort');
 
-    // Fecha o modal ao cancelar
-    cancelBtn.addEventListener('click', () => {
-      document.body.removeChild(modal);
-    });
+    // Inclui categorias arquivadas, pois podem ter lançamentos antigos
+    categorySelect.innerHTML = '<option value="">Todas</option>' + (await CategoryService.getAllCategories())
+      .map(category => `<option value="${this.escapeHtml(category.id)}">${this.escapeHtml(category.icon)} ${this.escapeHtml(category.name)}${category.archived ? ' (arquivada)' : ''}</option>`)
+      .join('');
 
-    // Confirma o fechamento
-    confirmBtn.addEventListener('click', () => {
+    const fields = {
+      text: 'searchText',
+      minAmount: 'searchMinAmount',
+      maxAmount: 'searchMaxAmount',
+      startDate: 'searchStartDate',
+      endDate: 'searchEndDate',
+      categoryId: 'searchCategory',
+      weekStatus: 'searchWeekStatus'
+    };
+    Object.entries(fields).forEach(([key, id]) => {
+      if (this.searchState.filters[key] !== undefined) {
+        document.getElementById(id).value = this.searchState.filters[key];
+      }
+    });
+    sortSelect.value = `${this.searchState.sort.field}:${this.searchState.sort.direction}`;
+
+    const runSearch = async () => {
+      errorDiv.style.display = 'none';
+      try {
+        await this.updateSearchResults();
+      } catch (error) {
+        errorDiv.textContent = error.message;
+        errorDiv.style.display = 'block';
+      }
+    };
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const filters = {};
+      Object.entries(fields).forEach(([key, id]) => {
+        filters[key] = document.getElementById(id).value;
+      });
+      this.searchState.filters = filters;
+      this.searchState.page = 1;
+      await runSearch();
+    });
+
+    document.getElementById('clearSearchBtn').addEventListener('click', async () => {
+      form.reset();
+      this.searchState.filters = {};
+      this.searchState.page = 1;
+      await runSearch();
+    });
+
+    sortSelect.addEventListener('change', async () => {
+      const [field, direction] = sortSelect.value.split(':');
+      this.searchState.sort = { field, direction };
+      this.searchState.page = 1;
+      await runSearch();
+    });
+
+    document.getElementById('searchPreviousPageBtn').addEventListener('click', async () => {
+      this.searchState.page--;
+      await runSearch();
+    });
+    document.getElementById('searchNextPageBtn').addEventListener('click', async () => {
+      this.searchState.page++;
+      await runSearch();
+    });
+
+    await runSearch();
+  },
+
+  /**
+   * Executa a busca com o estado atual e exibe totais, resultados e paginação
+   */
+  async updateSearchResults() {
+    const { filters, sort, page } = this.searchState;
+    const results = await FinanceService.searchTransactions(filters, sort);
+    const pageData = FinanceService.paginate(results, page);
+    this.searchState.page = pageData.page;
+
+    const summary = FinanceService.calculateSummary(results);
+    document.getElementById('searchExpensesTotal').textContent = FinanceService.formatCurrency(summary.expenses);
+    document.getElementById('searchResultCount').textContent =
+      `${results.length} ${results.length === 1 ? 'lançamento encontrado' : 'lançamentos encontrados'}`;
+    this.renderBalanceBreakdown('searchBreakdown', summary);
+
+    const list = document.getElementById('searchResults');
+    if (results.length === 0) {
+      list.innerHTML = '<p class="empty-message">Nenhum lançamento encontrado.</p>';
+    } else {
+      const categories = await CategoryService.getAllCategories();
+      const members = await MemberService.getAllMembers();
+      list.innerHTML = pageData.items
+        .map(transaction => {
+          const category = categories.find(c => c.id === transaction.categoryId) || CategoryService.defaultCategory;
+          const member = members.find(m => m.id === transaction.memberId);
+          return `
+            <div class="transaction-item">
+              <div class="transaction-info">
+                <span class="transaction-description">${this.escapeHtml(transaction.description)}</span>
+                <span class="transaction-date">${DatesService.formatDate(new Date(transaction.date))}${transaction.isClosedWeek ? ' · 🔒 Semana fechada' : ''}</span>
+                <span class="category-badge" style="border-color: ${this.escapeHtml(category.color)}; color: ${this.escapeHtml(category.color)};">${this.escapeHtml(category.icon)} ${this.escapeHtml(category.name)}</span>
+                ${member ? `<span class="category-badge member-badge" style="border-color: ${this.escapeHtml(member.color)}; color: ${this.escapeHtml(member.color)};">👤 ${this.escapeHtml(member.name)}</span>` : ''}
+              </div>
+              <div class="search-result-amounts">
+                <div class="transaction-amount ${FinanceService.isIncome(transaction) ? 'income' : ''}">${FinanceService.isIncome(transaction) ? '+' : ''}${FinanceService.formatCurrency(transaction.amount)}</div>
+                <span class="search-running-balance" title="Saldo acumulado até este lançamento">Saldo: ${FinanceService.formatCurrency(transaction.runningBalance)}</span>
+              </div>
+            </div>
+          `;
+        })
+        .join('');
+    }
+
+    document.getElementById('searchPagination').style.display = pageData.pageCount > 1 ? '' : 'none';
+    document.getElementById('searchPageInfo').textContent = `Página ${pageData.page} de ${pageData.pageCount}`;
+    document.getElementById('searchPreviousPageBtn').disabled = pageData.page <= 1;
+    document.getElementById('searchNextPageBtn').disabled = pageData.page >= pageData.pageCount;
+  },
+
+  /**
+   * Inicializa eventos da página do dashboard
+   */
+  async initializeDashboardPage() {
+    this.initializeTheme();
+    await this.initializeStatsFeatures();
+  },
+
+  /**
+   * Inicializa funcionalidades financeiras do dashboard
+   */
+  async initializeFinanceFeatures() {
+    const initialChecks = await this.runPeriodicChecks();
+    this.showRecurringFailures(initialChecks.recurringFailed);
+    
+    await this.populateCategorySelect();
+    await this.populateMemberSelect();
+    this.initializeTransactionForm();
+    this.initializeCloseWeekButton();
+    await this.updateDashboardData();
+    this.setDefaultDate();
+    
+    this.startPeriodicChecks(async (result) => {
+      if (result.weekClosed || result.recurringCreated > 0) {
+        await this.updateDashboardData();
+      }
+      if (result.weekClosed) {
+        this.showSuccessMessage('Semana fechada automaticamente! A nova semana está ativa.');
+      }
+      if (result.recurringCreated > 0) {
+        this.showSuccessMessage(`${result.recurringCreated} lançamento(s) recorrente(s) adicionado(s).`);
+      }
+      this.showRecurringFailures(result.recurringFailed);
+    });
+  },
+
+  /**
+   * Agenda as verificações periódicas da página atual
+   * Só existe um timer: agendar de novo substitui o anterior
+   * @param {function} onResult - Recebe (Promise) o resultado de cada verificação
+   */
+  startPeriodicChecks(onResult) {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = setInterval(async () => {
+      try {
+        await onResult(await this.runPeriodicChecks());
+      } catch (error) {
+        // Falhas temporárias (ex: sem conexão) são tentadas de novo na próxima verificação
+        console.error('Erro nas verificações periódicas:', error);
+      }
+    }, PERIODIC_CHECKS_INTERVAL);
+  },
+
+  /**
+   * Executa as verificações periódicas
+   * Se uma verificação já estiver em andamento, devolve a mesma Promise em vez de começar outra,
+   * para que duas execuções não intercalem leituras e gravações (ex: recorrências duplicadas)
+   * @returns {Promise<object>} {weekClosed: boolean, recurringCreated: number, recurringFailed: Array}
+   */
+  runPeriodicChecks() {
+    if (!this.periodicChecksPromise) {
+      this.periodicChecksPromise = this.executePeriodicChecks().finally(() => {
+        this.periodicChecksPromise = null;
+      });
+    }
+    return this.periodicChecksPromise;
+  },
+
+  /**
+   * Executa as verificações periódicas: sincronização com o provider remoto, fechamento
+   * automático da semana e geração dos lançamentos recorrentes que já chegaram
+   * O fechamento roda antes para que os lançamentos gerados caiam na nova semana
+   * @returns {Promise<object>} {weekClosed: boolean, recurringCreated: number, recurringFailed: Array}
+   */
+  async executePeriodicChecks() {
+    // Traz as alterações de outros aparelhos; sem conexão as verificações usam a cópia local
+    await SyncService.sync().catch(() => {});
+
+    const weekClosed = await FinanceService.checkAndAutoCloseWeek();
+    // Semanas fechadas antes dos retratos passam a ter um, congelando o histórico a partir de agora
+    await FinanceService.backfillClosedWeekSnapshots();
+    const { created, failed } = await RecurringService.materializeDueTransactions();
+    return {
+      weekClosed,
+      recurringCreated: created.length,
+      recurringFailed: failed
+    };
+  },
+
+  /**
+   * Avisa sobre as regras de recorrência que não conseguiram gerar lançamentos
+   * @param {Array} failures - Lista de {rule, error} devolvida por materializeDueTransactions
+   */
+  showRecurringFailures(failures) {
+    failures.forEach(({ rule, error }) => {
+      this.showErrorMessage(`Não foi possível gerar o lançamento recorrente "${rule.description}": ${error}`);
+    });
+  },
+
+  /**
+   * Inicializa formulário de lançamentos
+   */
+  initializeTransactionForm() {
+    const form = document.getElementById('transactionForm');
+    const errorMessage = document.getElementById('formError');
+
+    if (form) {
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        if (errorMessage) {
+          errorMessage.style.display = 'none';
+        }
+
+        const description = document.getElementById('description').value.trim();
+        const amount = document.getElementById('amount').value;
+        const date = document.getElementById('date').value;
+        const categoryId = document.getElementById('category').value;
+        const type = document.getElementById('type').value;
+        const memberSelect = document.getElementById('member');
+        const memberId = memberSelect ? memberSelect.value : null;
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        this.setButtonBusy(submitBtn, true);
+        try {
+          await FinanceService.createTransaction(description, amount, date, categoryId, type, {}, memberId);
+          form.reset();
+          // Mantém o membro selecionado: normalmente a mesma pessoa lança vários gastos seguidos
+          if (memberSelect) {
+            memberSelect.value = memberId;
+          }
+          this.setDefaultDate();
+          await this.updateDashboardData();
+          this.showSuccessMessage('Lançamento adicionado com sucesso!');
+        } catch (error) {
+          if (errorMessage) {
+            errorMessage.textContent = error.message;
+            errorMessage.style.display = 'block';
+          }
+        } finally {
+          this.setButtonBusy(submitBtn, false);
+        }
+      });
+    }
+  },
+
+  /**
+   * Preenche o select de categorias do formulário com as categorias ativas
+   */
+  async populateCategorySelect() {
+    const categorySelect = document.getElementById('category');
+    if (!categorySelect) return;
+
+    categorySelect.innerHTML = (await CategoryService.getActiveCategories())
+      .map(category => `<option value="${this.escapeHtml(category.id)}">${this.escapeHtml(category.icon)} ${this.escapeHtml(category.name)}</option>`)
+      .join('');
+    categorySelect.value = UNCATEGORIZED_CATEGORY_ID;
+  },
+
+  /**
+   * Preenche o select de membros do formulário com os membros ativos
+   * O campo fica oculto enquanto não houver membros cadastrados
+   */
+  async populateMemberSelect() {
+    const memberSelect = document.getElementById('member');
+    const memberGroup = document.getElementById('memberGroup');
+    if (!memberSelect || !memberGroup) return;
+
+    const members = await MemberService.getActiveMembers();
+    memberGroup.style.display = members.length > 0 ? 'block' : 'none';
+    memberSelect.innerHTML = '<option value="">Sem membro</option>' + members
+      .map(member => `<option value="${this.escapeHtml(member.id)}">${this.escapeHtml(member.name)}</option>`)
+      .join('');
+  },
+
+  /**
+   * Inicializa botão de fechar semana
+   */
+  initializeCloseWeekButton() {
+    const closeWeekBtn = document.getElementById('closeWeekBtn');
+
+    if (closeWeekBtn) {
+      closeWeekBtn.addEventListener('click', async () => {
+        try {
+          if (await FinanceService.isCurrentWeekClosed()) {
+            alert('A semana atual já está fechada.');
+            return;
+          }
+        } catch (error) {
+          alert(error.message);
+          return;
+        }
+
+        this.showCloseWeekDialog();
+      });
+    }
+  },
+
+  /**
+   * Exibe diálogo para fechamento manual da semana
+   */
+  showCloseWeekDialog() {
+    // Cria o modal
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <h2 class="modal-title">Fechar Semana</h2>
+        <p class="modal-description">Deseja realmente fechar a semana atual? A nova semana será iniciada a partir de hoje. Se necessário, a semana poderá ser reaberta pelo histórico do dashboard.</p>
+        <div id="closeWeekError" class="error-message" style="display: none;"></div>
+        <div class="modal-actions">
+          <button id="cancelCloseWeekBtn" class="btn btn-secondary">Cancelar</button>
+          <button id="confirmCloseWeekBtn" class="btn btn-primary">Fechar Semana</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const cancelBtn = document.getElementById('cancelCloseWeekBtn');
+    const confirmBtn = document.getElementById('confirmCloseWeekBtn');
+    const errorDiv = document.getElementById('closeWeekError');
+
+    // Fecha o modal ao cancelar
+    cancelBtn.addEventListener('click', () => {
+      document.body.removeChild(modal);
+    });
+
+    // Confirma o fechamento
+    confirmBtn.addEventListener('click', async () => {
+      errorDiv.style.display = 'none';
+      this.setButtonBusy(confirmBtn, true, 'Fechando...');
       try {
-        const closed = FinanceService.closeWeek(null, null, true);
+        const closed = await FinanceService.closeWeek(null, null, true);
         if (closed) {
           document.body.removeChild(modal);
-          this.updateDashboardData();
+          await this.updateDashboardData();
           this.showSuccessMessage('Semana fechada com sucesso! A nova semana está ativa.');
         } else {
           errorDiv.textContent = 'Não foi possível fechar a semana. A semana pode já estar fechada.';
           errorDiv.style.display = 'block';
+          this.setButtonBusy(confirmBtn, false);
         }
       } catch (error) {
         errorDiv.textContent = error.message;
         errorDiv.style.display = 'block';
+        this.setButtonBusy(confirmBtn, false);
       }
     });
 
@@ -471,23 +1309,25 @@ const Router = {
   /**
    * Atualiza dados exibidos no dashboard
    */
-  updateDashboardData() {
-    this.updateSummary();
-    this.updateTransactionsList();
-    this.updateCloseWeekButton();
+  async updateDashboardData() {
+    await StorageService.withCache(async () => {
+      await this.updateSummary();
+      await this.updateTransactionsList();
+      await this.updateCloseWeekButton();
+    });
   },
 
   /**
    * Atualiza resumo (totais)
    */
-  updateSummary() {
+  async updateSummary() {
     const currentWeekPeriod = document.getElementById('currentWeekPeriod');
     const currentWeekTotal = document.getElementById('currentWeekTotal');
     const currentMonthTotal = document.getElementById('currentMonthTotal');
 
-    const weekPeriod = FinanceService.getCurrentWeekPeriod();
-    const weekTotal = FinanceService.getCurrentWeekTotal();
-    const monthTotal = FinanceService.getCurrentMonthTotal();
+    const weekPeriod = await FinanceService.getCurrentWeekPeriod();
+    const weekTotal = await FinanceService.getCurrentWeekTotal();
+    const monthTotal = await FinanceService.getCurrentMonthTotal();
 
     if (currentWeekPeriod) {
       currentWeekPeriod.textContent = weekPeriod;
@@ -496,7 +1336,7 @@ const Router = {
     if (currentWeekTotal) {
       currentWeekTotal.textContent = FinanceService.formatCurrency(weekTotal);
       
-      const isExceeded = FinanceService.isWeeklyLimitExceeded();
+      const isExceeded = await FinanceService.isWeeklyLimitExceeded();
       if (isExceeded) {
         currentWeekTotal.classList.add('limit-exceeded');
       } else {
@@ -507,59 +1347,223 @@ const Router = {
     if (currentMonthTotal) {
       currentMonthTotal.textContent = FinanceService.formatCurrency(monthTotal);
     }
+
+    this.renderBalanceBreakdown('currentWeekBreakdown', await FinanceService.getCurrentWeekSummary());
+    this.renderBalanceBreakdown('currentMonthBreakdown', await FinanceService.getCurrentMonthSummary());
+  },
+
+  /**
+   * Renderiza receitas, gastos e saldo lado a lado em um elemento
+   * @param {string} elementId - ID do elemento container
+   * @param {object} summary - Resumo {income, expenses, balance}
+   */
+  renderBalanceBreakdown(elementId, summary) {
+    const container = document.getElementById(elementId);
+    if (!container) return;
+
+    container.innerHTML = `
+      <div class="balance-item">
+        <span class="balance-label">Receitas</span>
+        <span class="balance-value income">${FinanceService.formatCurrency(summary.income)}</span>
+      </div>
+      <div class="balance-item">
+        <span class="balance-label">Gastos</span>
+        <span class="balance-value expense">${FinanceService.formatCurrency(summary.expenses)}</span>
+      </div>
+      <div class="balance-item">
+        <span class="balance-label">Saldo</span>
+        <span class="balance-value ${summary.balance < 0 ? 'expense' : 'income'}">${FinanceService.formatCurrency(summary.balance)}</span>
+      </div>
+    `;
   },
 
   /**
    * Atualiza lista de transações
    */
-  updateTransactionsList() {
+  async updateTransactionsList() {
     const transactionsList = document.getElementById('transactionsList');
     if (!transactionsList) return;
 
-    const transactions = FinanceService.getCurrentWeekTransactions();
+    const transactions = await FinanceService.getCurrentWeekTransactions();
 
     if (transactions.length === 0) {
       transactionsList.innerHTML = '<p class="empty-message">Nenhum lançamento registrado nesta semana.</p>';
       return;
     }
 
+    const categories = await CategoryService.getAllCategories();
+    const members = await MemberService.getAllMembers();
+
     transactionsList.innerHTML = transactions
       .sort((a, b) => new Date(b.date) - new Date(a.date))
       .map(transaction => {
         const date = DatesService.formatDate(new Date(transaction.date));
+        const category = categories.find(c => c.id === transaction.categoryId) || CategoryService.defaultCategory;
+        const member = members.find(m => m.id === transaction.memberId);
         return `
           <div class="transaction-item">
             <div class="transaction-info">
               <span class="transaction-description">${this.escapeHtml(transaction.description)}</span>
               <span class="transaction-date">${date}</span>
+              <span class="category-badge" style="border-color: ${this.escapeHtml(category.color)}; color: ${this.escapeHtml(category.color)};">${this.escapeHtml(category.icon)} ${this.escapeHtml(category.name)}</span>
+              ${member ? `<span class="category-badge member-badge" style="border-color: ${this.escapeHtml(member.color)}; color: ${this.escapeHtml(member.color)};">👤 ${this.escapeHtml(member.name)}</span>` : ''}
             </div>
-            <div class="transaction-amount">${FinanceService.formatCurrency(transaction.amount)}</div>
+            <div class="transaction-amount ${FinanceService.isIncome(transaction) ? 'income' : ''}">${FinanceService.isIncome(transaction) ? '+' : ''}${FinanceService.formatCurrency(transaction.amount)}</div>
             <div class="transaction-actions">
-              <button class="btn btn-danger" data-transaction-id="${transaction.id}">Excluir</button>
+              <button class="btn btn-secondary btn-small" data-action="edit" data-transaction-id="${this.escapeHtml(transaction.id)}">Editar</button>
+              <button class="btn btn-danger" data-action="delete" data-transaction-id="${this.escapeHtml(transaction.id)}">Excluir</button>
             </div>
           </div>
         `;
       })
       .join('');
 
-    transactionsList.querySelectorAll('.btn-danger').forEach(button => {
-      button.addEventListener('click', (e) => {
+    transactionsList.querySelectorAll('button[data-transaction-id]').forEach(button => {
+      button.addEventListener('click', async (e) => {
         const transactionId = e.target.getAttribute('data-transaction-id');
-        if (transactionId) {
-          this.removeTransaction(transactionId);
+        const action = e.target.getAttribute('data-action');
+        if (!transactionId) return;
+
+        try {
+          if (action === 'edit') {
+            await this.showEditTransactionDialog(transactionId);
+          } else {
+            await this.removeTransaction(transactionId);
+          }
+        } catch (error) {
+          alert(error.message);
         }
       });
     });
   },
 
+  /**
+   * Exibe diálogo para edição de um lançamento
+   * @param {string} transactionId - ID da transação
+   */
+  async showEditTransactionDialog(transactionId) {
+    const transaction = await FinanceService.getTransactionById(transactionId);
+    if (!transaction) {
+      alert('Lançamento não encontrado.');
+      return;
+    }
+
+    const categoryOptions = (await CategoryService.getAllCategories())
+      .filter(c => !c.archived || c.id === transaction.categoryId)
+      .map(c => `<option value="${this.escapeHtml(c.id)}">${this.escapeHtml(c.icon)} ${this.escapeHtml(c.name)}</option>`)
+      .join('');
+
+    const members = (await MemberService.getAllMembers())
+      .filter(m => !m.archived || m.id === transaction.memberId);
+    const memberOptions = '<option value="">Sem membro</option>' + members
+      .map(m => `<option value="${this.escapeHtml(m.id)}">${this.escapeHtml(m.name)}</option>`)
+      .join('');
+
+    // Cria o modal
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <h2 class="modal-title">Editar Lançamento</h2>
+        <form id="editTransactionForm" class="transaction-form">
+          <div class="form-group">
+            <label for="editType">Tipo *</label>
+            <select id="editType" required>
+              <option value="expense">Gasto</option>
+              <option value="income">Receita</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label for="editDescription">Descrição *</label>
+            <input type="text" id="editDescription" required />
+          </div>
+          <div class="form-group">
+            <label for="editCategory">Categoria *</label>
+            <select id="editCategory" required>${categoryOptions}</select>
+          </div>
+          <div class="form-group" style="display: ${members.length > 0 ? 'block' : 'none'};">
+            <label for="editMember">Membro</label>
+            <select id="editMember">${memberOptions}</select>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="editAmount">Valor (R$) *</label>
+              <input type="number" id="editAmount" step="0.01" min="0.01" required />
+            </div>
+            <div class="form-group">
+              <label for="editDate">Data *</label>
+              <input type="date" id="editDate" required />
+            </div>
+          </div>
+          <div id="editTransactionError" class="error-message" style="display: none;"></div>
+          <div class="modal-actions">
+            <button type="button" id="cancelEditTransactionBtn" class="btn btn-secondary">Cancelar</button>
+            <button type="submit" class="btn btn-primary">Salvar</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    // Preenche os campos via propriedades para não interpolar dados do usuário no HTML
+    document.getElementById('editType').value = FinanceService.getTransactionType(transaction);
+    document.getElementById('editDescription').value = transaction.description;
+    document.getElementById('editCategory').value = transaction.categoryId || UNCATEGORIZED_CATEGORY_ID;
+    document.getElementById('editMember').value = transaction.memberId || '';
+    document.getElementById('editAmount').value = transaction.amount;
+    document.getElementById('editDate').value = DatesService.formatDateForInput(new Date(transaction.date));
+
+    const form = document.getElementById('editTransactionForm');
+    const cancelBtn = document.getElementById('cancelEditTransactionBtn');
+    const errorDiv = document.getElementById('editTransactionError');
+
+    // Fecha o modal ao cancelar
+    cancelBtn.addEventListener('click', () => {
+      document.body.removeChild(modal);
+    });
+
+    // Confirma a edição
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const submitBtn = form.querySelector('button[type="submit"]');
+      this.setButtonBusy(submitBtn, true);
+      try {
+        await FinanceService.updateTransaction(
+          transactionId,
+          document.getElementById('editDescription').value,
+          document.getElementById('editAmount').value,
+          document.getElementById('editDate').value,
+          document.getElementById('editCategory').value,
+          document.getElementById('editType').value,
+          document.getElementById('editMember').value
+        );
+        document.body.removeChild(modal);
+        await this.updateDashboardData();
+        this.showSuccessMessage('Lançamento atualizado com sucesso!');
+      } catch (error) {
+        errorDiv.textContent = error.message;
+        errorDiv.style.display = 'block';
+        this.setButtonBusy(submitBtn, false);
+      }
+    });
+
+    // Fecha o modal ao clicar fora
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        document.body.removeChild(modal);
+      }
+    });
+  },
+
   /**
    * Remove uma transação
    * @param {string} transactionId - ID da transação
    */
-  removeTransaction(transactionId) {
+  async removeTransaction(transactionId) {
     if (confirm('Deseja realmente excluir este lançamento?')) {
-      FinanceService.removeTransaction(transactionId);
-      this.updateDashboardData();
+      await FinanceService.removeTransaction(transactionId);
+      await this.updateDashboardData();
       this.showSuccessMessage('Lançamento excluído com sucesso!');
     }
   },
@@ -567,10 +1571,10 @@ const Router = {
   /**
    * Atualiza estado do botão de fechar semana
    */
-  updateCloseWeekButton() {
+  async updateCloseWeekButton() {
     const closeWeekBtn = document.getElementById('closeWeekBtn');
     if (closeWeekBtn) {
-      if (FinanceService.isCurrentWeekClosed()) {
+      if (await FinanceService.isCurrentWeekClosed()) {
         closeWeekBtn.disabled = true;
         closeWeekBtn.textContent = 'Semana Fechada';
         closeWeekBtn.classList.add('btn-secondary');
@@ -582,15 +1586,10 @@ const Router = {
   },
 
   /**
-   * Atualiza histórico de semanas
+   * Obtém o template de item do histórico de semanas
+   * @returns {HTMLTemplateElement|null} Template ou null se não encontrado
    */
-  updateWeeksHistory() {
-    const historySection = document.getElementById('weeksHistorySection');
-    if (!historySection) {
-      console.warn('weeksHistorySection não encontrado');
-      return;
-    }
-
+  getWeekHistoryItemTemplate() {
     // Procura o template no documento inteiro
     let template = document.getElementById('weekHistoryItemTemplate');
     
@@ -609,74 +1608,395 @@ const Router = {
 
     if (!template) {
       console.error('Template weekHistoryItemTemplate não encontrado. Verifique se o template está no dashboard.html');
-      historySection.innerHTML = '<p class="empty-message">Erro ao carregar histórico. Template não encontrado.</p>';
-      return;
     }
+    return template;
+  },
 
-    const weeks = FinanceService.getWeeksHistory(10);
-    
-    if (weeks.length === 0) {
-      historySection.innerHTML = '<p class="empty-message">Nenhum histórico disponível.</p>';
-      return;
+  /**
+   * Inicializa a navegação do histórico de semanas: ir para um mês ou ano,
+   * voltar às semanas mais recentes e carregar mais semanas (botão ou rolagem)
+   */
+  async initializeWeeksHistoryControls() {
+    const jumpForm = document.getElementById('historyJumpForm');
+    const yearSelect = document.getElementById('historyJumpYear');
+    const monthSelect = document.getElementById('historyJumpMonth');
+    const latestBtn = document.getElementById('historyLatestBtn');
+    const jumpInfo = document.getElementById('historyJumpInfo');
+    const moreContainer = document.getElementById('weeksHistoryMore');
+    const loadMoreBtn = document.getElementById('loadMoreWeeksBtn');
+    if (!jumpForm || !loadMoreBtn) return;
+
+    const { weeks } = await FinanceService.getWeeksHistoryIndex();
+    const years = [...new Set(weeks.map(w => w.weekStart.getFullYear()))];
+    if (years.length === 0) {
+      years.push(new Date().getFullYear());
     }
+    yearSelect.innerHTML = years.map(year => `<option value="${year}">${year}</option>`).join('');
+
+    const showHistory = async (offset, message = '') => {
+      this.weeksHistoryState.offset = offset;
+      this.weeksHistoryState.count = WEEKS_HISTORY_PAGE_SIZE;
+      latestBtn.style.display = offset > 0 ? '' : 'none';
+      jumpInfo.textContent = message;
+      jumpInfo.style.display = message ? 'block' : 'none';
+      try {
+        await this.updateWeeksHistory();
+      } catch (error) {
+        this.showPageStatus('error', error.message);
+      }
+    };
 
-    // Limpa o conteúdo anterior
-    historySection.innerHTML = '';
-
-    // Cria um item para cada semana usando o template
-    weeks.forEach(week => {
-      const item = template.content.cloneNode(true);
-      const weekItem = item.querySelector('.week-history-item');
-      const period = item.querySelector('.week-history-period');
-      const closedBadge = item.querySelector('.closed-badge');
-      const details = item.querySelector('.week-history-details');
-      const total = item.querySelector('.week-history-total');
-      const content = item.querySelector('.week-history-content');
-      const transactionsContainer = item.querySelector('.week-history-transactions');
-
-      if (!weekItem || !period || !details || !total || !content || !transactionsContainer) {
-        console.error('Elementos do template não encontrados');
+    jumpForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const year = parseInt(yearSelect.value, 10);
+      const month = monthSelect.value === '' ? null : parseInt(monthSelect.value, 10);
+      const offset = await FinanceService.findWeeksHistoryOffset(year, month);
+      const label = month === null ? String(year) : `${monthSelect.options[monthSelect.selectedIndex].text} de ${year}`;
+      if (offset === -1) {
+        jumpInfo.textContent = `Nenhuma semana encontrada até ${label}.`;
+        jumpInfo.style.display = 'block';
         return;
       }
+      await showHistory(offset, `Exibindo semanas a partir de ${label}.`);
+    });
 
-      // Preenche os dados
-      weekItem.setAttribute('data-week-id', week.weekId);
-      if (week.isClosed) {
-        weekItem.classList.add('week-closed');
-        if (closedBadge) {
-          closedBadge.style.display = 'inline-block';
-        }
+    latestBtn.addEventListener('click', () => showHistory(0));
+
+    loadMoreBtn.addEventListener('click', async () => {
+      try {
+        await this.loadMoreWeeks();
+      } catch (error) {
+        this.showPageStatus('error', error.message);
       }
-      period.textContent = week.period;
-      details.textContent = `${week.transactionCount} lançamento(s)`;
-      total.textContent = FinanceService.formatCurrency(week.total);
+    });
 
-      // Adiciona evento de clique para expandir/colapsar
-      content.addEventListener('click', () => {
-        const isExpanded = transactionsContainer.style.display !== 'none';
-        
-        if (isExpanded) {
-          // Colapsa
-          transactionsContainer.style.display = 'none';
-          weekItem.classList.remove('expanded');
-        } else {
-          // Expande
-          this.renderWeekTransactions(week.weekId, transactionsContainer);
-          transactionsContainer.style.display = 'block';
-          weekItem.classList.add('expanded');
+    // Rolagem infinita: carrega mais quando o botão aparece na tela
+    if (typeof IntersectionObserver !== 'undefined') {
+      this.weeksHistoryObserver = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting) && moreContainer.style.display !== 'none') {
+          this.loadMoreWeeks().catch(error => console.error('Erro ao carregar mais semanas:', error));
+        }
+      });
+      this.weeksHistoryObserver.observe(moreContainer);
+    }
+  },
+
+  /**
+   * Atualiza histórico de semanas
+   * Recarrega o trecho já exibido (mesma posição e quantidade de semanas)
+   * e o grupo de semanas sem data de início
+   */
+  async updateWeeksHistory() {
+    const historySection = document.getElementById('weeksHistorySection');
+    if (!historySection) {
+      console.warn('weeksHistorySection não encontrado');
+      return;
+    }
+
+    const template = this.getWeekHistoryItemTemplate();
+    if (!template) {
+      historySection.innerHTML = '<p class="empty-message">Erro ao carregar histórico. Template não encontrado.</p>';
+      return;
+    }
+
+    if (!this.weeksHistoryState) {
+      this.weeksHistoryState = { offset: 0, count: WEEKS_HISTORY_PAGE_SIZE, loading: false };
+    }
+    const { offset, count } = this.weeksHistoryState;
+    const page = await FinanceService.getWeeksHistoryPage(offset, count);
+    const options = await this.getWeekHistoryItemOptions();
+
+    if (page.weeks.length === 0) {
+      historySection.innerHTML = '<p class="empty-message">Nenhum histórico disponível.</p>';
+    } else {
+      // Limpa o conteúdo anterior
+      historySection.innerHTML = '';
+      page.weeks.forEach(week => this.appendWeekHistoryItem(historySection, template, week, options));
+    }
+    this.updateWeeksHistoryFooter(offset + page.weeks.length, page.totalWeeks, page.hasMore);
+
+    const orphanedCard = document.getElementById('orphanedWeeksCard');
+    const orphanedSection = document.getElementById('orphanedWeeksSection');
+    if (orphanedCard && orphanedSection) {
+      const orphanedWeeks = await FinanceService.getOrphanedWeeks();
+      orphanedCard.style.display = orphanedWeeks.length > 0 ? '' : 'none';
+      orphanedSection.innerHTML = '';
+      orphanedWeeks.forEach(week => this.appendWeekHistoryItem(orphanedSection, template, week, options));
+    }
+  },
+
+  /**
+   * Acrescenta a próxima página de semanas ao fim do histórico
+   */
+  async loadMoreWeeks() {
+    const state = this.weeksHistoryState;
+    const historySection = document.getElementById('weeksHistorySection');
+    const template = this.getWeekHistoryItemTemplate();
+    if (!state || state.loading || !historySection || !template) return;
+
+    state.loading = true;
+    try {
+      const page = await FinanceService.getWeeksHistoryPage(state.offset + state.count, WEEKS_HISTORY_PAGE_SIZE);
+      const options = await this.getWeekHistoryItemOptions();
+      page.weeks.forEach(week => this.appendWeekHistoryItem(historySection, template, week, options));
+      state.count += page.weeks.length;
+      this.updateWeeksHistoryFooter(state.offset + state.count, page.totalWeeks, page.hasMore);
+    } finally {
+      state.loading = false;
+    }
+  },
+
+  /**
+   * Atualiza o botão "Carregar mais" e a contagem de semanas exibidas
+   * @param {number} shownUntil - Posição da última semana exibida no histórico completo
+   * @param {number} totalWeeks - Total de semanas com data de início
+   * @param {boolean} hasMore - Se há semanas mais antigas a carregar
+   */
+  updateWeeksHistoryFooter(shownUntil, totalWeeks, hasMore) {
+    const moreContainer = document.getElementById('weeksHistoryMore');
+    const info = document.getElementById('weeksHistoryInfo');
+    if (!moreContainer) return;
+
+    moreContainer.style.display = hasMore ? '' : 'none';
+    if (info) {
+      info.textContent = `${shownUntil} de ${totalWeeks} semanas`;
+    }
+  },
+
+  /**
+   * Obtém os dados comuns a todos os itens do histórico de semanas
+   * @returns {Promise<object>} {hasMembers, reopenableWeekId, auditLog}
+   */
+  async getWeekHistoryItemOptions() {
+    const closedWeeks = await FinanceService.getClosedWeeks();
+    const lastClosedWeekId = closedWeeks[closedWeeks.length - 1];
+    return {
+      hasMembers: (await MemberService.getAllMembers()).length > 0,
+      reopenableWeekId: lastClosedWeekId && !await FinanceService.getReopenBlocker(lastClosedWeekId) ? lastClosedWeekId : null,
+      auditLog: await FinanceService.getWeekAuditLog()
+    };
+  },
+
+  /**
+   * Cria o item de uma semana a partir do template e o acrescenta a um container
+   * @param {HTMLElement} container - Lista de semanas
+   * @param {HTMLTemplateElement} template - Template weekHistoryItemTemplate
+   * @param {object} week - Semana retornada por FinanceService.getWeeksHistoryPage ou getOrphanedWeeks
+   * @param {object} options - Dados de getWeekHistoryItemOptions
+   */
+  appendWeekHistoryItem(container, template, week, options) {
+    const item = template.content.cloneNode(true);
+    const weekItem = item.querySelector('.week-history-item');
+    const period = item.querySelector('.week-history-period');
+    const closedBadge = item.querySelector('.closed-badge');
+    const orphanedBadge = item.querySelector('.orphaned-badge');
+    const details = item.querySelector('.week-history-details');
+    const total = item.querySelector('.week-history-total');
+    const content = item.querySelector('.week-history-content');
+    const transactionsContainer = item.querySelector('.week-history-transactions');
+
+    if (!weekItem || !period || !details || !total || !content || !transactionsContainer) {
+      console.error('Elementos do template não encontrados');
+      return;
+    }
+
+    // Preenche os dados
+    weekItem.setAttribute('data-week-id', week.weekId);
+    if (week.isClosed) {
+      weekItem.classList.add('week-closed');
+      if (closedBadge) {
+        closedBadge.style.display = 'inline-block';
+        if (week.closedAt) {
+          closedBadge.title = `Fechada ${week.isManual ? 'manualmente' : 'automaticamente'} em ${DatesService.formatDate(week.closedAt)}`;
         }
+      }
+    }
+    if (week.isExceeded) {
+      weekItem.classList.add('week-limit-exceeded');
+    }
+    if (week.isOrphaned && orphanedBadge) {
+      orphanedBadge.style.display = 'inline-block';
+      orphanedBadge.title = `ID da semana: ${week.weekId}`;
+    }
+    period.textContent = week.period;
+    details.textContent = `${week.transactionCount} lançamento(s) · Receitas ${FinanceService.formatCurrency(week.income)} · Saldo ${FinanceService.formatCurrency(week.balance)}` +
+      (week.weeklyLimit !== null && week.weeklyLimit !== undefined
+        ? ` · Limite ${FinanceService.formatCurrency(week.weeklyLimit)}${week.isExceeded ? ' (ultrapassado)' : ''}`
+        : '');
+    total.textContent = FinanceService.formatCurrency(week.total);
+
+    const categories = item.querySelector('.week-history-categories');
+    if (categories) {
+      this.renderCategoryTotals(week.categoryTotals, categories);
+    }
+
+    // Sem membros cadastrados todos os lançamentos seriam "Sem membro"
+    const members = item.querySelector('.week-history-members');
+    if (members && options.hasMembers) {
+      this.renderMemberTotals(week.memberTotals, members);
+    }
+
+    // Reaberturas anteriores da semana (quem reabriu e por quê)
+    const audit = item.querySelector('.week-history-audit');
+    const reopenings = options.auditLog.filter(entry => entry.weekId === week.weekId && entry.action === 'reopen');
+    if (audit && reopenings.length > 0) {
+      audit.innerHTML = reopenings
+        .map(entry => `<span>↩ Reaberta em ${DatesService.formatDate(new Date(entry.at))}${entry.by ? ` por ${this.escapeHtml(entry.by)}` : ''}: ${this.escapeHtml(entry.reason || '')}</span>`)
+        .join('');
+      audit.style.display = '';
+    }
+
+    const reopenBtn = item.querySelector('.week-reopen-btn');
+    if (reopenBtn && week.weekId === options.reopenableWeekId) {
+      reopenBtn.style.display = '';
+      reopenBtn.addEventListener('click', (e) => {
+        // Não expande a semana
+        e.stopPropagation();
+        this.showReopenWeekDialog(week);
       });
+    }
+
+    // Adiciona evento de clique para expandir/colapsar
+    content.addEventListener('click', async () => {
+      const isExpanded = transactionsContainer.style.display !== 'none';
+      
+      if (isExpanded) {
+        // Colapsa
+        transactionsContainer.style.display = 'none';
+        weekItem.classList.remove('expanded');
+      } else {
+        // Expande
+        try {
+          await this.renderWeekTransactions(week.weekId, transactionsContainer);
+        } catch (error) {
+          transactionsContainer.innerHTML = `<p class="empty-message" style="padding: 1rem; text-align: center; color: var(--text-secondary);">${this.escapeHtml(error.message)}</p>`;
+        }
+        transactionsContainer.style.display = 'block';
+        weekItem.classList.add('expanded');
+      }
+    });
+
+    container.appendChild(item);
+  },
+
+  /**
+   * Exibe diálogo para reabrir a última semana fechada
+   * @param {object} week - Semana do histórico
+   */
+  showReopenWeekDialog(week) {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <h2 class="modal-title">Reabrir Semana</h2>
+        <p class="modal-description">A semana <strong>${this.escapeHtml(week.period)}</strong> voltará a ser a semana atual. Os lançamentos feitos desde o fechamento serão devolvidos a ela e a data do próximo fechamento volta a ser a de antes.</p>
+        <form id="reopenWeekForm" class="transaction-form">
+          <div class="form-group">
+            <label for="reopenWeekReason">Motivo *</label>
+            <input type="text" id="reopenWeekReason" maxlength="200" placeholder="Ex: semana fechada por engano" required />
+          </div>
+          <div id="reopenWeekError" class="error-message" style="display: none;"></div>
+          <div class="modal-actions">
+            <button type="button" id="cancelReopenWeekBtn" class="btn btn-secondary">Cancelar</button>
+            <button type="submit" class="btn btn-primary">Reabrir Semana</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const form = document.getElementById('reopenWeekForm');
+    const errorDiv = document.getElementById('reopenWeekError');
+
+    document.getElementById('cancelReopenWeekBtn').addEventListener('click', () => {
+      document.body.removeChild(modal);
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const submitBtn = form.querySelector('button[type="submit"]');
+      errorDiv.style.display = 'none';
+      this.setButtonBusy(submitBtn, true, 'Reabrindo...');
+      try {
+        const entry = await FinanceService.reopenWeek(week.weekId, document.getElementById('reopenWeekReason').value);
+        document.body.removeChild(modal);
+        await this.updateStatsData();
+        this.showSuccessMessage(`Semana reaberta! ${entry.details.movedTransactions} lançamento(s) devolvido(s) à semana.`);
+      } catch (error) {
+        errorDiv.textContent = error.message;
+        errorDiv.style.display = 'block';
+        this.setButtonBusy(submitBtn, false);
+      }
+    });
 
-      historySection.appendChild(item);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        document.body.removeChild(modal);
+      }
     });
   },
 
+  /**
+   * Renderiza uma lista de totais por categoria
+   * @param {Array} categoryTotals - Totais retornados por FinanceService.calculateCategoryTotals
+   * @param {HTMLElement} container - Container onde renderizar
+   */
+  renderCategoryTotals(categoryTotals, container) {
+    if (categoryTotals.length === 0) {
+      container.innerHTML = '<p class="empty-message">Nenhum gasto registrado.</p>';
+      return;
+    }
+
+    const grandTotal = categoryTotals.reduce((sum, c) => sum + c.total, 0);
+
+    container.innerHTML = categoryTotals
+      .map(c => {
+        const percent = grandTotal > 0 ? (c.total / grandTotal) * 100 : 0;
+        return `
+          <div class="category-total-item">
+            <span class="category-total-name">
+              <span class="category-color-dot" style="background-color: ${this.escapeHtml(c.color)};"></span>
+              ${this.escapeHtml(c.icon)} ${this.escapeHtml(c.name)}
+            </span>
+            <span class="category-total-value">${FinanceService.formatCurrency(c.total)} <small>(${percent.toFixed(1)}%)</small></span>
+          </div>
+        `;
+      })
+      .join('');
+  },
+
+  /**
+   * Renderiza uma lista de totais por membro
+   * Membros com limite individual mostram o total em relação ao limite
+   * @param {Array} memberTotals - Totais retornados por FinanceService.calculateMemberTotals
+   * @param {HTMLElement} container - Container onde renderizar
+   */
+  renderMemberTotals(memberTotals, container) {
+    if (memberTotals.length === 0) {
+      container.innerHTML = '<p class="empty-message">Nenhum lançamento registrado.</p>';
+      return;
+    }
+
+    container.innerHTML = memberTotals
+      .map(m => `
+        <div class="category-total-item ${m.isExceeded ? 'limit-exceeded' : ''}">
+          <span class="category-total-name">
+            <span class="category-color-dot" style="background-color: ${this.escapeHtml(m.color)};"></span>
+            👤 ${this.escapeHtml(m.name)}
+          </span>
+          <span class="category-total-value">${FinanceService.formatCurrency(m.total)}${m.allowance !== null ? ` <small>de ${FinanceService.formatCurrency(m.allowance)}</small>` : ''}</span>
+        </div>
+      `)
+      .join('');
+  },
+
   /**
    * Renderiza as transações de uma semana específica
    * @param {string} weekId - ID da semana
    * @param {HTMLElement} container - Container onde renderizar as transações
    */
-  renderWeekTransactions(weekId, container) {
+  async renderWeekTransactions(weekId, container) {
     // Procura o template no documento inteiro
     let template = document.getElementById('weekTransactionItemTemplate');
     
@@ -699,7 +2019,7 @@ const Router = {
       return;
     }
 
-    const transactions = FinanceService.getTransactionsByWeek(weekId);
+    const transactions = await FinanceService.getTransactionsByWeek(weekId);
     
     if (transactions.length === 0) {
       container.innerHTML = '<p class="empty-message" style="padding: 1rem; text-align: center; color: var(--text-secondary);">Nenhum lançamento nesta semana.</p>';
@@ -727,7 +2047,10 @@ const Router = {
       // Preenche os dados
       description.textContent = transaction.description;
       date.textContent = DatesService.formatDate(new Date(transaction.date));
-      amount.textContent = FinanceService.formatCurrency(transaction.amount);
+      amount.textContent = (FinanceService.isIncome(transaction) ? '+' : '') + FinanceService.formatCurrency(transaction.amount);
+      if (FinanceService.isIncome(transaction)) {
+        amount.classList.add('income');
+      }
 
       container.appendChild(item);
     });
@@ -753,6 +2076,25 @@ const Router = {
    * @param {number} duration - Duração em milissegundos (padrão: 3000)
    */
   showSuccessMessage(message, duration = 3000) {
+    this.showToast(message, duration, false);
+  },
+
+  /**
+   * Exibe uma mensagem de erro como toast (para falhas em tarefas em segundo plano)
+   * @param {string} message - Mensagem a exibir
+   * @param {number} duration - Duração em milissegundos (padrão: 8000)
+   */
+  showErrorMessage(message, duration = 8000) {
+    this.showToast(message, duration, true);
+  },
+
+  /**
+   * Exibe um toast
+   * @param {string} message - Mensagem a exibir
+   * @param {number} duration - Duração em milissegundos
+   * @param {boolean} isError - Se é uma mensagem de erro
+   */
+  showToast(message, duration, isError) {
     // Cria ou obtém o container de toasts
     let toastContainer = document.querySelector('.toast-container');
     if (!toastContainer) {
@@ -763,10 +2105,10 @@ const Router = {
 
     // Cria o toast
     const toast = document.createElement('div');
-    toast.className = 'toast';
+    toast.className = isError ? 'toast toast-error' : 'toast';
     
     toast.innerHTML = `
-      <span class="toast-icon">✓</span>
+      <span class="toast-icon">${isError ? '!' : '✓'}</span>
       <span class="toast-message">${this.escapeHtml(message)}</span>
       <button class="toast-close" aria-label="Fechar">×</button>
     `;
@@ -799,13 +2141,14 @@ const Router = {
 
   /**
    * Escapa HTML para prevenir XSS
+   * As aspas também são escapadas para que o resultado possa ser usado em atributos
    * @param {string} text - Texto a escapar
    * @returns {string} Texto escapado
    */
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   },
 
   /**
@@ -847,43 +2190,60 @@ const Router = {
   /**
    * Inicializa funcionalidades da página de estatísticas
    */
-  initializeStatsFeatures() {
-    FinanceService.checkAndAutoCloseWeek();
-    this.updateStatsData();
+  async initializeStatsFeatures() {
+    this.weeksHistoryState = { offset: 0, count: WEEKS_HISTORY_PAGE_SIZE, loading: false };
+    await this.runPeriodicChecks();
+    await this.updateStatsData();
+    this.initializeExportForm();
+    this.initializeChartControls();
+    await this.initializeWeeksHistoryControls();
     
-    setInterval(() => {
-      if (FinanceService.checkAndAutoCloseWeek()) {
-        this.updateStatsData();
+    this.startPeriodicChecks(async (result) => {
+      if (result.weekClosed || result.recurringCreated > 0) {
+        await this.updateStatsData();
+      } else {
+        // A sincronização pode ter trazido lançamentos de outros aparelhos
+        await this.updateCharts();
       }
-    }, 60000);
+    });
   },
 
   /**
    * Atualiza dados exibidos na página de estatísticas
    */
-  updateStatsData() {
-    this.updateStatsSummary();
+  async updateStatsData() {
+    await StorageService.withCache(async () => {
+      await this.updateStatsSummary();
+      await this.updateCategoryLimitsProgress();
+      await this.updateCategoryBreakdown();
+      await this.updateMemberBreakdown();
+      await this.updateCharts();
+    });
     // Usa setTimeout para garantir que o DOM esteja completamente renderizado
-    setTimeout(() => {
-      this.updateWeeksHistory();
+    setTimeout(async () => {
+      try {
+        await this.updateWeeksHistory();
+      } catch (error) {
+        this.showPageStatus('error', error.message);
+      }
     }, 0);
   },
 
   /**
    * Atualiza resumo na página de estatísticas
    */
-  updateStatsSummary() {
+  async updateStatsSummary() {
     const currentWeekPeriod = document.getElementById('currentWeekPeriod');
     const currentWeekTotal = document.getElementById('currentWeekTotal');
     const currentMonthTotal = document.getElementById('currentMonthTotal');
     const weeklyLimitDisplay = document.getElementById('weeklyLimitDisplay');
     const limitUsage = document.getElementById('limitUsage');
 
-    const weekPeriod = FinanceService.getCurrentWeekPeriod();
-    const weekTotal = FinanceService.getCurrentWeekTotal();
-    const monthTotal = FinanceService.getCurrentMonthTotal();
-    const limit = FinanceService.getWeeklyLimit();
-    const limitUsagePercent = FinanceService.getWeeklyLimitUsage();
+    const weekPeriod = await FinanceService.getCurrentWeekPeriod();
+    const weekTotal = await FinanceService.getCurrentWeekTotal();
+    const monthTotal = await FinanceService.getCurrentMonthTotal();
+    const limit = await FinanceService.getWeeklyLimit();
+    const limitUsagePercent = await FinanceService.getWeeklyLimitUsage();
 
     if (currentWeekPeriod) {
       currentWeekPeriod.textContent = weekPeriod;
@@ -892,7 +2252,7 @@ const Router = {
     if (currentWeekTotal) {
       currentWeekTotal.textContent = FinanceService.formatCurrency(weekTotal);
       
-      const isExceeded = FinanceService.isWeeklyLimitExceeded();
+      const isExceeded = await FinanceService.isWeeklyLimitExceeded();
       if (isExceeded) {
         currentWeekTotal.classList.add('limit-exceeded');
       } else {
@@ -904,6 +2264,9 @@ const Router = {
       currentMonthTotal.textContent = FinanceService.formatCurrency(monthTotal);
     }
 
+    this.renderBalanceBreakdown('currentWeekBreakdown', await FinanceService.getCurrentWeekSummary());
+    this.renderBalanceBreakdown('currentMonthBreakdown', await FinanceService.getCurrentMonthSummary());
+
     if (weeklyLimitDisplay) {
       if (limit !== null) {
         weeklyLimitDisplay.textContent = FinanceService.formatCurrency(limit);
@@ -924,128 +2287,839 @@ const Router = {
   },
 
   /**
-   * Inicializa eventos da página de administração
+   * Inicializa os seletores dos gráficos (quantidade de semanas e agrupamento)
    */
-  initializeAdminPage() {
-    this.initializeTheme();
-    this.initializeAdminFeatures();
+  initializeChartControls() {
+    ['weeklyChartCount', 'breakdownChartMode'].forEach(id => {
+      const select = document.getElementById(id);
+      if (!select) return;
+      select.addEventListener('change', async () => {
+        try {
+          await this.updateCharts();
+        } catch (error) {
+          this.showPageStatus('error', error.message);
+        }
+      });
+    });
   },
 
   /**
-   * Inicializa funcionalidades da página de administração
+   * Redesenha os gráficos do dashboard com os dados atuais
    */
-  initializeAdminFeatures() {
-    this.loadAutoCloseConfig();
-    this.loadWeeklyLimit();
-    this.updateCurrentConfig();
-    this.initializeAutoCloseForm();
-    this.initializeWeeklyLimitForm();
+  async updateCharts() {
+    await this.renderWeeklyChart();
+    await this.renderDailyChart();
+    await this.renderBreakdownChart();
   },
 
   /**
-   * Carrega configuração de fechamento automático nos campos
+   * Desenha o gráfico de gastos das últimas semanas com o limite semanal como linha de referência
    */
-  loadAutoCloseConfig() {
-    const config = FinanceService.getAutoCloseConfig();
-    const enabledCheckbox = document.getElementById('autoCloseEnabled');
-    const daySelect = document.getElementById('autoCloseDay');
-    const hourInput = document.getElementById('autoCloseHour');
+  async renderWeeklyChart() {
+    const container = document.getElementById('weeklyChart');
+    if (!container) return;
 
-    if (enabledCheckbox) {
-      enabledCheckbox.checked = config.enabled;
+    const countSelect = document.getElementById('weeklyChartCount');
+    const count = countSelect ? parseInt(countSelect.value, 10) : 8;
+    const weeks = await FinanceService.getWeeklyExpensesSeries(count);
+    if (weeks.length === 0) {
+      container.innerHTML = '<p class="empty-message">Nenhuma semana com lançamentos.</p>';
+      return;
     }
 
-    if (daySelect) {
-      daySelect.value = config.dayOfWeek.toString();
-    }
+    container.innerHTML = ChartService.renderBarChart(
+      weeks.map(week => ({
+        label: DatesService.formatDate(week.weekStart).slice(0, 5),
+        value: week.expenses,
+        title: `${week.period}${week.isClosed ? ' (fechada)' : ''}: ${FinanceService.formatCurrency(week.expenses)}`
+      })),
+      {
+        reference: await FinanceService.getWeeklyLimit(),
+        referenceLabel: 'Limite',
+        formatValue: value => FinanceService.formatCurrency(value)
+      }
+    );
+  },
 
-    if (hourInput) {
-      hourInput.value = config.hour.toString();
-    }
+  /**
+   * Desenha o gráfico de gastos por dia da semana atual
+   */
+  async renderDailyChart() {
+    const container = document.getElementById('dailyChart');
+    if (!container) return;
+
+    const weekDays = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+    const days = await FinanceService.getCurrentWeekDailyTotals();
+
+    container.innerHTML = ChartService.renderBarChart(
+      days.map(day => ({
+        label: day.date ? `${weekDays[day.date.getDay()]} ${day.date.getDate()}` : 'Antes',
+        value: day.total,
+        title: `${day.date ? DatesService.formatDate(day.date) : 'Datas de semanas fechadas'}: ${FinanceService.formatCurrency(day.total)}`
+      })),
+      { formatValue: value => FinanceService.formatCurrency(value) }
+    );
   },
 
   /**
-   * Carrega limite semanal no campo
+   * Desenha a distribuição dos gastos da semana atual por categoria ou por descrição
    */
-  loadWeeklyLimit() {
-    const limit = FinanceService.getWeeklyLimit();
-    const limitInput = document.getElementById('weeklyLimit');
+  async renderBreakdownChart() {
+    const container = document.getElementById('breakdownChart');
+    if (!container) return;
 
-    if (limitInput) {
-      limitInput.value = limit !== null ? limit.toString() : '';
+    const modeSelect = document.getElementById('breakdownChartMode');
+    const byDescription = modeSelect && modeSelect.value === 'description';
+
+    const items = byDescription
+      ? FinanceService.calculateDescriptionTotals(await FinanceService.getCurrentWeekTransactions())
+        .map(d => ({ label: d.description, value: d.total }))
+      : (await FinanceService.getCurrentWeekCategoryTotals())
+        .map(c => ({ label: `${c.icon} ${c.name}`, value: c.total, color: c.color }));
+
+    if (items.length === 0) {
+      container.innerHTML = '<p class="empty-message">Nenhum gasto registrado nesta semana.</p>';
+      return;
     }
+
+    container.innerHTML = ChartService.renderHorizontalBarChart(items, {
+      formatValue: value => FinanceService.formatCurrency(value)
+    });
   },
 
   /**
-   * Atualiza informações de configurações atuais
+   * Atualiza o resumo de gastos por categoria da semana atual
    */
-  updateCurrentConfig() {
-    const config = FinanceService.getAutoCloseConfig();
-    const limit = FinanceService.getWeeklyLimit();
+  async updateCategoryBreakdown() {
+    const categoryBreakdown = document.getElementById('categoryBreakdown');
+    if (!categoryBreakdown) return;
 
-    const statusEl = document.getElementById('currentAutoCloseStatus');
-    const dayEl = document.getElementById('currentAutoCloseDay');
-    const hourEl = document.getElementById('currentAutoCloseHour');
-    const limitEl = document.getElementById('currentWeeklyLimit');
+    this.renderCategoryTotals(await FinanceService.getCurrentWeekCategoryTotals(), categoryBreakdown);
+  },
 
-    const days = ['Domingo', 'Segunda-feira', 'Terça-feira', 'Quarta-feira', 'Quinta-feira', 'Sexta-feira', 'Sábado'];
+  /**
+   * Atualiza os gastos por membro da semana atual, com o progresso dos limites individuais
+   * A seção fica oculta enquanto não houver membros cadastrados
+   */
+  async updateMemberBreakdown() {
+    const section = document.getElementById('memberBreakdownSection');
+    const container = document.getElementById('memberBreakdown');
+    if (!section || !container) return;
 
-    if (statusEl) {
-      statusEl.textContent = config.enabled ? 'Habilitado' : 'Desabilitado';
+    if ((await MemberService.getAllMembers()).length === 0) {
+      section.style.display = 'none';
+      return;
     }
 
-    if (dayEl) {
-      dayEl.textContent = days[config.dayOfWeek] || '-';
+    section.style.display = 'block';
+    const totals = await FinanceService.getCurrentWeekMemberTotals();
+    if (totals.length === 0) {
+      container.innerHTML = '<p class="empty-message">Nenhum gasto registrado.</p>';
+      return;
     }
 
-    if (hourEl) {
-      hourEl.textContent = config.enabled ? `${config.hour}h` : '-';
-    }
+    container.innerHTML = totals
+      .map(member => `
+        <div class="category-limit-item ${member.isExceeded ? 'limit-exceeded' : ''}">
+          <div class="category-limit-header">
+            <span>👤 ${this.escapeHtml(member.name)}</span>
+            <span>${FinanceService.formatCurrency(member.total)}${member.allowance !== null ? ` / ${FinanceService.formatCurrency(member.allowance)}` : ''}</span>
+          </div>
+          ${member.allowance !== null ? `
+            <div class="progress-bar">
+              <div class="progress-bar-fill" style="width: ${member.usage.toFixed(1)}%; background-color: ${member.isExceeded ? 'var(--error-color)' : this.escapeHtml(member.color)};"></div>
+            </div>
+            <small class="summary-subtitle">${member.usage.toFixed(1)}% utilizado${member.isExceeded ? ' — limite ultrapassado' : ''}</small>
+          ` : `<small class="summary-subtitle">${member.transactionCount} lançamento(s) · sem limite individual</small>`}
+        </div>
+      `)
+      .join('');
+  },
 
-    if (limitEl) {
-      limitEl.textContent = limit !== null ? FinanceService.formatCurrency(limit) : 'Não definido';
+  /**
+   * Atualiza as barras de progresso dos limites por categoria
+   */
+  async updateCategoryLimitsProgress() {
+    const section = document.getElementById('categoryLimitsSection');
+    const container = document.getElementById('categoryLimitsProgress');
+    if (!section || !container) return;
+
+    const statuses = await FinanceService.getCategoryLimitsStatus();
+    if (statuses.length === 0) {
+      section.style.display = 'none';
+      return;
     }
+
+    section.style.display = 'block';
+    container.innerHTML = statuses
+      .map(status => `
+        <div class="category-limit-item ${status.isExceeded ? 'limit-exceeded' : ''}">
+          <div class="category-limit-header">
+            <span>${this.escapeHtml(status.icon)} ${this.escapeHtml(status.name)}</span>
+            <span>${FinanceService.formatCurrency(status.total)} / ${FinanceService.formatCurrency(status.limit)}</span>
+          </div>
+          <div class="progress-bar">
+            <div class="progress-bar-fill" style="width: ${status.usage.toFixed(1)}%; background-color: ${status.isExceeded ? 'var(--error-color)' : this.escapeHtml(status.color)};"></div>
+          </div>
+          <small class="summary-subtitle">${status.usage.toFixed(1)}% utilizado${status.isExceeded ? ' — limite ultrapassado' : ''}</small>
+        </div>
+      `)
+      .join('');
   },
 
   /**
-   * Inicializa formulário de fechamento automático
+   * Inicializa os botões de exportação CSV
    */
-  initializeAutoCloseForm() {
-    const form = document.getElementById('autoCloseForm');
-    const errorMessage = document.getElementById('autoCloseError');
-    const successMessage = document.getElementById('autoCloseSuccess');
-
-    if (form) {
-      form.addEventListener('submit', (e) => {
-        e.preventDefault();
+  initializeExportForm() {
+    const transactionsBtn = document.getElementById('exportTransactionsBtn');
+    const weeksBtn = document.getElementById('exportWeeksBtn');
+    const errorMessage = document.getElementById('exportError');
+
+    const getOptions = () => {
+      const options = {
+        format: document.getElementById('exportFormat').value,
+        startDate: document.getElementById('exportStartDate').value || null,
+        endDate: document.getElementById('exportEndDate').value || null
+      };
+      if (options.startDate && options.endDate && options.startDate > options.endDate) {
+        throw new Error('A data inicial deve ser anterior à data final');
+      }
+      return options;
+    };
 
+    const runExport = async (filePrefix, buildCsv) => {
+      if (errorMessage) {
+        errorMessage.style.display = 'none';
+      }
+      try {
+        const csv = await buildCsv(getOptions());
+        const today = DatesService.formatDateForInput();
+        // BOM garante que o Excel reconheça os acentos (UTF-8)
+        this.downloadFile(`${filePrefix}-${today}.csv`, '\uFEFF' + csv, 'text/csv;charset=utf-8');
+        this.showSuccessMessage('Arquivo exportado com sucesso!');
+      } catch (error) {
         if (errorMessage) {
-          errorMessage.style.display = 'none';
-        }
-        if (successMessage) {
-          successMessage.style.display = 'none';
+          errorMessage.textContent = error.message;
+          errorMessage.style.display = 'block';
         }
+      }
+    };
 
-        const enabled = document.getElementById('autoCloseEnabled').checked;
-        const dayOfWeek = parseInt(document.getElementById('autoCloseDay').value);
-        const hour = parseInt(document.getElementById('autoCloseHour').value);
+    if (transactionsBtn) {
+      transactionsBtn.addEventListener('click', () => {
+        runExport('lancamentos', options => ExportService.exportTransactionsCsv(options));
+      });
+    }
 
-        if (isNaN(hour) || hour < 0 || hour > 23) {
-          if (errorMessage) {
-            errorMessage.textContent = 'Hora deve ser um número entre 0 e 23';
-            errorMessage.style.display = 'block';
-          }
-          return;
-        }
+    if (weeksBtn) {
+      weeksBtn.addEventListener('click', () => {
+        runExport('resumos-semanais', options => ExportService.exportWeeklySummariesCsv(options));
+      });
+    }
+  },
 
-        try {
-          FinanceService.setAutoCloseConfig({
-            enabled,
-            dayOfWeek,
-            hour
-          });
+  /**
+   * Inicia o download de um arquivo gerado no navegador
+   * @param {string} filename - Nome do arquivo
+   * @param {string} content - Conteúdo do arquivo
+   * @param {string} mimeType - Tipo MIME do arquivo
+   */
+  downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  },
+
+  /**
+   * Inicializa eventos da página de administração
+   */
+  async initializeAdminPage() {
+    this.initializeTheme();
+    await this.initializeAdminFeatures();
+  },
+
+  /**
+   * Inicializa funcionalidades da página de administração
+   */
+  async initializeAdminFeatures() {
+    await this.loadAutoCloseConfig();
+    await this.loadWeeklyLimit();
+    await this.updateCurrentConfig();
+    this.initializeAutoCloseForm();
+    this.initializeWeeklyLimitForm();
+    this.initializeCategoryForm();
+    await this.updateCategoriesList();
+    this.initializeMemberForm();
+    await this.updateMembersList();
+    await this.populateCategoryLimitSelect();
+    this.initializeCategoryLimitForm();
+    await this.updateCategoryLimitsList();
+    await this.initializeRecurringForm();
+    await this.updateRecurringRulesList();
+    this.initializeBackupForm();
+    this.initializeWeekVerification();
+    await this.initializeSecurityForms();
+    this.initializeEncryptionForms();
+  },
+
+  /**
+   * Inicializa as configurações de sessão e o PIN de desbloqueio do usuário logado
+   */
+  async initializeSecurityForms() {
+    const sessionForm = document.getElementById('sessionSettingsForm');
+    const pinForm = document.getElementById('pinForm');
+    if (!sessionForm || !pinForm) return;
+
+    const sessionError = document.getElementById('sessionSettingsError');
+    const sessionSuccess = document.getElementById('sessionSettingsSuccess');
+    const pinError = document.getElementById('pinError');
+    const pinSuccess = document.getElementById('pinSuccess');
+    const removePinBtn = document.getElementById('removePinBtn');
+
+    const showMessage = (element, message) => {
+      element.textContent = message;
+      element.style.display = 'block';
+      if (element.classList.contains('success-message')) {
+        setTimeout(() => {
+          element.style.display = 'none';
+        }, 3000);
+      }
+    };
+
+    const loadSettings = async () => {
+      const settings = await AuthService.getCurrentSecuritySettings();
+      document.getElementById('sessionLifetime').value = String(settings.sessionLifetimeHours);
+      document.getElementById('idleTimeout').value = String(settings.idleTimeoutMinutes);
+      document.getElementById('pinStatus').textContent = settings.hasPin
+        ? 'PIN definido: o desbloqueio aceita o PIN ou a senha'
+        : 'Nenhum PIN definido: o desbloqueio pede a senha';
+      removePinBtn.style.display = settings.hasPin ? 'inline-block' : 'none';
+    };
+    await loadSettings();
+
+    sessionForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      sessionError.style.display = 'none';
+      sessionSuccess.style.display = 'none';
+
+      const submitBtn = sessionForm.querySelector('button[type="submit"]');
+      this.setButtonBusy(submitBtn, true);
+      try {
+        await AuthService.updateSecuritySettings(
+          document.getElementById('sessionLifetime').value,
+          document.getElementById('idleTimeout').value
+        );
+        showMessage(sessionSuccess, 'Configurações de sessão salvas com sucesso!');
+      } catch (error) {
+        showMessage(sessionError, error.message);
+      }
+      this.setButtonBusy(submitBtn, false);
+    });
+
+    pinForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      pinError.style.display = 'none';
+      pinSuccess.style.display = 'none';
+
+      const submitBtn = pinForm.querySelector('button[type="submit"]');
+      this.setButtonBusy(submitBtn, true);
+      try {
+        await AuthService.setPin(
+          document.getElementById('unlockPin').value,
+          document.getElementById('unlockPinConfirm').value,
+          document.getElementById('pinCurrentPassword').value
+        );
+        pinForm.reset();
+        await loadSettings();
+        showMessage(pinSuccess, 'PIN salvo com sucesso!');
+      } catch (error) {
+        showMessage(pinError, error.message);
+      }
+      this.setButtonBusy(submitBtn, false);
+    });
+
+    removePinBtn.addEventListener('click', async () => {
+      if (!confirm('Remover o PIN? O desbloqueio passará a pedir a senha.')) return;
+
+      pinError.style.display = 'none';
+      try {
+        await AuthService.removePin();
+        await loadSettings();
+        showMessage(pinSuccess, 'PIN removido.');
+      } catch (error) {
+        showMessage(pinError, error.message);
+      }
+    });
+  },
+
+  /**
+   * Inicializa a ativação, a troca de frase secreta e a desativação da criptografia
+   */
+  initializeEncryptionForms() {
+    const enableForm = document.getElementById('encryptionEnableForm');
+    const manageForm = document.getElementById('encryptionManageForm');
+    if (!enableForm || !manageForm) return;
+
+    const enableError = document.getElementById('encryptionEnableError');
+    const manageError = document.getElementById('encryptionManageError');
+    const manageSuccess = document.getElementById('encryptionManageSuccess');
+    const disableBtn = document.getElementById('disableEncryptionBtn');
+
+    const showState = () => {
+      const enabled = CryptoService.isEnabled();
+      document.getElementById('encryptionStatus').textContent = enabled
+        ? '🔒 Criptografia ativada: os dados deste navegador só abrem com a frase secreta'
+        : 'Criptografia desativada';
+      enableForm.style.display = enabled ? 'none' : '';
+      manageForm.style.display = enabled ? '' : 'none';
+      enableForm.reset();
+      manageForm.reset();
+    };
+    showState();
+
+    enableForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      enableError.style.display = 'none';
+
+      const submitBtn = enableForm.querySelector('button[type="submit"]');
+      this.setButtonBusy(submitBtn, true, 'Criptografando...');
+      try {
+        await CryptoService.enable(
+          document.getElementById('encryptionPassphrase').value,
+          document.getElementById('encryptionPassphraseConfirm').value
+        );
+        showState();
+        this.showSuccessMessage('Criptografia ativada! Guarde a frase secreta: ela será pedida a cada login.');
+      } catch (error) {
+        enableError.textContent = error.message;
+        enableError.style.display = 'block';
+      }
+      this.setButtonBusy(submitBtn, false);
+    });
+
+    manageForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      manageError.style.display = 'none';
+      manageSuccess.style.display = 'none';
+
+      const submitBtn = manageForm.querySelector('button[type="submit"]');
+      this.setButtonBusy(submitBtn, true, 'Recriptografando...');
+      try {
+        await CryptoService.changePassphrase(
+          document.getElementById('encryptionCurrentPassphrase').value,
+          document.getElementById('encryptionNewPassphrase').value,
+          document.getElementById('encryptionNewPassphraseConfirm').value
+        );
+        showState();
+        manageSuccess.textContent = 'Frase secreta alterada e dados recriptografados com sucesso!';
+        manageSuccess.style.display = 'block';
+        setTimeout(() => {
+          manageSuccess.style.display = 'none';
+        }, 3000);
+      } catch (error) {
+        manageError.textContent = error.message;
+        manageError.style.display = 'block';
+      }
+      this.setButtonBusy(submitBtn, false);
+    });
+
+    disableBtn.addEventListener('click', async () => {
+      manageError.style.display = 'none';
+      if (!confirm('Desativar a criptografia? Os dados voltarão a ser gravados sem criptografia neste navegador.')) return;
+
+      this.setButtonBusy(disableBtn, true, 'Descriptografando...');
+      try {
+        await CryptoService.disable(document.getElementById('encryptionCurrentPassphrase').value);
+        showState();
+        this.showSuccessMessage('Criptografia desativada.');
+      } catch (error) {
+        manageError.textContent = error.message;
+        manageError.style.display = 'block';
+      }
+      this.setButtonBusy(disableBtn, false);
+    });
+  },
+
+  /**
+   * Inicializa o download e a restauração de backups
+   * A restauração só é liberada depois de o arquivo ser validado e o resumo exibido
+   */
+  initializeBackupForm() {
+    const downloadBtn = document.getElementById('downloadBackupBtn');
+    const form = document.getElementById('restoreForm');
+    const fileInput = document.getElementById('restoreFile');
+    const modeSelect = document.getElementById('restoreMode');
+    const confirmBtn = document.getElementById('confirmRestoreBtn');
+    const errorMessage = document.getElementById('restoreError');
+    const preview = document.getElementById('restorePreview');
+    let backup = null;
+
+    if (downloadBtn) {
+      downloadBtn.addEventListener('click', async () => {
+        try {
+          const today = DatesService.formatDateForInput();
+          this.downloadFile(`backup-financeiro-${today}.json`, await BackupService.exportBackupJson(), 'application/json');
+          this.showSuccessMessage('Backup gerado com sucesso!');
+        } catch (error) {
+          alert(error.message);
+        }
+      });
+    }
+
+    if (!form) return;
+
+    const showPreview = async () => {
+      if (!backup) {
+        preview.style.display = 'none';
+        confirmBtn.disabled = true;
+        return;
+      }
+      try {
+        preview.innerHTML = this.renderRestoreSummary(await BackupService.describeRestore(backup, modeSelect.value));
+        preview.style.display = 'block';
+        confirmBtn.disabled = false;
+      } catch (error) {
+        preview.style.display = 'none';
+        confirmBtn.disabled = true;
+        errorMessage.textContent = error.message;
+        errorMessage.style.display = 'block';
+      }
+    };
+
+    fileInput.addEventListener('change', () => {
+      backup = null;
+      errorMessage.style.display = 'none';
+      const file = fileInput.files[0];
+      if (!file) {
+        showPreview();
+        return;
+      }
+
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          backup = BackupService.parseBackup(reader.result);
+        } catch (error) {
+          errorMessage.textContent = error.message;
+          errorMessage.style.display = 'block';
+        }
+        showPreview();
+      };
+      reader.readAsText(file, 'UTF-8');
+    });
+
+    modeSelect.addEventListener('change', showPreview);
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!backup) return;
+
+      const message = modeSelect.value === RESTORE_MODES.REPLACE
+        ? 'Todos os dados atuais serão substituídos pelo backup. Deseja continuar?'
+        : 'Os lançamentos do backup serão mesclados aos atuais. Deseja continuar?';
+      if (!confirm(message)) return;
+
+      this.setButtonBusy(confirmBtn, true, 'Restaurando...');
+      try {
+        await BackupService.restoreBackup(backup, modeSelect.value);
+        this.showSuccessMessage('Backup restaurado com sucesso!');
+        await this.navigateToAdmin();
+      } catch (error) {
+        errorMessage.textContent = error.message;
+        errorMessage.style.display = 'block';
+        this.setButtonBusy(confirmBtn, false);
+      }
+    });
+  },
+
+  /**
+   * Monta o resumo do que será alterado pela restauração
+   * @param {object} summary - Resumo (BackupService.describeRestore)
+   * @returns {string} HTML do resumo
+   */
+  renderRestoreSummary(summary) {
+    const createdAt = summary.createdAt
+      ? `${DatesService.formatDate(new Date(summary.createdAt))} ${new Date(summary.createdAt).toLocaleTimeString('pt-BR')}`
+      : '-';
+    const row = (label, current, incoming) => `
+      <div class="info-item">
+        <strong>${label}:</strong>
+        <span>${current} atuais → ${incoming} no backup</span>
+      </div>
+    `;
+
+    if (summary.mode === RESTORE_MODES.MERGE) {
+      return `
+        <div class="info-item"><strong>Backup de:</strong> <span>${createdAt}</span></div>
+        <div class="info-item"><strong>Lançamentos novos:</strong> <span>${summary.added}</span></div>
+        <div class="info-item"><strong>Lançamentos atualizados:</strong> <span>${summary.updated}</span></div>
+        <div class="info-item"><strong>Lançamentos atuais mantidos:</strong> <span>${summary.current.transactions - summary.updated}</span></div>
+      `;
+    }
+
+    return `
+      <div class="info-item"><strong>Backup de:</strong> <span>${createdAt}</span></div>
+      ${row('Lançamentos', summary.current.transactions, summary.incoming.transactions)}
+      ${row('Semanas fechadas', summary.current.closedWeeks, summary.incoming.closedWeeks)}
+      ${row('Categorias', summary.current.categories, summary.incoming.categories)}
+      ${row('Membros', summary.current.members, summary.incoming.members)}
+      ${row('Recorrências', summary.current.recurringRules, summary.incoming.recurringRules)}
+      <div class="info-item"><strong>Configurações:</strong> <span>serão substituídas</span></div>
+    `;
+  },
+
+  /**
+   * Inicializa a verificação e correção das semanas
+   */
+  initializeWeekVerification() {
+    const verifyBtn = document.getElementById('verifyWeeksBtn');
+    const repairBtn = document.getElementById('repairWeeksBtn');
+    const errorMessage = document.getElementById('weekVerificationError');
+    const resultBox = document.getElementById('weekVerificationResult');
+    if (!verifyBtn || !repairBtn) return;
+
+    const showReport = (report, repairResult = null) => {
+      resultBox.innerHTML = this.renderWeekVerification(report, repairResult);
+      resultBox.style.display = 'block';
+      repairBtn.disabled = report.isConsistent;
+    };
+
+    verifyBtn.addEventListener('click', async () => {
+      errorMessage.style.display = 'none';
+      this.setButtonBusy(verifyBtn, true, 'Verificando...');
+      try {
+        showReport(await WeekService.verifyWeeks());
+      } catch (error) {
+        errorMessage.textContent = error.message;
+        errorMessage.style.display = 'block';
+      }
+      this.setButtonBusy(verifyBtn, false);
+    });
+
+    repairBtn.addEventListener('click', async () => {
+      if (!confirm('Os lançamentos sem semana serão reatribuídos e as semanas vazias removidas. Deseja continuar?')) return;
+
+      errorMessage.style.display = 'none';
+      this.setButtonBusy(repairBtn, true, 'Corrigindo...');
+      try {
+        const result = await WeekService.repairWeeks();
+        this.setButtonBusy(repairBtn, false);
+        showReport(result.report, result);
+        this.showSuccessMessage('Semanas verificadas e corrigidas!');
+      } catch (error) {
+        errorMessage.textContent = error.message;
+        errorMessage.style.display = 'block';
+        this.setButtonBusy(repairBtn, false);
+      }
+    });
+  },
+
+  /**
+   * Monta o relatório da verificação das semanas
+   * @param {object} report - Resultado de WeekService.verifyWeeks
+   * @param {object|null} repairResult - Resultado de WeekService.repairWeeks (após corrigir)
+   * @returns {string} HTML do relatório
+   */
+  renderWeekVerification(report, repairResult = null) {
+    const period = week => DatesService.getCurrentWeekPeriod(week.start, week.end);
+    const statusLabels = {
+      [WEEK_STATUS.OPEN]: 'aberta',
+      [WEEK_STATUS.CURRENT]: 'atual',
+      [WEEK_STATUS.CLOSED]: 'fechada'
+    };
+    const section = (title, items) => `
+      <div class="info-item"><strong>${title}:</strong> <span>${items.length}</span></div>
+      ${items.length > 0 ? `<ul class="week-issues">${items.map(item => `<li class="week-issue">${item}</li>`).join('')}</ul>` : ''}
+    `;
+
+    const parts = [];
+    if (repairResult) {
+      parts.push(`
+        <div class="info-item"><strong>Correção:</strong> <span>${repairResult.reassignedTransactions} lançamento(s) reatribuído(s), ${repairResult.restoredWeeks} semana(s) fechada(s) restaurada(s), ${repairResult.mergedWeeks} semana(s) juntada(s), ${repairResult.removedWeeks} semana(s) vazia(s) removida(s)</span></div>
+      `);
+    }
+    parts.push(`<div class="info-item"><strong>Semanas no mapeamento:</strong> <span>${report.totalWeeks}</span></div>`);
+    parts.push(section('Lançamentos sem semana', report.unassignedTransactions.map(t =>
+      `${DatesService.formatDate(new Date(t.date))} · ${this.escapeHtml(t.description)} · ${FinanceService.formatCurrency(t.amount)}`
+    )));
+    parts.push(section('Semanas sobrepostas', report.overlappingWeeks.map(({ first, second }) =>
+      `${period(first)} (${statusLabels[first.status]}) × ${period(second)} (${statusLabels[second.status]})`
+    )));
+    parts.push(section('Semanas sem lançamentos', report.emptyWeeks.map(week => period(week))));
+    if (report.isConsistent) {
+      parts.push('<p class="form-hint">✅ Nenhuma inconsistência encontrada.</p>');
+    }
+    return parts.join('');
+  },
+
+  /**
+   * Carrega configuração de fechamento automático nos campos
+   */
+  async loadAutoCloseConfig() {
+    const config = await FinanceService.getAutoCloseConfig();
+    const enabledCheckbox = document.getElementById('autoCloseEnabled');
+    const daySelect = document.getElementById('autoCloseDay');
+    const hourInput = document.getElementById('autoCloseHour');
+
+    if (enabledCheckbox) {
+      enabledCheckbox.checked = config.enabled;
+    }
+
+    if (daySelect) {
+      daySelect.value = config.dayOfWeek.toString();
+    }
+
+    if (hourInput) {
+      hourInput.value = config.hour.toString();
+    }
+
+    const lengthSelect = document.getElementById('cycleLength');
+    const customLengthInput = document.getElementById('cycleCustomLength');
+    const anchorInput = document.getElementById('cycleAnchor');
+    if (lengthSelect && customLengthInput && anchorInput) {
+      const isPreset = config.cycleLength === 7 || config.cycleLength === 14;
+      lengthSelect.value = isPreset ? config.cycleLength.toString() : 'custom';
+      customLengthInput.value = isPreset ? '' : config.cycleLength.toString();
+      anchorInput.value = config.cycleAnchor ||
+        DatesService.formatDateForInput(await FinanceService.getCurrentWeekStartDate());
+      this.updateCycleFields();
+    }
+  },
+
+  /**
+   * Mostra os campos do ciclo conforme a duração escolhida
+   * Em ciclos diferentes de 7 dias, o dia do fechamento vem da data de início de um ciclo
+   */
+  updateCycleFields() {
+    const lengthSelect = document.getElementById('cycleLength');
+    const daySelect = document.getElementById('autoCloseDay');
+    const anchorInput = document.getElementById('cycleAnchor');
+    const isWeekly = lengthSelect.value === '7';
+
+    document.getElementById('cycleCustomLengthGroup').style.display = lengthSelect.value === 'custom' ? 'block' : 'none';
+    document.getElementById('cycleAnchorGroup').style.display = isWeekly ? 'none' : 'block';
+    document.getElementById('cycleCustomLength').required = lengthSelect.value === 'custom';
+    anchorInput.required = !isWeekly;
+    daySelect.disabled = !isWeekly;
+    if (!isWeekly && anchorInput.value) {
+      daySelect.value = DatesService.parseDate(anchorInput.value).getDay().toString();
+    }
+  },
+
+  /**
+   * Carrega limite semanal no campo
+   */
+  async loadWeeklyLimit() {
+    const limit = await FinanceService.getWeeklyLimit();
+    const limitInput = document.getElementById('weeklyLimit');
+    const limitHint = document.getElementById('weeklyLimitHint');
+    const fromMembers = await MemberService.getAllowancesTotal() !== null;
+
+    if (limitInput) {
+      limitInput.value = limit !== null ? limit.toString() : '';
+      limitInput.disabled = fromMembers;
+    }
+
+    if (limitHint) {
+      limitHint.textContent = fromMembers
+        ? 'Soma dos limites individuais dos membros (altere na seção Membros da Casa)'
+        : 'Deixe vazio ou defina 0 para desabilitar o limite';
+    }
+  },
+
+  /**
+   * Atualiza informações de configurações atuais
+   */
+  async updateCurrentConfig() {
+    const config = await FinanceService.getAutoCloseConfig();
+    const limit = await FinanceService.getWeeklyLimit();
+
+    const statusEl = document.getElementById('currentAutoCloseStatus');
+    const dayEl = document.getElementById('currentAutoCloseDay');
+    const hourEl = document.getElementById('currentAutoCloseHour');
+    const cycleEl = document.getElementById('currentCycle');
+    const limitEl = document.getElementById('currentWeeklyLimit');
+
+    const days = ['Domingo', 'Segunda-feira', 'Terça-feira', 'Quarta-feira', 'Quinta-feira', 'Sexta-feira', 'Sábado'];
+
+    if (statusEl) {
+      statusEl.textContent = config.enabled ? 'Habilitado' : 'Desabilitado';
+    }
+
+    if (dayEl) {
+      dayEl.textContent = days[config.dayOfWeek] || '-';
+    }
+
+    if (hourEl) {
+      hourEl.textContent = config.enabled ? `${config.hour}h` : '-';
+    }
+
+    if (cycleEl) {
+      cycleEl.textContent = config.cycleLength === 7
+        ? '7 dias'
+        : `${config.cycleLength} dias, a partir de ${DatesService.formatDate(DatesService.parseDate(config.cycleAnchor))}`;
+    }
+
+    if (limitEl) {
+      limitEl.textContent = limit !== null ? FinanceService.formatCurrency(limit) : 'Não definido';
+    }
+  },
+
+  /**
+   * Inicializa formulário de fechamento automático
+   */
+  initializeAutoCloseForm() {
+    const form = document.getElementById('autoCloseForm');
+    const errorMessage = document.getElementById('autoCloseError');
+    const successMessage = document.getElementById('autoCloseSuccess');
+
+    if (form) {
+      document.getElementById('cycleLength').addEventListener('change', () => this.updateCycleFields());
+      document.getElementById('cycleAnchor').addEventListener('change', () => this.updateCycleFields());
+
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        if (errorMessage) {
+          errorMessage.style.display = 'none';
+        }
+        if (successMessage) {
+          successMessage.style.display = 'none';
+        }
+
+        const enabled = document.getElementById('autoCloseEnabled').checked;
+        const dayOfWeek = parseInt(document.getElementById('autoCloseDay').value);
+        const hour = parseInt(document.getElementById('autoCloseHour').value);
+        const lengthValue = document.getElementById('cycleLength').value;
+        const cycleLength = lengthValue === 'custom'
+          ? document.getElementById('cycleCustomLength').value
+          : lengthValue;
+
+        if (isNaN(hour) || hour < 0 || hour > 23) {
+          if (errorMessage) {
+            errorMessage.textContent = 'Hora deve ser um número entre 0 e 23';
+            errorMessage.style.display = 'block';
+          }
+          return;
+        }
+
+        try {
+          await FinanceService.setAutoCloseConfig({
+            enabled,
+            dayOfWeek,
+            hour,
+            cycleLength,
+            cycleAnchor: document.getElementById('cycleAnchor').value
+          });
 
-          this.updateCurrentConfig();
+          await this.loadAutoCloseConfig();
+          await this.updateCurrentConfig();
 
           if (successMessage) {
             successMessage.textContent = 'Configuração de fechamento automático salva com sucesso!';
@@ -1076,7 +3150,7 @@ const Router = {
     const successMessage = document.getElementById('weeklyLimitSuccess');
 
     if (form) {
-      form.addEventListener('submit', (e) => {
+      form.addEventListener('submit', async (e) => {
         e.preventDefault();
 
         if (errorMessage) {
@@ -1102,8 +3176,8 @@ const Router = {
         }
 
         try {
-          FinanceService.setWeeklyLimit(limit);
-          this.updateCurrentConfig();
+          await FinanceService.setWeeklyLimit(limit);
+          await this.updateCurrentConfig();
 
           if (successMessage) {
             successMessage.textContent = 'Limite semanal salvo com sucesso!';
@@ -1123,5 +3197,774 @@ const Router = {
         }
       });
     }
+  },
+
+  /**
+   * Inicializa formulário de criação de categorias
+   */
+  initializeCategoryForm() {
+    const form = document.getElementById('categoryForm');
+    const errorMessage = document.getElementById('categoryError');
+
+    if (form) {
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        if (errorMessage) {
+          errorMessage.style.display = 'none';
+        }
+
+        const name = document.getElementById('categoryName').value;
+        const color = document.getElementById('categoryColor').value;
+        const icon = document.getElementById('categoryIcon').value;
+
+        try {
+          await CategoryService.createCategory(name, color, icon);
+          form.reset();
+          await this.updateCategoriesList();
+          await this.populateCategoryLimitSelect();
+          this.showSuccessMessage('Categoria criada com sucesso!');
+        } catch (error) {
+          if (errorMessage) {
+            errorMessage.textContent = error.message;
+            errorMessage.style.display = 'block';
+          }
+        }
+      });
+    }
+  },
+
+  /**
+   * Atualiza a lista de categorias na página de administração
+   */
+  async updateCategoriesList() {
+    const categoriesList = document.getElementById('categoriesList');
+    if (!categoriesList) return;
+
+    const categories = await CategoryService.getAllCategories();
+
+    categoriesList.innerHTML = categories
+      .map(category => {
+        const isDefault = category.id === UNCATEGORIZED_CATEGORY_ID;
+        return `
+          <div class="transaction-item category-item ${category.archived ? 'category-archived' : ''}">
+            <div class="transaction-info">
+              <span class="transaction-description">
+                <span class="category-color-dot" style="background-color: ${this.escapeHtml(category.color)};"></span>
+                ${this.escapeHtml(category.icon)} ${this.escapeHtml(category.name)}
+              </span>
+              <span class="transaction-date">${category.archived ? 'Arquivada' : 'Ativa'}</span>
+            </div>
+            <div class="transaction-actions">
+              <button class="btn btn-secondary btn-small" data-action="rename" data-category-id="${this.escapeHtml(category.id)}">Renomear</button>
+              ${isDefault ? '' : `<button class="btn ${category.archived ? 'btn-secondary' : 'btn-danger'} btn-small" data-action="${category.archived ? 'unarchive' : 'archive'}" data-category-id="${this.escapeHtml(category.id)}">${category.archived ? 'Reativar' : 'Arquivar'}</button>`}
+            </div>
+          </div>
+        `;
+      })
+      .join('');
+
+    categoriesList.querySelectorAll('button[data-category-id]').forEach(button => {
+      button.addEventListener('click', async (e) => {
+        const categoryId = e.target.getAttribute('data-category-id');
+        const action = e.target.getAttribute('data-action');
+
+        try {
+          if (action === 'rename') {
+            const category = await CategoryService.getCategoryById(categoryId);
+            const newName = prompt('Novo nome da categoria:', category ? category.name : '');
+            if (newName === null) return;
+            await CategoryService.renameCategory(categoryId, newName);
+            this.showSuccessMessage('Categoria renomeada com sucesso!');
+          } else if (action === 'archive') {
+            if (!confirm('Deseja arquivar esta categoria? Ela não aparecerá mais no formulário de lançamentos.')) return;
+            await CategoryService.archiveCategory(categoryId);
+            this.showSuccessMessage('Categoria arquivada com sucesso!');
+          } else if (action === 'unarchive') {
+            await CategoryService.setCategoryArchived(categoryId, false);
+            this.showSuccessMessage('Categoria reativada com sucesso!');
+          }
+          await this.updateCategoriesList();
+          await this.populateCategoryLimitSelect();
+          await this.updateCategoryLimitsList();
+        } catch (error) {
+          alert(error.message);
+        }
+      });
+    });
+  },
+
+  /**
+   * Inicializa formulário de cadastro de membros da casa
+   */
+  initializeMemberForm() {
+    const form = document.getElementById('memberForm');
+    const errorMessage = document.getElementById('memberError');
+
+    if (form) {
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        if (errorMessage) {
+          errorMessage.style.display = 'none';
+        }
+
+        const name = document.getElementById('memberName').value;
+        const color = document.getElementById('memberColor').value;
+        const allowance = document.getElementById('memberAllowance').value.trim();
+
+        try {
+          await MemberService.createMember(name, color, allowance);
+          form.reset();
+          await this.updateMembersList();
+          this.showSuccessMessage('Membro adicionado com sucesso!');
+        } catch (error) {
+          if (errorMessage) {
+            errorMessage.textContent = error.message;
+            errorMessage.style.display = 'block';
+          }
+        }
+      });
+    }
+  },
+
+  /**
+   * Atualiza a lista de membros na página de administração
+   * Os limites individuais alteram o limite semanal, que é recarregado junto
+   */
+  async updateMembersList() {
+    const membersList = document.getElementById('membersList');
+    if (!membersList) return;
+
+    const members = await MemberService.getAllMembers();
+
+    await this.loadWeeklyLimit();
+    await this.updateCurrentConfig();
+
+    if (members.length === 0) {
+      membersList.innerHTML = '<p class="empty-message">Nenhum membro cadastrado. Os lançamentos ficam sem membro.</p>';
+      return;
+    }
+
+    membersList.innerHTML = members
+      .map(member => {
+        const allowance = member.weeklyAllowance !== null && member.weeklyAllowance !== undefined
+          ? `Limite individual: ${FinanceService.formatCurrency(member.weeklyAllowance)}`
+          : 'Sem limite individual';
+        return `
+          <div class="transaction-item category-item ${member.archived ? 'category-archived' : ''}">
+            <div class="transaction-info">
+              <span class="transaction-description">
+                <span class="category-color-dot" style="background-color: ${this.escapeHtml(member.color)};"></span>
+                👤 ${this.escapeHtml(member.name)}
+              </span>
+              <span class="transaction-date">${member.archived ? 'Arquivado' : allowance}</span>
+            </div>
+            <div class="transaction-actions">
+              <button class="btn btn-secondary btn-small" data-action="rename" data-member-id="${this.escapeHtml(member.id)}">Renomear</button>
+              ${member.archived ? '' : `<button class="btn btn-secondary btn-small" data-action="allowance" data-member-id="${this.escapeHtml(member.id)}">Limite</button>`}
+              <button class="btn ${member.archived ? 'btn-secondary' : 'btn-danger'} btn-small" data-action="${member.archived ? 'unarchive' : 'archive'}" data-member-id="${this.escapeHtml(member.id)}">${member.archived ? 'Reativar' : 'Arquivar'}</button>
+            </div>
+          </div>
+        `;
+      })
+      .join('');
+
+    membersList.querySelectorAll('button[data-member-id]').forEach(button => {
+      button.addEventListener('click', async (e) => {
+        const memberId = e.target.getAttribute('data-member-id');
+        const action = e.target.getAttribute('data-action');
+
+        try {
+          const member = await MemberService.getMemberById(memberId);
+          if (action === 'rename') {
+            const newName = prompt('Novo nome do membro:', member ? member.name : '');
+            if (newName === null) return;
+            await MemberService.renameMember(memberId, newName);
+            this.showSuccessMessage('Membro renomeado com sucesso!');
+          } else if (action === 'allowance') {
+            const current = member && member.weeklyAllowance !== null && member.weeklyAllowance !== undefined
+              ? member.weeklyAllowance.toString()
+              : '';
+            const value = prompt('Limite semanal individual (R$). Deixe vazio ou 0 para remover:', current);
+            if (value === null) return;
+            await MemberService.setMemberAllowance(memberId, value.trim().replace(',', '.'));
+            this.showSuccessMessage('Limite do membro salvo com sucesso!');
+          } else if (action === 'archive') {
+            if (!confirm('Deseja arquivar este membro? Ele não aparecerá mais no formulário de lançamentos e o limite individual deixará de contar no limite semanal.')) return;
+            await MemberService.archiveMember(memberId);
+            this.showSuccessMessage('Membro arquivado com sucesso!');
+          } else if (action === 'unarchive') {
+            await MemberService.setMemberArchived(memberId, false);
+            this.showSuccessMessage('Membro reativado com sucesso!');
+          }
+          await this.updateMembersList();
+        } catch (error) {
+          alert(error.message);
+        }
+      });
+    });
+  },
+
+  /**
+   * Preenche o select de categorias do formulário de limites
+   */
+  async populateCategoryLimitSelect() {
+    const categorySelect = document.getElementById('categoryLimitCategory');
+    if (!categorySelect) return;
+
+    const selected = categorySelect.value;
+    const categories = await CategoryService.getActiveCategories();
+    categorySelect.innerHTML = categories
+      .map(category => `<option value="${this.escapeHtml(category.id)}">${this.escapeHtml(category.icon)} ${this.escapeHtml(category.name)}</option>`)
+      .join('');
+    if (selected && categories.some(c => c.id === selected)) {
+      categorySelect.value = selected;
+    }
+    await this.loadCategoryLimit();
+
+    if (!categorySelect.dataset.bound) {
+      categorySelect.addEventListener('change', () => this.loadCategoryLimit());
+      categorySelect.dataset.bound = 'true';
+    }
+  },
+
+  /**
+   * Carrega o limite da categoria selecionada no campo
+   */
+  async loadCategoryLimit() {
+    const categorySelect = document.getElementById('categoryLimitCategory');
+    const limitInput = document.getElementById('categoryLimitValue');
+    if (!categorySelect || !limitInput) return;
+
+    const limit = await FinanceService.getCategoryLimit(categorySelect.value);
+    limitInput.value = limit !== null ? limit.toString() : '';
+  },
+
+  /**
+   * Inicializa formulário de limites por categoria
+   */
+  initializeCategoryLimitForm() {
+    const form = document.getElementById('categoryLimitForm');
+    const errorMessage = document.getElementById('categoryLimitError');
+    const successMessage = document.getElementById('categoryLimitSuccess');
+
+    if (form) {
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        if (errorMessage) {
+          errorMessage.style.display = 'none';
+        }
+        if (successMessage) {
+          successMessage.style.display = 'none';
+        }
+
+        const categoryId = document.getElementById('categoryLimitCategory').value;
+        const limitValue = document.getElementById('categoryLimitValue').value.trim();
+
+        let limit = null;
+        if (limitValue && parseFloat(limitValue) !== 0) {
+          limit = parseFloat(limitValue);
+          if (isNaN(limit) || limit <= 0) {
+            if (errorMessage) {
+              errorMessage.textContent = 'Limite deve ser um número maior que zero';
+              errorMessage.style.display = 'block';
+            }
+            return;
+          }
+        }
+
+        try {
+          await FinanceService.setCategoryLimit(categoryId, limit);
+          await this.updateCategoryLimitsList();
+
+          if (successMessage) {
+            successMessage.textContent = limit !== null
+              ? 'Limite da categoria salvo com sucesso!'
+              : 'Limite da categoria removido com sucesso!';
+            successMessage.style.display = 'block';
+          }
+
+          setTimeout(() => {
+            if (successMessage) {
+              successMessage.style.display = 'none';
+            }
+          }, 3000);
+        } catch (error) {
+          if (errorMessage) {
+            errorMessage.textContent = error.message;
+            errorMessage.style.display = 'block';
+          }
+        }
+      });
+    }
+  },
+
+  /**
+   * Atualiza a lista de limites por categoria configurados
+   */
+  async updateCategoryLimitsList() {
+    const limitsList = document.getElementById('categoryLimitsList');
+    if (!limitsList) return;
+
+    const limits = await FinanceService.getCategoryLimits();
+    const categories = (await CategoryService.getAllCategories()).filter(c => limits[c.id] !== undefined);
+
+    if (categories.length === 0) {
+      limitsList.innerHTML = '<p class="empty-message">Nenhum limite por categoria definido.</p>';
+      return;
+    }
+
+    limitsList.innerHTML = categories
+      .map(category => `
+        <div class="info-item">
+          <strong>${this.escapeHtml(category.icon)} ${this.escapeHtml(category.name)}</strong>
+          <span>${FinanceService.formatCurrency(limits[category.id])}</span>
+        </div>
+      `)
+      .join('');
+  },
+
+  /**
+   * Inicializa formulário de lançamentos recorrentes
+   */
+  async initializeRecurringForm() {
+    const form = document.getElementById('recurringForm');
+    const errorMessage = document.getElementById('recurringError');
+    const frequencySelect = document.getElementById('recurringFrequency');
+    const categorySelect = document.getElementById('recurringCategory');
+    const startDateInput = document.getElementById('recurringStartDate');
+
+    if (!form) return;
+
+    if (categorySelect) {
+      categorySelect.innerHTML = (await CategoryService.getActiveCategories())
+        .map(category => `<option value="${this.escapeHtml(category.id)}">${this.escapeHtml(category.icon)} ${this.escapeHtml(category.name)}</option>`)
+        .join('');
+      categorySelect.value = UNCATEGORIZED_CATEGORY_ID;
+    }
+
+    if (startDateInput && !startDateInput.value) {
+      startDateInput.value = DatesService.formatDateForInput();
+    }
+
+    // Exibe apenas o campo correspondente à frequência escolhida
+    const updateFrequencyFields = () => {
+      const isMonthly = frequencySelect.value === RECURRING_FREQUENCIES.MONTHLY;
+      document.getElementById('recurringIntervalGroup').style.display = isMonthly ? 'none' : 'flex';
+      document.getElementById('recurringDayOfMonthGroup').style.display = isMonthly ? 'flex' : 'none';
+    };
+    if (frequencySelect) {
+      frequencySelect.addEventListener('change', updateFrequencyFields);
+      updateFrequencyFields();
+    }
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      if (errorMessage) {
+        errorMessage.style.display = 'none';
+      }
+
+      try {
+        await RecurringService.createRule({
+          description: document.getElementById('recurringDescription').value,
+          amount: document.getElementById('recurringAmount').value,
+          type: document.getElementById('recurringType').value,
+          categoryId: categorySelect ? categorySelect.value : UNCATEGORIZED_CATEGORY_ID,
+          frequency: frequencySelect.value,
+          intervalWeeks: document.getElementById('recurringInterval').value,
+          dayOfMonth: document.getElementById('recurringDayOfMonth').value,
+          startDate: document.getElementById('recurringStartDate').value,
+          endDate: document.getElementById('recurringEndDate').value
+        });
+
+        // Gera imediatamente as ocorrências que já chegaram (ex: início hoje)
+        const { created, failed } = await RecurringService.materializeDueTransactions();
+
+        form.reset();
+        startDateInput.value = DatesService.formatDateForInput();
+        if (categorySelect) {
+          categorySelect.value = UNCATEGORIZED_CATEGORY_ID;
+        }
+        updateFrequencyFields();
+        await this.updateRecurringRulesList();
+        this.showSuccessMessage(created.length > 0
+          ? `Regra criada! ${created.length} lançamento(s) gerado(s).`
+          : 'Regra de recorrência criada com sucesso!');
+        this.showRecurringFailures(failed);
+      } catch (error) {
+        if (errorMessage) {
+          errorMessage.textContent = error.message;
+          errorMessage.style.display = 'block';
+        }
+      }
+    });
+  },
+
+  /**
+   * Descreve a frequência de uma regra em texto legível
+   * @param {object} rule - Regra de recorrência
+   * @returns {string} Descrição da frequência
+   */
+  describeRecurringFrequency(rule) {
+    if (rule.frequency === RECURRING_FREQUENCIES.MONTHLY) {
+      return `Todo dia ${rule.dayOfMonth} do mês`;
+    }
+    return rule.intervalWeeks > 1 ? `A cada ${rule.intervalWeeks} semanas` : 'Toda semana';
+  },
+
+  /**
+   * Atualiza a lista de regras de recorrência na página de administração
+   */
+  async updateRecurringRulesList() {
+    const rulesList = document.getElementById('recurringRulesList');
+    if (!rulesList) return;
+
+    const rules = await RecurringService.getAllRules();
+
+    if (rules.length === 0) {
+      rulesList.innerHTML = '<p class="empty-message">Nenhum lançamento recorrente cadastrado.</p>';
+      return;
+    }
+
+    rulesList.innerHTML = rules
+      .map(rule => {
+        const nextOccurrence = rule.active ? RecurringService.getNextOccurrence(rule) : null;
+        const details = [
+          this.describeRecurringFrequency(rule),
+          rule.endDate ? `até ${DatesService.formatDate(DatesService.parseDate(rule.endDate))}` : null,
+          rule.active
+            ? (nextOccurrence ? `próximo: ${DatesService.formatDate(DatesService.parseDate(nextOccurrence))}` : 'encerrada')
+            : 'pausada',
+          rule.lastError ? `erro: ${rule.lastError}` : null
+        ].filter(Boolean).join(' · ');
+        const isIncome = rule.type === TRANSACTION_TYPES.INCOME;
+
+        return `
+          <div class="transaction-item ${rule.active ? '' : 'category-archived'}">
+            <div class="transaction-info">
+              <span class="transaction-description">${this.escapeHtml(rule.description)}</span>
+              <span class="transaction-date">${this.escapeHtml(details)}</span>
+            </div>
+            <div class="transaction-amount ${isIncome ? 'income' : ''}">${isIncome ? '+' : ''}${FinanceService.formatCurrency(rule.amount)}</div>
+            <div class="transaction-actions">
+              <button class="btn btn-secondary btn-small" data-action="${rule.active ? 'pause' : 'resume'}" data-rule-id="${this.escapeHtml(rule.id)}">${rule.active ? 'Pausar' : 'Retomar'}</button>
+              <button class="btn btn-danger" data-action="remove" data-rule-id="${this.escapeHtml(rule.id)}">Excluir</button>
+            </div>
+          </div>
+        `;
+      })
+      .join('');
+
+    rulesList.querySelectorAll('button[data-rule-id]').forEach(button => {
+      button.addEventListener('click', async (e) => {
+        const ruleId = e.target.getAttribute('data-rule-id');
+        const action = e.target.getAttribute('data-action');
+
+        try {
+          if (action === 'pause') {
+            await RecurringService.setRuleActive(ruleId, false);
+          } else if (action === 'resume') {
+            await RecurringService.setRuleActive(ruleId, true);
+          } else if (action === 'remove') {
+            if (!confirm('Deseja excluir esta regra? Os lançamentos já gerados serão mantidos.')) return;
+            await RecurringService.removeRule(ruleId);
+            this.showSuccessMessage('Regra excluída com sucesso!');
+          }
+          await this.updateRecurringRulesList();
+        } catch (error) {
+          alert(error.message);
+        }
+      });
+    });
+  },
+
+  /**
+   * Inicializa eventos da página de importação de extratos
+   */
+  async initializeImportPage() {
+    this.initializeTheme();
+    this.importState = null;
+
+    const fileInput = document.getElementById('importFile');
+    const mappingForm = document.getElementById('csvMappingForm');
+    const hasHeaderCheckbox = document.getElementById('csvHasHeader');
+    const commitBtn = document.getElementById('commitImportBtn');
+    const cancelBtn = document.getElementById('cancelImportBtn');
+    const categorySelect = document.getElementById('importCategory');
+
+    if (categorySelect) {
+      categorySelect.innerHTML = (await CategoryService.getActiveCategories())
+        .map(category => `<option value="${this.escapeHtml(category.id)}">${this.escapeHtml(category.icon)} ${this.escapeHtml(category.name)}</option>`)
+        .join('');
+      categorySelect.value = UNCATEGORIZED_CATEGORY_ID;
+    }
+
+    if (fileInput) {
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (file) {
+          this.readImportFile(file);
+        }
+      });
+    }
+
+    if (hasHeaderCheckbox) {
+      hasHeaderCheckbox.addEventListener('change', () => this.populateCsvColumnSelects());
+    }
+
+    if (mappingForm) {
+      mappingForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await this.buildCsvImportPreview();
+      });
+    }
+
+    if (commitBtn) {
+      commitBtn.addEventListener('click', () => this.commitImport());
+    }
+
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => this.resetImportPage());
+    }
+  },
+
+  /**
+   * Lê o arquivo selecionado e prepara a importação (CSV ou OFX)
+   * @param {File} file - Arquivo selecionado
+   */
+  readImportFile(file) {
+    const errorMessage = document.getElementById('importFileError');
+    if (errorMessage) {
+      errorMessage.style.display = 'none';
+    }
+
+    const reader = new FileReader();
+    reader.onerror = () => {
+      if (errorMessage) {
+        errorMessage.textContent = 'Não foi possível ler o arquivo.';
+        errorMessage.style.display = 'block';
+      }
+    };
+    reader.onload = async () => {
+      const text = reader.result;
+      const isOfx = /\.ofx$/i.test(file.name) || /<OFX>/i.test(text);
+
+      document.getElementById('importPreviewSection').style.display = 'none';
+
+      if (isOfx) {
+        document.getElementById('csvMappingSection').style.display = 'none';
+        const result = ImportService.parseOfx(text);
+        this.importState = { source: 'ofx', csvRows: null, preview: [] };
+        await this.showImportPreview(result);
+        return;
+      }
+
+      const rows = ImportService.parseCsv(text);
+      if (rows.length === 0) {
+        if (errorMessage) {
+          errorMessage.textContent = 'O arquivo está vazio ou não é um CSV válido.';
+          errorMessage.style.display = 'block';
+        }
+        return;
+      }
+
+      this.importState = { source: 'csv', csvRows: rows, preview: [] };
+      this.populateCsvColumnSelects();
+      document.getElementById('csvMappingSection').style.display = 'block';
+    };
+    reader.readAsText(file, 'UTF-8');
+  },
+
+  /**
+   * Preenche os selects de colunas do CSV com os nomes do cabeçalho (ou números das colunas)
+   * Tenta pré-selecionar as colunas pelos nomes mais comuns nos extratos
+   */
+  populateCsvColumnSelects() {
+    if (!this.importState || !this.importState.csvRows) return;
+
+    const rows = this.importState.csvRows;
+    const hasHeader = document.getElementById('csvHasHeader').checked;
+    const columnCount = Math.max(...rows.map(r => r.length));
+    const labels = [];
+    for (let i = 0; i < columnCount; i++) {
+      const header = hasHeader ? rows[0][i] : '';
+      labels.push(header ? `${i + 1}. ${header}` : `Coluna ${i + 1}`);
+    }
+
+    const guess = (pattern, fallback) => {
+      if (!hasHeader) return Math.min(fallback, columnCount - 1);
+      const index = rows[0].findIndex(h => pattern.test(ImportService.normalizeDescription(h).join(' ')));
+      return index >= 0 ? index : Math.min(fallback, columnCount - 1);
+    };
+
+    const fill = (selectId, selectedIndex) => {
+      const select = document.getElementById(selectId);
+      if (!select) return;
+      select.innerHTML = labels
+        .map((label, index) => `<option value="${index}">${this.escapeHtml(label)}</option>`)
+        .join('');
+      select.value = String(selectedIndex);
+    };
+
+    fill('csvDateColumn', guess(/data|date/, 0));
+    fill('csvDescriptionColumn', guess(/descri|historico|lancamento|memo|estabelecimento/, 1));
+    fill('csvAmountColumn', guess(/valor|amount|quantia/, 2));
+  },
+
+  /**
+   * Gera a prévia de um CSV a partir do mapeamento de colunas
+   */
+  async buildCsvImportPreview() {
+    if (!this.importState || !this.importState.csvRows) return;
+
+    const result = ImportService.mapCsvRows(this.importState.csvRows, {
+      hasHeader: document.getElementById('csvHasHeader').checked,
+      dateColumn: parseInt(document.getElementById('csvDateColumn').value),
+      descriptionColumn: parseInt(document.getElementById('csvDescriptionColumn').value),
+      amountColumn: parseInt(document.getElementById('csvAmountColumn').value),
+      dateFormat: document.getElementById('csvDateFormat').value,
+      decimalSeparator: document.getElementById('csvDecimalSeparator').value,
+      negativeIsExpense: document.getElementById('csvNegativeIsExpense').checked
+    });
+
+    await this.showImportPreview(result);
+  },
+
+  /**
+   * Exibe a prévia dos lançamentos lidos do extrato
+   * @param {object} result - Resultado da leitura {entries, errors}
+   */
+  async showImportPreview(result) {
+    const section = document.getElementById('importPreviewSection');
+    const parseErrors = document.getElementById('importParseErrors');
+    const commitError = document.getElementById('importCommitError');
+    if (!section) return;
+
+    try {
+      this.importState.preview = await ImportService.buildPreview(result.entries);
+    } catch (error) {
+      const fileError = document.getElementById('importFileError');
+      if (fileError) {
+        fileError.textContent = error.message;
+        fileError.style.display = 'block';
+      }
+      return;
+    }
+
+    if (parseErrors) {
+      if (result.errors.length > 0) {
+        parseErrors.textContent = `${result.errors.length} linha(s) ignorada(s): ${result.errors.slice(0, 5).join('; ')}${result.errors.length > 5 ? '...' : ''}`;
+        parseErrors.style.display = 'block';
+      } else {
+        parseErrors.style.display = 'none';
+      }
+    }
+    if (commitError) {
+      commitError.style.display = 'none';
+    }
+
+    section.style.display = 'block';
+    this.renderImportPreview();
+  },
+
+  /**
+   * Renderiza a lista de lançamentos da prévia com as caixas de seleção
+   */
+  renderImportPreview() {
+    const list = document.getElementById('importPreviewList');
+    if (!list || !this.importState) return;
+
+    const preview = this.importState.preview;
+
+    if (preview.length === 0) {
+      list.innerHTML = '<p class="empty-message">Nenhum lançamento válido encontrado no arquivo.</p>';
+    } else {
+      list.innerHTML = preview
+        .map((row, index) => {
+          const { entry } = row;
+          const isIncome = entry.type === TRANSACTION_TYPES.INCOME;
+          const duplicateInfo = row.duplicateOf
+            ? `<span class="duplicate-badge">Duplicado provável: ${this.escapeHtml(row.duplicateOf.description)}</span>`
+            : '';
+          return `
+            <label class="transaction-item import-preview-item ${row.duplicateOf ? 'import-duplicate' : ''}">
+              <input type="checkbox" data-preview-index="${index}" ${row.accepted ? 'checked' : ''} />
+              <div class="transaction-info">
+                <span class="transaction-description">${this.escapeHtml(entry.description)}</span>
+                <span class="transaction-date">${DatesService.formatDate(DatesService.parseDate(entry.date))}</span>
+                ${duplicateInfo}
+              </div>
+              <div class="transaction-amount ${isIncome ? 'income' : ''}">${isIncome ? '+' : ''}${FinanceService.formatCurrency(entry.amount)}</div>
+            </label>
+          `;
+        })
+        .join('');
+
+      list.querySelectorAll('input[data-preview-index]').forEach(checkbox => {
+        checkbox.addEventListener('change', (e) => {
+          const index = parseInt(e.target.getAttribute('data-preview-index'));
+          this.importState.preview[index].accepted = e.target.checked;
+          this.updateImportPreviewSummary();
+        });
+      });
+    }
+
+    this.updateImportPreviewSummary();
+  },
+
+  /**
+   * Atualiza o resumo da prévia (selecionados e duplicados)
+   */
+  updateImportPreviewSummary() {
+    const summary = document.getElementById('importPreviewSummary');
+    if (!summary || !this.importState) return;
+
+    const preview = this.importState.preview;
+    const selected = preview.filter(row => row.accepted).length;
+    const duplicates = preview.filter(row => row.duplicateOf).length;
+    summary.textContent = `${selected} de ${preview.length} selecionado(s) · ${duplicates} duplicado(s) provável(is)`;
+  },
+
+  /**
+   * Grava os lançamentos selecionados da prévia
+   */
+  async commitImport() {
+    const commitError = document.getElementById('importCommitError');
+    if (!this.importState || this.importState.preview.length === 0) return;
+
+    const commitBtn = document.getElementById('commitImportBtn');
+    const categoryId = document.getElementById('importCategory').value;
+    this.setButtonBusy(commitBtn, true, 'Importando...');
+    const result = await ImportService.commitImport(this.importState.preview, categoryId, this.importState.source);
+    this.setButtonBusy(commitBtn, false);
+
+    if (result.errors.length > 0 && commitError) {
+      commitError.textContent = `${result.errors.length} lançamento(s) não importado(s): ${result.errors.slice(0, 5).join('; ')}`;
+      commitError.style.display = 'block';
+    }
+
+    if (result.created.length > 0) {
+      this.showSuccessMessage(`${result.created.length} lançamento(s) importado(s) com sucesso!`);
+    }
+
+    if (result.errors.length === 0) {
+      this.resetImportPage();
+    }
+  },
+
+  /**
+   * Limpa a página de importação para um novo arquivo
+   */
+  resetImportPage() {
+    this.importState = null;
+    const fileForm = document.getElementById('importFileForm');
+    if (fileForm) {
+      fileForm.reset();
+    }
+    document.getElementById('csvMappingSection').style.display = 'none';
+    document.getElementById('importPreviewSection').style.display = 'none';
   }
 };
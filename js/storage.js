@@ -1,89 +1,124 @@
 /**
  * Storage Service
  * Gerencia persistência de dados usando o DataProvider
- * Atualmente usa localStorage, mas pode ser facilmente trocado para Supabase
- * através da configuração em config.js
- * 
- * Nota: Por enquanto mantém interface síncrona para compatibilidade.
- * No futuro, quando Supabase for implementado, pode ser necessário migrar para async/await.
+ * O provider (localStorage ou Supabase) é escolhido através da configuração em config.js
+ *
+ * Todas as operações são assíncronas. As leituras só ficam em cache na memória durante um
+ * bloco withCache (ex: a montagem de uma página), evitando repetir leituras enquanto a tela é
+ * desenhada. Fora desses blocos cada leitura vai ao provider, então uma alteração
+ * (ler, modificar e gravar) sempre parte dos dados atuais, mesmo que outra aba, o fechamento
+ * automático ou a sincronização tenham gravado nesse meio tempo.
  */
 
 const StorageService = {
+  /**
+   * Cache das leituras (chave -> valor serializado)
+   */
+  cache: {},
+
+  /**
+   * Quantidade de blocos withCache em andamento (0 = leituras sem cache)
+   */
+  cacheDepth: 0,
+
+  /**
+   * Descarta o cache de leituras, forçando novas consultas ao provider
+   */
+  clearCache() {
+    this.cache = {};
+  },
+
+  /**
+   * Descarta o cache quando os dados podem ter sido alterados fora desta página
+   * (outra aba gravou no localStorage ou a aba voltou a ficar visível)
+   */
+  initialize() {
+    window.addEventListener('storage', () => this.clearCache());
+    document.addEventListener('visibilitychange', () => this.clearCache());
+  },
+
+  /**
+   * Executa um bloco com as leituras em cache
+   * O cache é descartado quando o último bloco em andamento termina
+   * @param {Function} callback - Função assíncrona a executar
+   * @returns {Promise<any>} Retorno do callback
+   */
+  async withCache(callback) {
+    this.cacheDepth++;
+    try {
+      return await callback();
+    } finally {
+      this.cacheDepth--;
+      if (this.cacheDepth === 0) {
+        this.clearCache();
+      }
+    }
+  },
+
   /**
    * Salva dados usando o provider configurado
+   * Lança erro se o provider não conseguir gravar, para que a tela possa avisar o usuário
    * @param {string} key - Chave para armazenar
    * @param {any} value - Valor a ser armazenado
-   * @returns {boolean}
+   * @returns {Promise<boolean>}
    */
-  set(key, value) {
-    // Por enquanto usa LocalStorageProvider diretamente (síncrono)
-    // No futuro, quando Supabase for implementado, pode ser necessário
-    // converter para async/await e usar DataProvider.set(key, value)
-    try {
-      const serialized = JSON.stringify(value);
-      localStorage.setItem(key, serialized);
-      return true;
-    } catch (error) {
-      console.error('Erro ao salvar dados:', error);
-      return false;
+  async set(key, value) {
+    delete this.cache[key];
+    const saved = await DataProvider.getProvider().set(key, value);
+    if (!saved) {
+      throw new Error('Não foi possível salvar os dados. Verifique a conexão e tente novamente.');
+    }
+    if (this.cacheDepth > 0) {
+      this.cache[key] = JSON.stringify(value);
     }
+    return true;
   },
 
   /**
-   * Recupera dados usando o provider configurado
+   * Recupera dados usando o provider configurado (do cache apenas dentro de withCache)
+   * Cada chamada devolve uma cópia, então alterar o valor retornado não altera o cache.
+   * Erros do provider (ex: falha de rede) são repassados para quem chamou.
    * @param {string} key - Chave para recuperar
    * @param {any} defaultValue - Valor padrão se não existir
-   * @returns {any}
+   * @returns {Promise<any>}
    */
-  get(key, defaultValue = null) {
-    // Por enquanto usa LocalStorageProvider diretamente (síncrono)
-    // No futuro, quando Supabase for implementado, pode ser necessário
-    // converter para async/await e usar DataProvider.get(key, defaultValue)
-    try {
-      const item = localStorage.getItem(key);
-      if (item === null) {
-        return defaultValue;
+  async get(key, defaultValue = null) {
+    let serialized = this.cacheDepth > 0 ? this.cache[key] : undefined;
+    if (serialized === undefined) {
+      const value = await DataProvider.getProvider().get(key, null);
+      serialized = JSON.stringify(value === undefined ? null : value);
+      if (this.cacheDepth > 0) {
+        this.cache[key] = serialized;
       }
-      return JSON.parse(item);
-    } catch (error) {
-      console.error('Erro ao ler dados:', error);
-      return defaultValue;
     }
+    const value = JSON.parse(serialized);
+    return value === null ? defaultValue : value;
   },
 
   /**
    * Remove item usando o provider configurado
    * @param {string} key - Chave para remover
-   * @returns {boolean}
+   * @returns {Promise<boolean>}
    */
-  remove(key) {
-    // Por enquanto usa LocalStorageProvider diretamente (síncrono)
-    // No futuro, quando Supabase for implementado, pode ser necessário
-    // converter para async/await e usar DataProvider.remove(key)
-    try {
-      localStorage.removeItem(key);
-      return true;
-    } catch (error) {
-      console.error('Erro ao remover dados:', error);
-      return false;
+  async remove(key) {
+    delete this.cache[key];
+    const removed = await DataProvider.getProvider().remove(key);
+    if (!removed) {
+      throw new Error('Não foi possível remover os dados. Verifique a conexão e tente novamente.');
     }
+    return true;
   },
 
   /**
    * Limpa dados usando o provider configurado
-   * @returns {boolean}
+   * @returns {Promise<boolean>}
    */
-  clear() {
-    // Por enquanto usa LocalStorageProvider diretamente (síncrono)
-    // No futuro, quando Supabase for implementado, pode ser necessário
-    // converter para async/await e usar DataProvider.clear()
-    try {
-      localStorage.clear();
-      return true;
-    } catch (error) {
-      console.error('Erro ao limpar dados:', error);
-      return false;
+  async clear() {
+    this.clearCache();
+    const cleared = await DataProvider.getProvider().clear();
+    if (!cleared) {
+      throw new Error('Não foi possível limpar os dados. Verifique a conexão e tente novamente.');
     }
+    return true;
   }
 };
-
@@ -0,0 +1,442 @@
+/**
+ * Sync Service
+ * Sincroniza a cópia local com o provider remoto, reenviando as operações registradas
+ * pelo OfflineSyncProvider enquanto o aparelho estava sem conexão.
+ *
+ * Cada sincronização baixa o estado remoto, reaplica sobre ele as operações pendentes
+ * (na ordem em que foram feitas) e envia o resultado. Os conflitos são resolvidos com as
+ * mesmas regras de semana do FinanceService:
+ * - Lançamento criado offline em uma semana que foi fechada em outro aparelho é redirecionado
+ *   como em createTransaction (resolveTransactionWeekId)
+ * - Semana fechada nos dois aparelhos: vale a nova semana remota, e os lançamentos da nova
+ *   semana local passam para ela
+ * - Alterações em lançamentos de semanas fechadas ou excluídos em outro aparelho são descartadas
+ */
+
+// Chaves da semana atual, redefinidas a cada fechamento de semana
+const SYNC_CURRENT_WEEK_KEYS = [CURRENT_WEEK_ID_KEY, CURRENT_WEEK_START_KEY, NEXT_CLOSE_DATE_KEY];
+
+// Limite de rodadas seguidas de uma sincronização (alterações feitas enquanto ela roda pedem outra rodada)
+const SYNC_MAX_ROUNDS = 5;
+
+const SyncService = {
+  /**
+   * Sincronização em andamento (evita execuções simultâneas)
+   */
+  syncPromise: null,
+
+  /**
+   * Se uma sincronização foi pedida enquanto outra estava em andamento
+   */
+  rerunRequested: false,
+
+  /**
+   * Timer da próxima sincronização agendada
+   */
+  scheduledTimer: null,
+
+  /**
+   * Situação da sincronização exibida na interface
+   * {online: boolean, syncing: boolean, pending: number, lastSyncAt: string|null, error: string|null}
+   */
+  status: {
+    online: true,
+    syncing: false,
+    pending: 0,
+    lastSyncAt: null,
+    error: null
+  },
+
+  /**
+   * Função chamada sempre que a situação muda (definida pelo Router)
+   * Recebe (status, conflicts), com os conflitos resolvidos apenas ao fim de uma sincronização
+   */
+  onStatusChange: null,
+
+  /**
+   * Se o listener de volta da conexão já foi registrado
+   */
+  listening: false,
+
+  /**
+   * Verifica se há um provider remoto e um usuário logado para sincronizar
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return DataProvider.getRemoteProvider() !== null && DataProvider.scope !== null;
+  },
+
+  /**
+   * Inicia a sincronização do usuário logado: sincroniza agora e novamente sempre que a conexão voltar
+   * Falhas (ex: aparelho offline) não impedem a aplicação de abrir com a cópia local
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!this.isEnabled()) return;
+
+    if (!this.listening) {
+      this.listening = true;
+      window.addEventListener('online', () => {
+        this.sync().catch(() => {});
+      });
+    }
+
+    try {
+      await this.sync();
+    } catch (error) {
+      console.warn('Sincronização inicial não concluída, usando a cópia local:', error);
+    }
+  },
+
+  /**
+   * Agenda uma sincronização (agrupa gravações feitas em sequência)
+   */
+  scheduleSync() {
+    if (!this.isEnabled() || this.scheduledTimer) return;
+
+    this.scheduledTimer = setTimeout(() => {
+      this.scheduledTimer = null;
+      this.sync().catch(() => {});
+    }, 1000);
+  },
+
+  /**
+   * Atualiza a situação da sincronização e avisa a interface
+   * @param {object} changes - Campos alterados
+   * @param {Array} conflicts - Conflitos resolvidos na sincronização concluída
+   */
+  async updateStatus(changes, conflicts = []) {
+    Object.assign(this.status, changes);
+    try {
+      this.status.pending = (await OfflineSyncProvider.getQueue()).length;
+    } catch (error) {
+      console.error('Erro ao ler a fila de sincronização:', error);
+    }
+    if (this.onStatusChange) {
+      this.onStatusChange(this.status, conflicts);
+    }
+  },
+
+  /**
+   * Sincroniza com o provider remoto
+   * Pedidos feitos durante uma sincronização em andamento recebem a mesma Promise,
+   * que só termina depois de uma nova rodada com as alterações feitas nesse meio tempo
+   * @returns {Promise<object>} {synced: number, conflicts: Array}
+   */
+  async sync() {
+    if (!this.isEnabled()) {
+      return { synced: 0, conflicts: [] };
+    }
+
+    if (this.syncPromise) {
+      this.rerunRequested = true;
+    } else {
+      this.syncPromise = this.runSync().finally(() => {
+        this.syncPromise = null;
+      });
+    }
+    return this.syncPromise;
+  },
+
+  /**
+   * Executa uma sincronização completa
+   * Repete enquanto houver operações registradas durante a rodada anterior
+   * @returns {Promise<object>} {synced: number, conflicts: Array}
+   */
+  async runSync() {
+    await this.updateStatus({ syncing: true });
+
+    try {
+      const result = { synced: 0, conflicts: [] };
+      let rounds = 0;
+      do {
+        this.rerunRequested = false;
+        const round = await this.pushPendingOperations();
+        result.synced += round.synced;
+        result.conflicts.push(...round.conflicts);
+        rounds++;
+      } while (rounds < SYNC_MAX_ROUNDS &&
+        (this.rerunRequested || (await OfflineSyncProvider.getQueue()).length > 0));
+
+      await this.updateStatus({
+        online: true,
+        syncing: false,
+        lastSyncAt: new Date().toISOString(),
+        error: null
+      }, result.conflicts);
+      return result;
+    } catch (error) {
+      console.error('Erro ao sincronizar:', error);
+      await this.updateStatus({ online: false, syncing: false, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Baixa o estado remoto, reaplica as operações pendentes e envia o resultado
+   * Chaves alteradas na aplicação depois da leitura da fila não são sobrescritas pelo estado
+   * remoto nem enviadas: suas operações ficam na fila para a próxima rodada
+   * @returns {Promise<object>} {synced: number, conflicts: Array}
+   */
+  async pushPendingOperations() {
+    const remote = DataProvider.getRemoteProvider();
+    const local = OfflineSyncProvider.getLocal();
+    const queue = await OfflineSyncProvider.getQueue();
+    const state = await local.get(SYNC_STATE_KEY, {});
+
+    let operations = queue;
+    if (!state.initializedAt) {
+      // Primeira sincronização deste aparelho: os dados que já existiam aqui são enviados
+      // sem sobrescrever as configurações que já existem no servidor
+      operations = [
+        ...await this.getInitialOperations(),
+        ...queue.map(op => (op.type === 'set' ? { ...op, type: 'setIfMissing' } : op))
+      ];
+    }
+
+    // Baixa todo o estado remoto antes de alterar a cópia local
+    const remoteState = {};
+    for (const key of SYNCED_STORAGE_KEYS) {
+      remoteState[key] = await remote.get(key, null);
+    }
+
+    const conflicts = [];
+    const readIds = new Set(queue.map(op => op.id));
+    const skippedKeys = new Set();
+    try {
+      for (const key of SYNCED_STORAGE_KEYS) {
+        // Verificado chave a chave, logo antes da gravação, para pegar alterações feitas durante o download
+        const latestQueue = await OfflineSyncProvider.getQueue();
+        if (latestQueue.some(op => !readIds.has(op.id) && this.getOperationKey(op) === key)) {
+          skippedKeys.add(key);
+          continue;
+        }
+        await this.writeLocal(key, remoteState[key]);
+      }
+
+      const context = { weekClosedRemotely: false, weekRemap: {} };
+      for (const operation of operations) {
+        if (skippedKeys.has(this.getOperationKey(operation))) continue;
+        await this.applyOperation(operation, context, conflicts);
+      }
+
+      // Envia apenas as chaves que ficaram diferentes do estado remoto
+      for (const key of SYNCED_STORAGE_KEYS) {
+        if (skippedKeys.has(key)) continue;
+        const value = await local.get(key, null);
+        if (JSON.stringify(value) === JSON.stringify(remoteState[key])) continue;
+
+        const sent = value === null ? await remote.remove(key) : await remote.set(key, value);
+        if (!sent) {
+          throw new Error('Não foi possível enviar as alterações ao servidor');
+        }
+      }
+    } finally {
+      StorageService.clearCache();
+    }
+
+    // Remove só as operações lidas no início e já enviadas; as registradas durante a
+    // sincronização e as das chaves puladas ficam na fila para a próxima rodada
+    const synced = queue.filter(op => !skippedKeys.has(this.getOperationKey(op)));
+    await OfflineSyncProvider.dequeue(synced);
+    const now = new Date().toISOString();
+    // A primeira sincronização só termina quando todas as chaves locais foram enviadas
+    const initializedAt = state.initializedAt || (skippedKeys.size === 0 ? now : null);
+    await local.set(SYNC_STATE_KEY, { initializedAt, lastSyncAt: now });
+
+    return { synced: synced.length, conflicts };
+  },
+
+  /**
+   * Obtém a chave do storage alterada por uma operação da fila
+   * @param {object} operation - Operação
+   * @returns {string} Chave
+   */
+  getOperationKey(operation) {
+    if (['createTransaction', 'updateTransaction', 'deleteTransaction'].includes(operation.type)) {
+      return FINANCE_STORAGE_KEY;
+    }
+    if (operation.type === 'closeWeek' || operation.type === 'reopenWeek') {
+      return CLOSED_WEEKS_KEY;
+    }
+    return operation.key;
+  },
+
+  /**
+   * Grava uma chave direto na cópia local, sem registrar na fila de sincronização
+   * Usado apenas pela própria sincronização; as gravações da aplicação continuam entrando na fila
+   * @param {string} key - Chave a gravar
+   * @param {any} value - Valor (null remove a chave)
+   */
+  async writeLocal(key, value) {
+    const local = OfflineSyncProvider.getLocal();
+    const saved = value === null ? await local.remove(key) : await local.set(key, value);
+    // As leituras seguintes (inclusive pelo FinanceService) precisam ver o valor gravado
+    StorageService.clearCache();
+    if (!saved) {
+      throw new Error('Não foi possível atualizar a cópia local dos dados');
+    }
+  },
+
+  /**
+   * Monta as operações que enviam os dados locais na primeira sincronização
+   * @returns {Promise<Array>} Operações
+   */
+  async getInitialOperations() {
+    const local = OfflineSyncProvider.getLocal();
+    const operations = [];
+
+    for (const key of SYNCED_STORAGE_KEYS) {
+      const value = await local.get(key, null);
+      if (value === null) continue;
+
+      if (key === FINANCE_STORAGE_KEY) {
+        value.forEach(transaction => operations.push({ type: 'createTransaction', transaction }));
+      } else if (key === CLOSED_WEEKS_KEY) {
+        value.forEach(weekId => operations.push({ type: 'closeWeek', weekId }));
+      } else if (key === WEEK_ID_MAPPING_KEY) {
+        operations.push({ type: 'set', key, value });
+      } else {
+        operations.push({ type: 'setIfMissing', key, value });
+      }
+    }
+
+    return operations;
+  },
+
+  /**
+   * Aplica uma operação pendente sobre o estado (já com os dados remotos)
+   * @param {object} operation - Operação da fila
+   * @param {object} context - Estado da reaplicação {weekClosedRemotely, weekRemap}
+   * @param {Array} conflicts - Lista onde os conflitos resolvidos são descritos
+   */
+  async applyOperation(operation, context, conflicts) {
+    switch (operation.type) {
+      case 'createTransaction': {
+        const transactions = await FinanceService.getAllTransactions();
+        // Já enviado em uma sincronização anterior
+        if (transactions.some(t => t.id === operation.transaction.id)) return;
+
+        const transaction = await this.resolveWeekConflict(operation.transaction, context, conflicts);
+        transactions.push(transaction);
+        await this.writeLocal(FINANCE_STORAGE_KEY, transactions);
+        return;
+      }
+
+      case 'updateTransaction': {
+        const transactions = await FinanceService.getAllTransactions();
+        const index = transactions.findIndex(t => t.id === operation.transaction.id);
+        if (index === -1) {
+          conflicts.push(`Alteração de "${operation.transaction.description}" descartada: o lançamento foi excluído em outro aparelho`);
+          return;
+        }
+
+        const current = transactions[index];
+        if (await FinanceService.isWeekClosed(current.weekId)) {
+          conflicts.push(`Alteração de "${operation.transaction.description}" descartada: a semana foi fechada em outro aparelho`);
+          return;
+        }
+
+        // Prevalece a alteração mais recente
+        const currentTime = new Date(current.updatedAt || current.createdAt || 0).getTime();
+        const incomingTime = new Date(operation.transaction.updatedAt || operation.transaction.createdAt || 0).getTime();
+        if (currentTime > incomingTime) return;
+
+        transactions[index] = await this.resolveWeekConflict(operation.transaction, context, conflicts);
+        await this.writeLocal(FINANCE_STORAGE_KEY, transactions);
+        return;
+      }
+
+      case 'deleteTransaction': {
+        const transactions = await FinanceService.getAllTransactions();
+        const remaining = transactions.filter(t => t.id !== operation.transactionId);
+        if (remaining.length !== transactions.length) {
+          await this.writeLocal(FINANCE_STORAGE_KEY, remaining);
+        }
+        return;
+      }
+
+      case 'closeWeek': {
+        const weekId = context.weekRemap[operation.weekId] || operation.weekId;
+        const closedWeeks = await FinanceService.getClosedWeeks();
+        // Semana também fechada em outro aparelho: a nova semana remota prevalece
+        context.weekClosedRemotely = closedWeeks.includes(weekId);
+        if (!context.weekClosedRemotely) {
+          closedWeeks.push(weekId);
+          await this.writeLocal(CLOSED_WEEKS_KEY, closedWeeks);
+        }
+        return;
+      }
+
+      case 'reopenWeek': {
+        const closedWeeks = await FinanceService.getClosedWeeks();
+        if (closedWeeks.includes(operation.weekId)) {
+          await this.writeLocal(CLOSED_WEEKS_KEY, closedWeeks.filter(weekId => weekId !== operation.weekId));
+        }
+        return;
+      }
+
+      case 'set': {
+        if (context.weekClosedRemotely && SYNC_CURRENT_WEEK_KEYS.includes(operation.key)) {
+          // A nova semana criada aqui é substituída pela nova semana remota
+          if (operation.key === CURRENT_WEEK_ID_KEY && operation.value) {
+            context.weekRemap[operation.value] = await FinanceService.getCurrentWeekId();
+          }
+          return;
+        }
+
+        if (operation.key === WEEK_ID_MAPPING_KEY) {
+          // Semanas dos dois lados são mantidas; em IDs repetidos prevalece o remoto
+          const mapping = await FinanceService.getWeekIdMapping();
+          await this.writeLocal(WEEK_ID_MAPPING_KEY, { ...operation.value, ...mapping });
+          return;
+        }
+
+        await this.writeLocal(operation.key, operation.value);
+        return;
+      }
+
+      case 'setIfMissing': {
+        if (await StorageService.get(operation.key, null) === null) {
+          await this.writeLocal(operation.key, operation.value);
+        }
+        return;
+      }
+
+      case 'remove':
+        await this.writeLocal(operation.key, null);
+        return;
+
+      default:
+        console.warn('Operação de sincronização desconhecida ignorada:', operation);
+    }
+  },
+
+  /**
+   * Redireciona um lançamento cuja semana foi fechada em outro aparelho
+   * Usa as mesmas regras de createTransaction (FinanceService.resolveTransactionWeekId)
+   * @param {object} transaction - Lançamento da operação
+   * @param {object} context - Estado da reaplicação {weekClosedRemotely, weekRemap}
+   * @param {Array} conflicts - Lista onde os conflitos resolvidos são descritos
+   * @returns {Promise<object>} Lançamento com o weekId final
+   */
+  async resolveWeekConflict(transaction, context, conflicts) {
+    const result = { ...transaction };
+    if (context.weekRemap[result.weekId]) {
+      result.weekId = context.weekRemap[result.weekId];
+    }
+
+    if (!await FinanceService.isWeekClosed(result.weekId)) {
+      return result;
+    }
+
+    try {
+      result.weekId = await FinanceService.resolveTransactionWeekId(new Date(result.date));
+      conflicts.push(`"${result.description}" foi movido para outra semana: a semana original foi fechada em outro aparelho`);
+    } catch (error) {
+      // Sem semana aberta para receber o lançamento: ele é mantido para não perder dados
+      conflicts.push(`"${result.description}" ficou em uma semana fechada em outro aparelho: ${error.message}`);
+    }
+    return result;
+  }
+};
@@ -0,0 +1,369 @@
+/**
+ * Week Service
+ * Modelo único das semanas: identidade, período, situação e motivo do fechamento, além da
+ * verificação e correção da consistência entre semanas e lançamentos
+ *
+ * As semanas continuam gravadas nas chaves do FinanceService (mapeamento weekId -> início,
+ * semanas fechadas, registros de fechamento e semana atual). Este serviço monta a partir delas
+ * uma lista de semanas com início e fim explícitos.
+ */
+
+const WEEK_ID_PREFIX = 'week_';
+
+// Situação de uma semana
+const WEEK_STATUS = {
+  OPEN: 'open',       // Semana anterior ainda não fechada (ex: criada por um lançamento retroativo)
+  CURRENT: 'current', // Semana atual
+  CLOSED: 'closed'
+};
+
+// Motivo do fechamento (semanas fechadas antes dos registros de fechamento ficam como desconhecido)
+const WEEK_CLOSE_REASONS = {
+  MANUAL: 'manual',
+  AUTOMATIC: 'automatic',
+  CATCH_UP: 'catch-up',
+  UNKNOWN: 'unknown'
+};
+
+const WeekService = {
+  /**
+   * Obtém a chave de data usada no mapeamento de semanas
+   * Usa a data local, como a leitura das chaves (dateKey + 'T00:00:00')
+   * @param {Date} date - Data de início da semana
+   * @returns {string} Data no formato yyyy-mm-dd
+   */
+  getDateKey(date) {
+    return DatesService.formatDateForInput(date);
+  },
+
+  /**
+   * Monta o ID determinístico de uma semana a partir da data de início (ex: week_2024-12-01)
+   * Se o ID já estiver em uso (duas semanas começando no mesmo dia), acrescenta um sufixo (_2, _3, ...)
+   * @param {Date} startDate - Data de início da semana
+   * @param {object} mapping - Mapeamento weekId -> data de início
+   * @returns {string} ID livre para a semana
+   */
+  buildWeekId(startDate, mapping) {
+    const baseId = WEEK_ID_PREFIX + this.getDateKey(startDate);
+    let weekId = baseId;
+    let suffix = 2;
+    while (mapping[weekId] !== undefined) {
+      weekId = `${baseId}_${suffix}`;
+      suffix++;
+    }
+    return weekId;
+  },
+
+  /**
+   * Cria uma nova semana no mapeamento, mesmo que já exista outra começando no mesmo dia
+   * (usado ao fechar semanas: a nova semana atual começa no dia do fechamento)
+   * @param {Date} startDate - Data de início da semana
+   * @returns {Promise<string>} ID da semana criada
+   */
+  async createWeek(startDate) {
+    const mapping = await FinanceService.getWeekIdMapping();
+    const weekId = this.buildWeekId(startDate, mapping);
+    mapping[weekId] = this.getDateKey(startDate);
+    await FinanceService.setWeekIdMapping(mapping);
+    return weekId;
+  },
+
+  /**
+   * Obtém a semana que começa em uma data, criando-a se não existir
+   * Procura primeiro pelo ID determinístico e depois pelos IDs aleatórios de versões anteriores
+   * @param {Date} startDate - Data de início da semana
+   * @returns {Promise<string>} ID da semana
+   */
+  async getOrCreateWeekId(startDate) {
+    const dateKey = this.getDateKey(startDate);
+    const mapping = await FinanceService.getWeekIdMapping();
+
+    const deterministicId = WEEK_ID_PREFIX + dateKey;
+    if (mapping[deterministicId] === dateKey) {
+      return deterministicId;
+    }
+
+    const legacyId = Object.keys(mapping).find(weekId => mapping[weekId] === dateKey);
+    if (legacyId) {
+      return legacyId;
+    }
+
+    return this.createWeek(startDate);
+  },
+
+  /**
+   * Obtém o motivo do fechamento a partir do registro de fechamento
+   * @param {object|null} record - Registro do fechamento
+   * @returns {string} Motivo (WEEK_CLOSE_REASONS)
+   */
+  getCloseReason(record) {
+    if (!record || record.isManual === null || record.isManual === undefined) {
+      return WEEK_CLOSE_REASONS.UNKNOWN;
+    }
+    if (record.isCatchUp) {
+      return WEEK_CLOSE_REASONS.CATCH_UP;
+    }
+    return record.isManual ? WEEK_CLOSE_REASONS.MANUAL : WEEK_CLOSE_REASONS.AUTOMATIC;
+  },
+
+  /**
+   * Obtém todas as semanas do mapeamento com período e situação, em ordem cronológica
+   * Fim de cada semana:
+   * - semana atual: data do próximo fechamento
+   * - semana fechada com retrato: último dia gravado no fechamento
+   * - demais: dia anterior ao início da semana seguinte, limitado à duração do ciclo configurado
+   * @returns {Promise<Array>} Lista de {weekId, start, end, status, closeReason, closedAt}
+   */
+  async getWeeks() {
+    // Obtém a semana atual antes de ler o mapeamento (pode criar a entrada da semana atual)
+    const currentWeekId = await FinanceService.getCurrentWeekId();
+    const currentWeekEnd = await FinanceService.getCurrentWeekEndDate();
+    const mapping = await FinanceService.getWeekIdMapping();
+    const closedWeeks = await FinanceService.getClosedWeeks();
+    const records = await FinanceService.getWeekCloseRecords();
+    const cycle = await FinanceService.getCycle();
+
+    const weeks = Object.entries(mapping)
+      .map(([weekId, dateKey]) => ({ weekId, start: new Date(dateKey + 'T00:00:00') }))
+      .filter(week => !isNaN(week.start.getTime()))
+      .sort((a, b) => a.start - b.start || a.weekId.localeCompare(b.weekId));
+
+    return weeks.map(week => {
+      const record = records[week.weekId] || null;
+      const isClosed = closedWeeks.includes(week.weekId);
+      const isCurrent = week.weekId === currentWeekId;
+
+      let end;
+      if (isCurrent) {
+        end = new Date(currentWeekEnd);
+      } else if (isClosed && record && record.weekEnd) {
+        end = new Date(record.weekEnd + 'T23:59:59.999');
+      } else {
+        end = new Date(week.start);
+        end.setDate(end.getDate() + cycle.length - 1);
+        const next = weeks.find(w => w.start > week.start);
+        if (next) {
+          const dayBeforeNext = new Date(next.start);
+          dayBeforeNext.setDate(dayBeforeNext.getDate() - 1);
+          if (dayBeforeNext < end) {
+            end = dayBeforeNext;
+          }
+        }
+        end.setHours(23, 59, 59, 999);
+      }
+
+      let status = WEEK_STATUS.OPEN;
+      if (isClosed) {
+        status = WEEK_STATUS.CLOSED;
+      } else if (isCurrent) {
+        status = WEEK_STATUS.CURRENT;
+      }
+
+      return {
+        weekId: week.weekId,
+        start: week.start,
+        end,
+        status,
+        closeReason: isClosed ? this.getCloseReason(record) : null,
+        closedAt: record && record.closedAt ? new Date(record.closedAt) : null
+      };
+    });
+  },
+
+  /**
+   * Encontra a semana que contém uma data
+   * No dia de fechamento (compartilhado pela semana fechada e pela seguinte), vale a semana que começa nele;
+   * entre semanas que começam no mesmo dia, vale a primeira da ordem de getWeeks (IDs determinísticos antes dos antigos)
+   * @param {Date} date - Data a procurar
+   * @param {Array} weeks - Semanas de getWeeks (opcional, evita recalcular em laços)
+   * @returns {Promise<object|null>} Semana ou null se nenhuma contiver a data
+   */
+  async findWeekForDate(date, weeks = null) {
+    const allWeeks = weeks || await this.getWeeks();
+    const time = new Date(date).getTime();
+    const matches = allWeeks.filter(w => w.start.getTime() <= time && time <= w.end.getTime());
+    if (matches.length === 0) {
+      return null;
+    }
+    const latestStart = matches[matches.length - 1].start.getTime();
+    return matches.find(w => w.start.getTime() === latestStart);
+  },
+
+  /**
+   * Verifica se duas semanas se sobrepõem
+   * O dia de fechamento pode ser o último de uma semana e o primeiro da seguinte
+   * @param {object} first - Semana que começa antes (ou no mesmo dia)
+   * @param {object} second - Semana seguinte
+   * @returns {boolean} True se as semanas se sobrepõem
+   */
+  weeksOverlap(first, second) {
+    if (first.start.getTime() === second.start.getTime()) {
+      return true;
+    }
+    const lastDayOfFirst = new Date(first.end);
+    lastDayOfFirst.setHours(0, 0, 0, 0);
+    return second.start < lastDayOfFirst;
+  },
+
+  /**
+   * Verifica a consistência entre as semanas e os lançamentos
+   * @returns {Promise<object>} {totalWeeks, unassignedTransactions, overlappingWeeks: [{first, second}],
+   *   emptyWeeks, isConsistent}
+   */
+  async verifyWeeks() {
+    const weeks = await this.getWeeks();
+    const transactions = await FinanceService.getAllTransactions();
+    const knownWeekIds = new Set(weeks.map(w => w.weekId));
+    const usedWeekIds = new Set(transactions.map(t => t.weekId));
+
+    // Lançamentos sem semana ou com uma semana que não está no mapeamento
+    const unassignedTransactions = transactions.filter(t => !t.weekId || !knownWeekIds.has(t.weekId));
+
+    // Entradas do mapeamento sem lançamentos (a semana atual e as fechadas são mantidas mesmo vazias)
+    const emptyWeeks = weeks.filter(w => w.status === WEEK_STATUS.OPEN && !usedWeekIds.has(w.weekId));
+
+    // Sobreposições só entre semanas em uso (as vazias já são apontadas acima)
+    const activeWeeks = weeks.filter(w => w.status !== WEEK_STATUS.OPEN || usedWeekIds.has(w.weekId));
+    const overlappingWeeks = [];
+    activeWeeks.forEach((first, index) => {
+      activeWeeks.slice(index + 1).forEach(second => {
+        if (this.weeksOverlap(first, second)) {
+          overlappingWeeks.push({ first, second });
+        }
+      });
+    });
+
+    return {
+      totalWeeks: weeks.length,
+      unassignedTransactions,
+      overlappingWeeks,
+      emptyWeeks,
+      isConsistent: unassignedTransactions.length === 0 && overlappingWeeks.length === 0 && emptyWeeks.length === 0
+    };
+  },
+
+  /**
+   * Move lançamentos para outra semana
+   * @param {Array} transactions - Lista completa de lançamentos (alterada no lugar)
+   * @param {function} predicate - Seleciona os lançamentos a mover
+   * @param {function} resolveWeekId - Recebe o lançamento e devolve (Promise) o novo weekId
+   * @returns {Promise<number>} Quantidade de lançamentos movidos
+   */
+  async reassignTransactions(transactions, predicate, resolveWeekId) {
+    let moved = 0;
+    const now = new Date().toISOString();
+    for (const t of transactions) {
+      if (!predicate(t)) continue;
+      const weekId = await resolveWeekId(t);
+      if (weekId && weekId !== t.weekId) {
+        t.weekId = weekId;
+        t.updatedAt = now;
+        moved++;
+      }
+    }
+    return moved;
+  },
+
+  /**
+   * Corrige as inconsistências encontradas por verifyWeeks
+   * - semana fechada sem data no mapeamento: restaura a data (do registro do fechamento ou do lançamento mais antigo)
+   * - demais lançamentos sem semana: reatribui pelas regras de createTransaction
+   * - semanas começando no mesmo dia: junta a semana aberta à outra
+   * - entradas do mapeamento sem lançamentos: remove
+   * Sobreposições entre semanas fechadas ou com inícios diferentes não são corrigidas automaticamente
+   * @returns {Promise<object>} {restoredWeeks, reassignedTransactions, mergedWeeks, removedWeeks, report}
+   *   (report é o resultado de verifyWeeks depois da correção)
+   */
+  async repairWeeks() {
+    const result = { restoredWeeks: 0, reassignedTransactions: 0, mergedWeeks: 0, removedWeeks: 0 };
+    let report = await this.verifyWeeks();
+
+    if (report.unassignedTransactions.length > 0) {
+      const mapping = await FinanceService.getWeekIdMapping();
+      const closedWeeks = await FinanceService.getClosedWeeks();
+      const records = await FinanceService.getWeekCloseRecords();
+      const cycle = await FinanceService.getCycle();
+
+      // Semanas fechadas que perderam a data de início: a semana continua fechada, só falta a data
+      const orphanedClosedWeekIds = new Set(report.unassignedTransactions
+        .map(t => t.weekId)
+        .filter(weekId => weekId && closedWeeks.includes(weekId)));
+      orphanedClosedWeekIds.forEach(weekId => {
+        const record = records[weekId];
+        if (record && record.weekStart) {
+          mapping[weekId] = record.weekStart;
+        } else {
+          const dates = report.unassignedTransactions
+            .filter(t => t.weekId === weekId)
+            .map(t => new Date(t.date))
+            .sort((a, b) => a - b);
+          mapping[weekId] = this.getDateKey(DatesService.getWeekStart(dates[0], cycle));
+        }
+        result.restoredWeeks++;
+      });
+      if (result.restoredWeeks > 0) {
+        await FinanceService.setWeekIdMapping(mapping);
+      }
+
+      const transactions = await FinanceService.getAllTransactions();
+      const unassignedIds = new Set(report.unassignedTransactions
+        .filter(t => !orphanedClosedWeekIds.has(t.weekId))
+        .map(t => t.id));
+      result.reassignedTransactions += await this.reassignTransactions(
+        transactions,
+        t => unassignedIds.has(t.id),
+        t => FinanceService.resolveTransactionWeekId(new Date(t.date))
+      );
+      await StorageService.set(FINANCE_STORAGE_KEY, transactions);
+      report = await this.verifyWeeks();
+    }
+
+    // Semanas começando no mesmo dia: a semana aberta é juntada à outra
+    const mergeable = report.overlappingWeeks.filter(({ first, second }) =>
+      first.start.getTime() === second.start.getTime() &&
+      (first.status === WEEK_STATUS.OPEN || second.status === WEEK_STATUS.OPEN)
+    );
+    if (mergeable.length > 0) {
+      const transactions = await FinanceService.getAllTransactions();
+      const mapping = await FinanceService.getWeekIdMapping();
+      const removed = new Set();
+      for (const { first, second } of mergeable) {
+        const [target, source] = second.status === WEEK_STATUS.OPEN ? [first, second] : [second, first];
+        if (removed.has(target.weekId) || removed.has(source.weekId)) continue;
+
+        // Lançamentos não entram em semana fechada: seguem as regras de createTransaction
+        result.reassignedTransactions += await this.reassignTransactions(
+          transactions,
+          t => t.weekId === source.weekId,
+          async t => (target.status === WEEK_STATUS.CLOSED
+            ? await FinanceService.resolveTransactionWeekId(new Date(t.date))
+            : target.weekId)
+        );
+        if (!transactions.some(t => t.weekId === source.weekId)) {
+          delete mapping[source.weekId];
+          removed.add(source.weekId);
+          result.mergedWeeks++;
+        }
+      }
+      await StorageService.set(FINANCE_STORAGE_KEY, transactions);
+      await FinanceService.setWeekIdMapping(mapping);
+      report = await this.verifyWeeks();
+    }
+
+    if (report.emptyWeeks.length > 0) {
+      const mapping = await FinanceService.getWeekIdMapping();
+      report.emptyWeeks.forEach(week => {
+        delete mapping[week.weekId];
+      });
+      result.removedWeeks = report.emptyWeeks.length;
+      await FinanceService.setWeekIdMapping(mapping);
+      report = await this.verifyWeeks();
+    }
+
+    if (Object.values(result).some(count => count > 0)) {
+      await FinanceService.addWeekAuditEntry('repair', null, { ...result });
+    }
+
+    return { ...result, report };
+  }
+};